@@ -9,7 +9,7 @@
  * 3. King Solomon (neutral wise judge)
  */
 
-import { MarriageCounselorAgent } from './index.js';
+import { MarriageCounselorAgent } from './src/agent.js';
 
 async function runExample() {
   console.log('🏛️  Marriage Counselor Agent - Example Usage\n');
@@ -2,79 +2,281 @@
 
 import dotenv from 'dotenv';
 import { v4 as uuidv4 } from 'uuid';
-import { MemorySaver, InMemoryStore } from "@langchain/langgraph-checkpoint";
+import { StateGraph, START, END } from "@langchain/langgraph";
+import { AIMessage } from "@langchain/core/messages";
 import { createReactAgent } from "@langchain/langgraph/prebuilt";
-import { initChatModel } from "langchain/chat_models/universal";
 import { tool } from "@langchain/core/tools";
 import { z } from "zod";
+import { createPersistence } from './persistence.js';
+import { loadModelConfig, missingModelCredentials, createModelForMode, PROVIDER_API_KEYS } from './models.js';
+import { streamAgentEvents } from './streaming.js';
+import { MODES, resolveMode } from './modes.js';
+import { profileFromEnv, createCoupleProfile, describePartner } from './profile.js';
+import { buildSystemMessage } from './prompts.js';
+import { createSession, getSession, listSessions, listSessionUsers, recordSessionActivity } from './sessions.js';
+import { exportUserData, eraseUserData } from './privacy.js';
+import { TRANSCRIPT_FORMATS, collectTranscript, renderTranscript } from './transcript.js';
+import { importChatLog } from './import.js';
+import { ANALYTICS_PERIODS, collectConflictEntries, analyzeConflicts, formatConflictReport } from './analytics.js';
+import { CounselorStateAnnotation, pendingInput, sessionThreadId } from './state.js';
+import { getCaseForParticipant, getOtherParticipantId, createCase, joinCase, getCase } from './cases.js';
+import { SPEAKERS, resolveSpeaker, nextSpeaker, speakerLabel, labelSpeakers, nameSpeaker } from './mediation.js';
+import { createVerdictModel, generateVerdict } from './verdict.js';
+import { NO_FRAMEWORK, listFrameworks, resolveFramework, loadFrameworkModules } from './frameworks/index.js';
+import { toStatements } from './frameworks/statements.js';
+import { HistoryIndex, createEmbedder, searchStories, formatSearchResults, DEFAULT_SEARCH_LIMIT, MAX_SEARCH_LIMIT } from './search.js';
+import { DEFAULT_SUMMARY_OPTIONS, summaryOptionsFromEnv, validateSummaryOptions, splitForSummary, summarizeMessages } from './summary.js';
+import { createSafetyClassifier, buildSafetyResponse, recordSafetyEvent, listSafetyEvents } from './safety.js';
+import { COMMITMENT_OWNERS, COMMITMENT_STATUSES, recordCommitment, updateCommitment, listCommitments, formatCommitments } from './commitments.js';
+import { STORY_SIDES, STORY_ORIGINS, saveStory, listStories, updateStory, deleteStory, collectBothStories, formatBothStories } from './stories.js';
 
 // Load environment variables
 dotenv.config();
 
-// Agent modes
-const MODES = {
-  USER: 'my_point_of_view',
-  WIFE: 'her_point_of_view', 
-  SOLOMON: 'king_solomon_wise'
-};
+// The shared counseling core: modes, tools, prompts and memory. The CLI
+// (index.js), the HTTP server (server.js) and LangGraph Platform all use it.
 
 export class MarriageCounselorAgent {
-  constructor() {
-    this.currentMode = MODES.SOLOMON; // Default to Solomon for API deployment
+  constructor(options = {}) {
+    // Mode used when a request doesn't name one and its session has no last-used mode.
+    // The mode itself is per request/session - never stored on this shared instance.
+    this.defaultMode = resolveMode(options.defaultMode) || MODES.SOLOMON; // Default to Solomon for API deployment
     this.agents = {};
-    this.checkpointer = new MemorySaver();
-    this.store = new InMemoryStore();
+    // Optional pre-built chat model, used instead of OpenAI/Anthropic (e.g. a fake model in tests)
+    this.llm = options.llm || null;
+    // Provider/model/temperature per mode and the fallback provider; defaults to MODEL_CONFIG and MODEL* env vars
+    this.modelConfig = options.models || null;
+    // Couple profile (names, pronouns, relationship type); per-request overrides go in configurable.profile
+    this.profile = options.profile ? createCoupleProfile(options.profile) : profileFromEnv();
+    // The rule-based safety check always runs; modelCheck adds a model pass for what the rules miss
+    this.safetyOptions = {
+      modelCheck: options.safety?.modelCheck ?? process.env.SAFETY_MODEL_CHECK === 'true'
+    };
+    // When a mode's transcript is summarised: { maxMessages, keepMessages }
+    this.summaryOptions = validateSummaryOptions({ ...DEFAULT_SUMMARY_OPTIONS, ...summaryOptionsFromEnv(), ...options.summary });
+    // Embeddings for search_history: any LangChain embeddings model, else EMBEDDINGS (default: local TF-IDF)
+    this.historyIndex = new HistoryIndex(options.embeddings || createEmbedder());
+    // Counselling framework Solomon judges by until a request or session picks another
+    this.defaultFramework = options.framework || process.env.COUNSELING_FRAMEWORK || NO_FRAMEWORK;
+    // Extra framework modules to register, defaulting to FRAMEWORK_MODULES
+    this.frameworkModules = options.frameworkModules ?? process.env.FRAMEWORK_MODULES;
+
+    const { checkpointer, store, close } = createPersistence(options.persistence);
+    this.checkpointer = checkpointer;
+    this.store = store;
+    this.closePersistence = close;
+    this.graph = null;
     this.initialized = false;
   }
 
   async initialize() {
     if (this.initialized) return;
     
-    if (!process.env.OPENAI_API_KEY && !process.env.ANTHROPIC_API_KEY) {
-      throw new Error('Please set OPENAI_API_KEY or ANTHROPIC_API_KEY in your environment');
+    this.modelConfig ??= this.llm ? null : loadModelConfig();
+    const missing = this.llm ? [] : missingModelCredentials(this.modelConfig);
+    if (missing.length) {
+      throw new Error(`Please set ${missing.map(provider => PROVIDER_API_KEYS[provider]).join(' and ')} in your environment for the configured ${missing.join(' and ')} models, or configure a local model (e.g. MODEL=ollama:llama3.1)`);
     }
 
     try {
-      // Initialize the LLM - prefer OpenAI for deployment stability
-      const llm = await initChatModel(process.env.OPENAI_API_KEY ? "gpt-4o" : "claude-3-5-sonnet-20241022", {
-        modelProvider: process.env.OPENAI_API_KEY ? "openai" : "anthropic", 
-        temperature: 0
-      });
+      await this.loadFrameworks();
+      const models = await this.createModels();
+      this.graph = this.buildGraph(models, { checkpointer: this.checkpointer, store: this.store });
+      this.initialized = true;
+    } catch (error) {
+      throw new Error(`Failed to initialize agent: ${error.message}`);
+    }
+  }
 
-      // Create tools for each mode
-      const userModeTools = this.createUserModeTools();
-      const wifeModeTools = this.createWifeModeTools();
-      const solomonModeTools = this.createSolomonModeTools();
-
-      // Create agents with both conversation memory and long-term story storage
-      this.agents[MODES.USER] = createReactAgent({
-        llm,
-        tools: userModeTools,
-        checkpointSaver: this.checkpointer,
-        store: this.store,
-        prompt: this.getPromptFunction(MODES.USER)
-      });
+  // One chat model per mode, plus the default one for mode-independent checks.
+  // An injected llm is used everywhere.
+  async createModels() {
+    if (this.llm) {
+      return Object.fromEntries(['default', ...Object.values(MODES)].map(name => [name, this.llm]));
+    }
 
-      this.agents[MODES.WIFE] = createReactAgent({
-        llm, 
-        tools: wifeModeTools,
-        checkpointSaver: this.checkpointer,
-        store: this.store,
-        prompt: this.getPromptFunction(MODES.WIFE)
-      });
+    this.modelConfig ??= loadModelConfig();
+    const models = { default: await createModelForMode(this.modelConfig) };
+    for (const mode of Object.values(MODES)) {
+      models[mode] = await createModelForMode(this.modelConfig, mode);
+    }
+    return models;
+  }
+
+  // Compiled graph for LangGraph Platform, which supplies its own checkpointer and store
+  async createGraph() {
+    await this.loadFrameworks();
+    return this.buildGraph(await this.createModels());
+  }
+
+  // Registers FRAMEWORK_MODULES and checks the default framework exists
+  async loadFrameworks() {
+    await loadFrameworkModules(this.frameworkModules);
+    resolveFramework(this.defaultFramework);
+  }
 
-      this.agents[MODES.SOLOMON] = createReactAgent({
-        llm,
-        tools: solomonModeTools, 
-        checkpointSaver: this.checkpointer,
-        store: this.store,
-        prompt: this.getPromptFunction(MODES.SOLOMON)
+  // A single StateGraph: the router picks the mode from state and hands the turn
+  // to that mode's ReAct subgraph, which only sees its own transcript
+  buildGraph(models, { checkpointer, store } = {}) {
+    this.models = models;
+    this.verdictModels = {};
+    this.classifySafety = createSafetyClassifier({ llm: models.default, ...this.safetyOptions });
+
+    // Create agents with long-term story storage; conversation memory is the parent graph's checkpointer
+    this.agents[MODES.USER] = createReactAgent({
+      llm: models[MODES.USER],
+      tools: this.createUserModeTools(),
+      prompt: this.getPromptFunction(MODES.USER)
+    });
+
+    this.agents[MODES.PARTNER] = createReactAgent({
+      llm: models[MODES.PARTNER],
+      tools: this.createPartnerModeTools(),
+      prompt: this.getPromptFunction(MODES.PARTNER)
+    });
+
+    this.agents[MODES.SOLOMON] = createReactAgent({
+      llm: models[MODES.SOLOMON],
+      tools: this.createSolomonModeTools(), 
+      prompt: this.getPromptFunction(MODES.SOLOMON)
+    });
+
+    // One Solomon per counselling framework, with the framework's prompt section and tools
+    this.frameworkAgents = {};
+    for (const framework of listFrameworks()) {
+      this.getSolomonAgent(framework);
+    }
+
+    this.agents[MODES.MEDIATOR] = createReactAgent({
+      llm: models[MODES.MEDIATOR],
+      tools: this.createMediatorModeTools(),
+      prompt: this.getPromptFunction(MODES.MEDIATOR)
+    });
+
+    const builder = new StateGraph(CounselorStateAnnotation)
+      .addNode("guardrail", (state, config) => this.checkSafety(state, config))
+      .addNode("router", (state, config) => this.routeMode(state, config))
+      .addEdge(START, "guardrail")
+      .addConditionalEdges("guardrail", state => state.safety?.flagged ? END : "router", ["router", END]);
+
+    for (const mode of Object.values(MODES)) {
+      const subgraphs = mode === MODES.SOLOMON ? [this.agents[mode], ...Object.values(this.frameworkAgents)] : [this.agents[mode]];
+      builder
+        .addNode(mode, (state, config) => this.runMode(mode, state, config), { subgraphs })
+        .addEdge(mode, END);
+    }
+
+    builder.addConditionalEdges("router", state => state.mode, Object.values(MODES));
+
+    return builder.compile({ checkpointer, store });
+  }
+
+  // Screens the incoming message before any mode sees it. A flagged message is answered
+  // with crisis resources in a neutral voice - no mode, no role-play - and logged.
+  async checkSafety(state, config) {
+    const text = pendingInput(state.messages)
+      .map(message => typeof message.content === 'string' ? message.content : '')
+      .join("\n");
+    const result = await this.classifySafety(text, config);
+
+    if (!result.flagged) {
+      return { safety: null };
+    }
+
+    if (config.store) {
+      await recordSafetyEvent(config.store, {
+        userId: config.configurable?.userId || 'default_user',
+        sessionId: config.configurable?.sessionId || 'default_session',
+        mode: config.configurable?.mode || state.mode || null,
+        categories: result.categories,
+        source: result.source
       });
+    }
 
-      this.initialized = true;
-    } catch (error) {
-      throw new Error(`Failed to initialize agent: ${error.message}`);
+    // The router never runs, so the speaker is cleared here and the next turn still alternates
+    return {
+      safety: result,
+      speaker: null,
+      messages: [new AIMessage({ content: buildSafetyResponse(result.categories), name: "safety" })]
+    };
+  }
+
+  // configurable.mode wins, then the mode in state (this request's or the last-used one)
+  routeMode(state, config) {
+    const requested = config.configurable?.mode || state.mode;
+    if (!requested) {
+      return { mode: this.defaultMode };
+    }
+
+    const mode = resolveMode(requested);
+    if (!mode) {
+      throw new Error(`Invalid mode: ${requested}. Expected one of: ${Object.keys(MODES).join(', ')}`);
+    }
+    return mode === MODES.MEDIATOR ? { mode, ...this.nameSpeaker(state) } : { mode };
+  }
+
+  // In a joint session the input is labelled with its speaker: the one in state,
+  // else whoever's turn it is. The speaker is cleared so the next input alternates.
+  nameSpeaker(state) {
+    const speaker = state.speaker ? resolveSpeaker(state.speaker) : nextSpeaker(state.modeMessages[MODES.MEDIATOR]);
+    return { speaker: null, messages: nameSpeaker(pendingInput(state.messages), speaker) };
+  }
+
+  async runMode(mode, state, config) {
+    let transcript = state.modeMessages[mode] || [];
+    let summary = state.modeSummaries[mode] || null;
+
+    // Long transcripts are trimmed, with the older part folded into the mode's summary
+    const split = splitForSummary(transcript, this.summaryOptions);
+    if (split) {
+      summary = await summarizeMessages(this.models[mode], { summary, messages: split.older, mode });
+      transcript = split.recent;
     }
+
+    const framework = mode === MODES.SOLOMON ? resolveFramework(state.framework || this.defaultFramework) : null;
+    const agent = framework ? this.getSolomonAgent(framework) : this.agents[mode];
+    const input = [...transcript, ...pendingInput(state.messages)];
+    const result = await agent.invoke({ messages: input }, {
+      ...config,
+      configurable: { ...config.configurable, conversationSummary: summary }
+    });
+
+    // The shared timeline gets this turn's replies and tool calls; the mode keeps its transcript
+    return {
+      messages: result.messages.slice(input.length),
+      modeMessages: { [mode]: result.messages },
+      ...(split && { modeSummaries: { [mode]: summary } }),
+      ...await this.verdictFor(mode, result.messages.at(-1), config, framework)
+    };
+  }
+
+  // Solomon judging by a framework, built on first use so frameworks registered
+  // after the graph still work
+  getSolomonAgent(framework) {
+    this.frameworkAgents[framework.id] ??= createReactAgent({
+      llm: this.models[MODES.SOLOMON],
+      tools: [...this.createSolomonModeTools(), ...this.createFrameworkTools(framework)],
+      prompt: this.getPromptFunction(MODES.SOLOMON, framework)
+    });
+    return this.frameworkAgents[framework.id];
+  }
+
+  // Structured verdict alongside Solomon's prose, only when the request asks for one
+  async verdictFor(mode, judgment, config, framework) {
+    if (mode !== MODES.SOLOMON || !config.configurable?.structuredVerdict) {
+      return { verdict: null, verdictError: null };
+    }
+
+    const key = framework?.id || NO_FRAMEWORK;
+    this.verdictModels[key] ??= createVerdictModel(this.models[MODES.SOLOMON], framework);
+    const { verdict, error } = await generateVerdict(this.verdictModels[key], {
+      stories: await this.getBothStories(config),
+      judgment: judgment.content,
+      profile: this.resolveProfile(config),
+      framework
+    }, config);
+
+    return { verdict, verdictError: error };
   }
 
   createUserModeTools() {
@@ -86,9 +288,14 @@ export class MarriageCounselorAgent {
         }
 
         const userId = config.configurable?.userId || 'default_user';
+        const sessionId = config.configurable?.sessionId || 'default_session';
+        const caseId = config.configurable?.caseId;
         
         try {
-          await store.put(["stories"], `${userId}_user`, { content: input.story });
+          if (caseId) {
+            await getCaseForParticipant(store, caseId, userId);
+          }
+          await saveStory(store, { userId, side: STORY_SIDES.USER, content: input.story, sessionId, mode: MODES.USER, caseId });
         } catch (storeError) {
           throw storeError;
         }
@@ -103,11 +310,13 @@ export class MarriageCounselorAgent {
       }
     );
 
-    return [saveUserStory];
+    return [saveUserStory, this.createSearchHistoryTool({ includePartner: false })];
   }
 
-  createWifeModeTools() {
-    const saveWifeStory = tool(
+  createPartnerModeTools() {
+    const partner = describePartner(this.profile);
+
+    const savePartnerStory = tool(
       async (input, config) => {
         const store = config.store;
         if (!store) {
@@ -115,28 +324,47 @@ export class MarriageCounselorAgent {
         }
 
         const userId = config.configurable?.userId || 'default_user';
+        const sessionId = config.configurable?.sessionId || 'default_session';
+        const caseId = config.configurable?.caseId;
         
         try {
-          await store.put(["stories"], `${userId}_wife`, { content: input.story });
+          if (caseId) {
+            await getCaseForParticipant(store, caseId, userId);
+          }
+          await saveStory(store, { userId, side: STORY_SIDES.PARTNER, content: input.story, sessionId, mode: MODES.PARTNER, caseId });
         } catch (storeError) {
           throw storeError;
         }
-        return "I understand her perspective on this situation.";
+        const { possessive } = describePartner(this.resolveProfile(config)).pronouns;
+        return `I understand ${possessive} perspective on this situation.`;
       },
       {
-        name: "save_wife_story",
-        description: "Save important details about the wife's perspective and grievances",
+        name: "save_partner_story",
+        description: `Save important details about ${partner.theLabel}'s perspective and grievances`,
         schema: z.object({
-          story: z.string().describe("The wife's grievance or perspective to remember")
+          story: z.string().describe(`${partner.titleLabel}'s grievance or perspective to remember`)
         })
       }
     );
 
-    return [saveWifeStory];
+    return [savePartnerStory];
   }
 
   createSolomonModeTools() {
+    const partner = describePartner(this.profile);
+
     const getBothStories = tool(
+      async (input, config) => {
+        return this.getBothStories(config);
+      },
+      {
+        name: "get_both_stories",
+        description: `Retrieve the full history of both the user's grievances and ${partner.theLabel}'s perspective (their own account in a shared case, or the simulated role-play) to render judgment`,
+        schema: z.object({})
+      }
+    );
+
+    const listCommitmentsTool = tool(
       async (input, config) => {
         const store = config.store;
         if (!store) {
@@ -144,149 +372,475 @@ export class MarriageCounselorAgent {
         }
 
         const userId = config.configurable?.userId || 'default_user';
-        
-        // Get both stories from long-term memory
-        let userStory, wifeStory;
-        try {
-          userStory = await store.get(["stories"], `${userId}_user`);
-        } catch (error) {
-          userStory = null;
+        const caseId = config.configurable?.caseId;
+        const commitments = await listCommitments(store, userId, { status: input.status, caseId });
+
+        return `📋 COMMITMENTS:\n${formatCommitments(commitments, this.resolveProfile(config))}`;
+      },
+      {
+        name: "list_commitments",
+        description: "List the actions the couple committed to in earlier sessions, with their status and latest progress",
+        schema: z.object({
+          status: z.enum(Object.values(COMMITMENT_STATUSES)).optional().describe("Only list commitments with this status")
+        })
+      }
+    );
+
+    const recordCommitmentTool = tool(
+      async (input, config) => {
+        const store = config.store;
+        if (!store) {
+          throw new Error("store is required when compiling the graph");
         }
-        
-        try {
-          wifeStory = await store.get(["stories"], `${userId}_wife`);
-        } catch (error) {
-          wifeStory = null;
+
+        const userId = config.configurable?.userId || 'default_user';
+        const sessionId = config.configurable?.sessionId || 'default_session';
+        const caseId = config.configurable?.caseId;
+        const commitment = await recordCommitment(store, { userId, owner: input.owner, action: input.action, sessionId, caseId });
+
+        return `Recorded commitment ${commitment.id}.`;
+      },
+      {
+        name: "record_commitment",
+        description: `Record a concrete action the user, ${partner.theLabel} or both agreed to try, so it can be followed up in later sessions`,
+        schema: z.object({
+          owner: z.enum(Object.values(COMMITMENT_OWNERS)).describe(`Who committed: "user", "partner" (${partner.theLabel}) or "both"`),
+          action: z.string().describe("The specific action, e.g. 'Take turns cooking on weeknights'")
+        })
+      }
+    );
+
+    const updateCommitmentTool = tool(
+      async (input, config) => {
+        const store = config.store;
+        if (!store) {
+          throw new Error("store is required when compiling the graph");
         }
-        
-        let result = "📜 BOTH PERSPECTIVES:\n\n";
-        
-        if (userStory?.value?.content) {
-          result += "👤 **User's Grievance:** " + userStory.value.content + "\n\n";
-        } else {
-          result += "👤 **User's Grievance:** No story shared yet\n\n";
+
+        const userId = config.configurable?.userId || 'default_user';
+        const sessionId = config.configurable?.sessionId || 'default_session';
+        const commitment = await updateCommitment(store, userId, input.id, { status: input.status, note: input.note, sessionId });
+
+        return `Commitment ${commitment.id} is ${commitment.status}.`;
+      },
+      {
+        name: "update_commitment",
+        description: "Record progress on an earlier commitment and optionally mark it done or dropped",
+        schema: z.object({
+          id: z.string().describe("The commitment id from list_commitments"),
+          status: z.enum(Object.values(COMMITMENT_STATUSES)).optional().describe("New status, if it changed"),
+          note: z.string().optional().describe("How it went, in a sentence")
+        })
+      }
+    );
+
+    const getConflictPatterns = tool(
+      async (input, config) => {
+        const store = config.store;
+        if (!store) {
+          throw new Error("store is required when compiling the graph");
         }
-        
-        if (wifeStory?.value?.content) {
-          result += "👩 **Wife's Perspective:** " + wifeStory.value.content;
+
+        const userId = config.configurable?.userId || 'default_user';
+        const caseId = config.configurable?.caseId;
+        const report = analyzeConflicts(await collectConflictEntries(store, { userId, caseId }), { period: input.period });
+
+        return formatConflictReport(report, this.resolveProfile(config));
+      },
+      {
+        name: "get_conflict_patterns",
+        description: `Report which conflict topics (money, chores, in-laws...) keep recurring across all saved stories, how often over time, who raises them and how heated they get`,
+        schema: z.object({
+          period: z.enum(Object.values(ANALYTICS_PERIODS)).optional().describe("Group the timeline by week or month (default month)")
+        })
+      }
+    );
+
+    return [getBothStories, this.createSearchHistoryTool({ includePartner: true }), getConflictPatterns, listCommitmentsTool, recordCommitmentTool, updateCommitmentTool];
+  }
+
+  createMediatorModeTools() {
+    const partner = describePartner(this.profile);
+
+    const savePoint = tool(
+      async (input, config) => {
+        const store = config.store;
+        if (!store) {
+          throw new Error("store is required when compiling the graph");
+        }
+
+        const userId = config.configurable?.userId || 'default_user';
+        const sessionId = config.configurable?.sessionId || 'default_session';
+        const caseId = config.configurable?.caseId;
+        const story = { content: input.point, sessionId, mode: MODES.MEDIATOR, caseId, origin: STORY_ORIGINS.MEDIATION };
+
+        if (input.speaker === SPEAKERS.USER) {
+          if (caseId) {
+            await getCaseForParticipant(store, caseId, userId);
+          }
+          await saveStory(store, { ...story, userId, side: STORY_SIDES.USER });
         } else {
-          result += "👩 **Wife's Perspective:** No story shared yet";
+          // In a shared case the partner's points become their own account; otherwise
+          // they go on the partner side, marked as said in a joint session
+          const partnerId = caseId && getOtherParticipantId(await getCaseForParticipant(store, caseId, userId), userId);
+          await saveStory(store, partnerId
+            ? { ...story, userId: partnerId, side: STORY_SIDES.USER }
+            : { ...story, userId, side: STORY_SIDES.PARTNER });
         }
-        
-        return result;
+
+        return `Noted ${speakerLabel(input.speaker, this.resolveProfile(config))}'s point.`;
       },
       {
-        name: "get_both_stories",
-        description: "Retrieve both the user's grievances and wife's perspective to render judgment",
-        schema: z.object({})
+        name: "save_point",
+        description: "Save a point one of the partners made in the joint session to their side of the story",
+        schema: z.object({
+          speaker: z.enum(Object.values(SPEAKERS)).describe(`Who made the point: "user" or "partner" (${partner.theLabel})`),
+          point: z.string().describe("The point, in the speaker's own words")
+        })
       }
     );
 
-    return [getBothStories];
+    return [savePoint];
   }
 
-  getPromptFunction(mode) {
-    const systemMessages = {
-      [MODES.USER]: `You are a best friend who listens to the users stories and understands their perspective. You're the friend who always has their back and makes them feel heard and validated.
-
-CRITICAL: Whenever they share ANY relationship problems, complaints, or grievances about their wife/partner, you MUST call save_user_story to save those details for future counseling sessions. This includes ANY negative feelings, frustrations, or conflicts they mention.
+  // A framework's analysis tools, reading both sides' stories the way get_both_stories does
+  createFrameworkTools(framework) {
+    return framework.createTools({
+      loadStatements: async config => {
+        const store = config.store;
+        if (!store) {
+          throw new Error("store is required when compiling the graph");
+        }
 
-Your approach:
-- Listen and validate their feelings
-- IMMEDIATELY call save_user_story when they share any relationship issues
-- Ask follow-up questions to understand better  
-- Give supportive advice based on what they tell you in the conversation
-- Always save important grievances - this is essential for the counseling process`,
+        const userId = config.configurable?.userId || 'default_user';
+        return toStatements(await collectBothStories(store, userId, config.configurable?.caseId));
+      },
+      resolveProfile: config => this.resolveProfile(config)
+    });
+  }
 
-      [MODES.WIFE]: `You are role-playing as the wife responding to grievances being aired about you. You don't know what specific complaints have been made, so ask them to tell you what they're upset about.
+  // Semantic search over saved stories. The user mode only searches the user's own
+  // account; Solomon also searches the partner's side.
+  createSearchHistoryTool({ includePartner }) {
+    return tool(
+      async (input, config) => {
+        const store = config.store;
+        if (!store) {
+          throw new Error("store is required when compiling the graph");
+        }
 
-CRITICAL: Whenever you give your perspective, explanation, or response to complaints, you MUST call save_wife_story to save your side of the story for future counseling sessions.
+        const userId = config.configurable?.userId || 'default_user';
+        const caseId = config.configurable?.caseId;
+        const results = await searchStories(store, this.historyIndex, {
+          userId,
+          caseId,
+          query: input.query,
+          limit: input.limit,
+          includePartner
+        });
+
+        return formatSearchResults(results, input.query, this.resolveProfile(config));
+      },
+      {
+        name: "search_history",
+        description: includePartner
+          ? "Search every saved story from earlier sessions, from both sides, for a topic (e.g. 'money', 'the holidays') and return the most relevant entries with their dates"
+          : "Search the stories the user saved in earlier sessions for a topic (e.g. 'money', 'the holidays') and return the most relevant entries with their dates",
+        schema: z.object({
+          query: z.string().describe("What to look for, in a few words"),
+          limit: z.number().int().min(1).max(MAX_SEARCH_LIMIT).optional().describe(`How many entries to return (default ${DEFAULT_SEARCH_LIMIT})`)
+        })
+      }
+    );
+  }
 
-Your approach:
-- Ask them to explain what they're upset about if needed
-- Respond authentically as the wife explaining your side
-- IMMEDIATELY call save_wife_story after giving your perspective
-- Be authentic - not neutral, but actually responding as someone defending themselves
-- Always save your explanations and justifications for future reference`,
+  // Both sides as Solomon sees them, shared by get_both_stories and the structured verdict
+  async getBothStories(config) {
+    const store = config.store;
+    if (!store) {
+      throw new Error("store is required when compiling the graph");
+    }
 
-      [MODES.SOLOMON]: `You are King Solomon, the wise counselor who advises the user on where they went wrong and how to fix it. You must call get_both_stories to access both the user's grievances and the wife's responses before making recommendations.
+    const userId = config.configurable?.userId || 'default_user';
+    const caseId = config.configurable?.caseId;
 
-Your approach:
-- Review both sides objectively: "I can see that you feel... and she feels..."
-- Identify the real underlying issues beyond the surface complaints
-- Give specific, actionable recommendations for both parties
-- "Here's what I think you should try..." 
-- "She probably needs..." and "You probably need..."
-- Suggest practical steps to improve the situation
-- Address both people's valid concerns
-- Speak with wisdom but in a relatable, helpful way
+    // Get the full history of both sides from long-term memory - in a shared
+    // case that includes the partner's own account, not just the role-play
+    const stories = await collectBothStories(store, userId, caseId);
 
-You're the wise friend who sees the bigger picture and gives solid advice to help them actually work things out.`
-    };
+    return formatBothStories(stories, this.resolveProfile(config));
+  }
 
-    const systemMessage = systemMessages[mode] || "You are a helpful assistant.";
-    
+  getPromptFunction(mode, framework) {
     return (state, config) => {
       const userId = config.configurable?.userId || 'default_user';
       const sessionId = config.configurable?.sessionId || 'default_session';
       
+      const profile = this.resolveProfile(config);
+      const systemMessage = buildSystemMessage(mode, profile, framework);
+      const summary = config.configurable?.conversationSummary;
+      const turns = mode === MODES.MEDIATOR ? this.describeTurns(state.messages, profile) : '';
       const dynamicSystemMsg = `${systemMessage}
 
-Session Info: You are in ${mode} mode for user ${userId} in session ${sessionId}.`;
+Session Info: You are in ${mode} mode for user ${userId} in session ${sessionId}.${turns}${summary ? `
+
+Summary of the earlier conversation in this mode (the recent messages follow in full):
+${summary}` : ''}`;
       
       // Use plain message objects for createReactAgent
-      return [{ role: "system", content: dynamicSystemMsg }, ...state.messages];
+      const messages = mode === MODES.MEDIATOR ? labelSpeakers(state.messages, profile) : state.messages;
+      return [{ role: "system", content: dynamicSystemMsg }, ...messages];
     };
   }
 
-  async invoke(input, config = {}) {
-    await this.initialize();
-    
+  // Who just spoke in a joint session and whose turn is next
+  describeTurns(messages, profile) {
+    const upNext = nextSpeaker(messages);
+    const speaking = upNext === SPEAKERS.USER ? SPEAKERS.PARTNER : SPEAKERS.USER;
+    return ` ${speakerLabel(speaking, profile)} just spoke; next turn: ${speakerLabel(upNext, profile)}.`;
+  }
+
+  resolveProfile(config) {
+    const override = config?.configurable?.profile;
+    return override ? createCoupleProfile(override) : this.profile;
+  }
+
+  // The mode for a request: input.mode, then configurable.mode, then the session's
+  // last-used mode, then the default. Unknown mode names are rejected.
+  async resolveRequestMode(input = {}, config = {}) {
+    const requested = input.mode ?? config.configurable?.mode;
+
+    if (requested !== undefined && requested !== null && requested !== '') {
+      const mode = resolveMode(requested);
+      if (!mode) {
+        throw new Error(`Invalid mode: ${requested}. Expected one of: ${Object.keys(MODES).join(', ')}`);
+      }
+      return mode;
+    }
+
+    return (await this.getLastMode(config.configurable?.sessionId, { userId: config.configurable?.userId })) || this.defaultMode;
+  }
+
+  // Resolve the target mode, the graph input and the merged config for a request
+  async prepareRequest(input, config = {}) {
+    // Determine which mode to use based on the request and session
+    const mode = await this.resolveRequestMode(input, config);
+    const userId = config.configurable?.userId || 'default_user';
+    const sessionId = config.configurable?.sessionId || 'default_session';
+
+    // Register the session so the user's threads can be exported or erased later
+    await recordSessionActivity(this.store, userId, sessionId);
+
     // Default configuration
     const defaultConfig = {
       configurable: {
-        thread_id: `${this.currentMode}_${config.configurable?.sessionId || 'default'}`,
+        thread_id: this.getThreadId(sessionId, { userId }),
         checkpoint_ns: "",
-        userId: config.configurable?.userId || 'default_user',
-        sessionId: config.configurable?.sessionId || 'default_session'
+        userId,
+        sessionId
       }
     };
 
+    // A framework choice sticks to the session, like the mode; "none" goes back to plain Solomon
+    const framework = input.framework && (resolveFramework(input.framework)?.id || NO_FRAMEWORK);
+
+    // Checked here so a wrong speaker fails before the graph runs; the router names the message
+    const speaker = mode === MODES.MEDIATOR && input.speaker ? resolveSpeaker(input.speaker) : null;
+
     const mergedConfig = {
       ...defaultConfig,
       ...config,
       configurable: {
         ...defaultConfig.configurable,
-        ...config.configurable
+        ...config.configurable,
+        ...(input.structuredVerdict !== undefined && { structuredVerdict: input.structuredVerdict }),
+        mode
       }
     };
 
-    // Determine which agent to use based on input or default
-    let mode = this.currentMode;
-    if (input.mode && MODES[input.mode.toUpperCase()]) {
-      mode = MODES[input.mode.toUpperCase()];
-    }
+    return {
+      mode,
+      graphInput: {
+        mode,
+        ...(framework && { framework }),
+        ...(speaker && { speaker }),
+        messages: input.messages || [{ role: "user", content: input.input || input.content || "" }]
+      },
+      config: mergedConfig
+    };
+  }
 
-    if (!this.agents[mode]) {
-      throw new Error(`Agent not initialized for mode: ${mode}`);
-    }
+  async invoke(input, config = {}) {
+    await this.initialize();
 
-    // Invoke the appropriate agent
-    const response = await this.agents[mode].invoke(
-      { messages: input.messages || [{ role: "user", content: input.input || input.content || "" }] },
-      mergedConfig
-    );
+    const request = await this.prepareRequest(input, config);
+
+    // Run the graph; the router hands the turn to the requested mode
+    const response = await this.graph.invoke(request.graphInput, request.config);
 
     return response;
   }
 
-  // Method to switch modes (for API usage)
-  setMode(mode) {
-    if (MODES[mode.toUpperCase()]) {
-      this.currentMode = MODES[mode.toUpperCase()];
-      return true;
+  // Yields token, tool_start/tool_end and final events as the agent works
+  async *stream(input, config = {}) {
+    await this.initialize();
+
+    const request = await this.prepareRequest(input, config);
+
+    yield* streamAgentEvents(this.graph, request.graphInput, request.config);
+  }
+
+  // Sessions are per user: the same sessionId of two users is two separate threads
+  getThreadId(sessionId, { userId = 'default_user' } = {}) {
+    return sessionThreadId(userId, sessionId);
+  }
+
+  // Latest checkpointed state of a user's session, read straight from the checkpointer
+  async getSessionState(sessionId, { userId } = {}) {
+    const tuple = await this.checkpointer.getTuple({
+      configurable: { thread_id: this.getThreadId(sessionId, { userId }), checkpoint_ns: "" }
+    });
+    return tuple?.checkpoint.channel_values || {};
+  }
+
+  // Last mode used in a session, remembered in the checkpointer
+  async getLastMode(sessionId, { userId } = {}) {
+    const { mode } = await this.getSessionState(sessionId, { userId });
+    return mode || null;
+  }
+
+  // Messages of one mode's transcript in a session (default: its last-used mode), oldest first.
+  // Older messages may have been folded into the mode's summary, see getSummary().
+  async getHistory(sessionId, mode, { userId } = {}) {
+    const resolvedMode = await this.resolveRequestMode({ mode }, { configurable: { sessionId, userId } });
+    const { modeMessages } = await this.getSessionState(sessionId, { userId });
+    return modeMessages?.[resolvedMode] || [];
+  }
+
+  // Whose turn it is in a session's joint (MEDIATOR) conversation
+  async getNextSpeaker(sessionId, { userId } = {}) {
+    const { modeMessages } = await this.getSessionState(sessionId, { userId });
+    return nextSpeaker(modeMessages?.[MODES.MEDIATOR]);
+  }
+
+  // Framework the session's Solomon judges by, or "none"
+  async getFramework(sessionId, { userId } = {}) {
+    const { framework } = await this.getSessionState(sessionId, { userId });
+    return framework || this.defaultFramework;
+  }
+
+  // Rolling summary of the messages trimmed from a mode's transcript, or null
+  async getSummary(sessionId, mode, { userId } = {}) {
+    const resolvedMode = await this.resolveRequestMode({ mode }, { configurable: { sessionId, userId } });
+    const { modeSummaries } = await this.getSessionState(sessionId, { userId });
+    return modeSummaries?.[resolvedMode] || null;
+  }
+
+  // A session's conversation across all modes, with verdicts and the stories saved
+  // in it, as Markdown or a standalone HTML page to share with a therapist
+  async exportTranscript(sessionId, { userId = 'default_user', format = TRANSCRIPT_FORMATS.MARKDOWN, toolCalls } = {}) {
+    const transcript = await collectTranscript(this, { userId, sessionId });
+    return renderTranscript(transcript, format, { profile: this.profile, toolCalls });
+  }
+
+  // Story history management (for API usage)
+  async listStories(userId = 'default_user', side) {
+    return listStories(this.store, userId, side);
+  }
+
+  // Recurring conflict topics, their frequency over time and who raises them
+  async getConflictAnalytics(userId = 'default_user', { caseId, period } = {}) {
+    return analyzeConflicts(await collectConflictEntries(this.store, { userId, caseId }), { period });
+  }
+
+  // Seeds both sides' stories from a chat log (plain text, JSON or CSV). Senders are
+  // matched to the couple by userName/partnerName, defaulting to the profile's names.
+  async importChatLog(userId = 'default_user', content, options = {}) {
+    return importChatLog(this.store, {
+      userId,
+      content,
+      ...options,
+      userName: options.userName || this.profile.user.name,
+      partnerName: options.partnerName || this.profile.partner.name
+    });
+  }
+
+  async editStory(userId, side, id, content) {
+    return updateStory(this.store, userId, side, id, content);
+  }
+
+  async deleteStory(userId, side, id) {
+    const deleted = await deleteStory(this.store, userId, side, id);
+    if (deleted) {
+      this.historyIndex.forgetStories([id]);
     }
-    return false;
+    return deleted;
+  }
+
+  // Sessions (for API usage)
+  async createSession(userId = 'default_user') {
+    return createSession(this.store, userId);
+  }
+
+  async listSessions(userId = 'default_user') {
+    return listSessions(this.store, userId);
+  }
+
+  // The user's record of a session, or null when they have never used it
+  async getSession(userId = 'default_user', sessionId) {
+    return getSession(this.store, userId, sessionId);
+  }
+
+  // Everyone who has used a session id
+  async listSessionUsers(sessionId) {
+    return listSessionUsers(this.store, sessionId);
+  }
+
+  // Shared cases where each partner speaks for themselves (for API usage).
+  // Pass the caseId as configurable.caseId alongside each participant's own userId.
+  async createCase(userId) {
+    return createCase(this.store, userId);
+  }
+
+  async joinCase(caseId, userId) {
+    return joinCase(this.store, caseId, userId);
+  }
+
+  async getCase(caseId) {
+    return getCase(this.store, caseId);
+  }
+
+  // Action plan items agreed in Solomon mode (for API and CLI usage)
+  async listCommitments(userId = 'default_user', options = {}) {
+    return listCommitments(this.store, userId, options);
+  }
+
+  async updateCommitment(userId, id, update) {
+    return updateCommitment(this.store, userId, id, update);
+  }
+
+  // Privacy: everything stored about a user, as JSON, and erasing it from
+  // both the store and the checkpointer
+  async exportUserData(userId) {
+    return exportUserData(this, userId);
+  }
+
+  async eraseUserData(userId) {
+    const stories = await listStories(this.store, userId);
+    const erased = await eraseUserData(this, userId);
+    this.historyIndex.forget(userId);
+    this.historyIndex.forgetStories(stories.map(story => story.id));
+    return erased;
+  }
+
+  // Messages the safety guardrail intercepted (categories only, not the text)
+  async listSafetyEvents(userId = 'default_user') {
+    return listSafetyEvents(this.store, userId);
+  }
+
+  // Releases the data directory of file persistence so another agent can open it
+  close() {
+    this.closePersistence();
   }
 
   // Get available modes
@@ -298,14 +852,24 @@ Session Info: You are in ${mode} mode for user ${userId} in session ${sessionId}
     }));
   }
 
+  // Registered counselling frameworks, including FRAMEWORK_MODULES (for API and CLI usage)
+  async getFrameworks() {
+    await this.loadFrameworks();
+    return listFrameworks().map(({ id, name, description }) => ({ id, name, description }));
+  }
+
   getModeDescription(mode) {
+    const partner = describePartner(this.profile);
+
     switch (mode) {
       case MODES.USER:
         return 'Your Perspective - Takes your side and validates your feelings';
-      case MODES.WIFE:
-        return 'Her Perspective - Role-plays as your wife responding to complaints';
+      case MODES.PARTNER:
+        return `${partner.possessiveLabel} Perspective (Simulated) - Role-plays as ${partner.yourLabel} responding to complaints`;
       case MODES.SOLOMON:
         return 'King Solomon - Wise, neutral judge with access to both perspectives';
+      case MODES.MEDIATOR:
+        return 'Joint Session - Both of you in the room, taking turns while a mediator keeps the exchange structured';
       default:
         return 'Unknown Mode';
     }
@@ -0,0 +1,143 @@
+import { describePartner } from './profile.js';
+import { collectBothStories, isFirstHand } from './stories.js';
+import { INTENSITIES, TOPIC_LABELS, tagStory } from './tagging.js';
+
+// Conflict patterns across a couple's whole story history: which topics keep
+// coming back, how often over time and who raises them. Built from the tags
+// saveStory() attaches to every entry (untagged older entries are tagged here).
+export const ANALYTICS_PERIODS = {
+  WEEK: 'week',
+  MONTH: 'month'
+};
+
+// Who an entry came from: the user, the partner in their own words, or the role-play
+const RAISED_BY = ['user', 'partner', 'simulatedPartner'];
+
+// A topic is recurring once it comes up in more than one session
+const RECURRING_SESSIONS = 2;
+
+// "2024-03" for a month, the Monday it starts on for a week
+function periodOf(createdAt, period) {
+  if (period === ANALYTICS_PERIODS.MONTH) {
+    return createdAt.slice(0, 7);
+  }
+  const date = new Date(createdAt.slice(0, 10));
+  date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+  return date.toISOString().slice(0, 10);
+}
+
+const emptyCounts = keys => Object.fromEntries(keys.map(key => [key, 0]));
+
+// Every story on both sides as Solomon sees them, marked with who raised it
+export async function collectConflictEntries(store, { userId, caseId }) {
+  const { user, partner, simulatedPartner } = await collectBothStories(store, userId, caseId);
+  return [
+    ...user.map(entry => ({ ...entry, raisedBy: 'user' })),
+    ...partner.map(entry => ({ ...entry, raisedBy: 'partner' })),
+    ...simulatedPartner.map(entry => ({ ...entry, raisedBy: isFirstHand(entry) ? 'partner' : 'simulatedPartner' }))
+  ].sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+export function analyzeConflicts(entries, { period = ANALYTICS_PERIODS.MONTH } = {}) {
+  if (!Object.values(ANALYTICS_PERIODS).includes(period)) {
+    throw new Error(`Unknown period: ${period}. Expected one of: ${Object.values(ANALYTICS_PERIODS).join(', ')}`);
+  }
+
+  const topics = new Map();
+  const timeline = new Map();
+  const intensity = emptyCounts(Object.values(INTENSITIES));
+  const blame = emptyCounts(RAISED_BY);
+  const sessions = new Set();
+
+  for (const entry of entries) {
+    const tags = entry.tags || tagStory(entry.content);
+    // Stories saved outside a session (e.g. old data) count once per day
+    const session = entry.sessionId || entry.createdAt.slice(0, 10);
+    const bucket = periodOf(entry.createdAt, period);
+    sessions.add(session);
+    intensity[tags.intensity]++;
+    if (tags.blame.length) {
+      blame[entry.raisedBy]++;
+    }
+
+    const slot = timeline.get(bucket) || { period: bucket, stories: 0, topics: {} };
+    slot.stories++;
+    timeline.set(bucket, slot);
+
+    for (const topic of tags.topics) {
+      const stats = topics.get(topic) || {
+        topic,
+        count: 0,
+        sessions: new Set(),
+        raisedBy: emptyCounts(RAISED_BY),
+        intensity: emptyCounts(Object.values(INTENSITIES)),
+        firstSeen: entry.createdAt,
+        lastSeen: entry.createdAt
+      };
+      stats.count++;
+      stats.sessions.add(session);
+      stats.raisedBy[entry.raisedBy]++;
+      stats.intensity[tags.intensity]++;
+      stats.lastSeen = entry.createdAt;
+      topics.set(topic, stats);
+      slot.topics[topic] = (slot.topics[topic] || 0) + 1;
+    }
+  }
+
+  return {
+    period,
+    stories: entries.length,
+    sessions: sessions.size,
+    topics: [...topics.values()]
+      .map(stats => ({ ...stats, sessions: stats.sessions.size, recurring: stats.sessions.size >= RECURRING_SESSIONS }))
+      .sort((a, b) => b.sessions - a.sessions || b.count - a.count),
+    timeline: [...timeline.values()].sort((a, b) => a.period.localeCompare(b.period)),
+    intensity,
+    blame
+  };
+}
+
+function plural(count, word) {
+  return `${count} ${count === 1 ? word : `${word.replace(/y$/, 'ie')}s`}`;
+}
+
+function raisedByLabels(profile) {
+  const { titleLabel } = describePartner(profile);
+  return { user: 'User', partner: titleLabel, simulatedPartner: `${titleLabel} (SIMULATED)` };
+}
+
+function describeRaisedBy(counts, labels) {
+  return RAISED_BY.filter(key => counts[key]).map(key => `${labels[key]} ${counts[key]}`).join(', ');
+}
+
+export function formatConflictReport(report, profile) {
+  if (!report.stories) {
+    return 'No stories saved yet, so there are no conflict patterns to report.';
+  }
+
+  const labels = raisedByLabels(profile);
+  const recurring = report.topics.filter(topic => topic.recurring);
+  const oneOff = report.topics.filter(topic => !topic.recurring);
+  const lines = [`📊 CONFLICT PATTERNS (${plural(report.stories, 'story')} across ${plural(report.sessions, 'session')}):`];
+
+  lines.push('', 'Recurring topics:');
+  lines.push(...(recurring.length
+    ? recurring.map(topic => `- ${TOPIC_LABELS[topic.topic] || topic.topic}: ${plural(topic.count, 'story')} in ${topic.sessions} sessions, ${topic.firstSeen.slice(0, 10)} to ${topic.lastSeen.slice(0, 10)}; raised by ${describeRaisedBy(topic.raisedBy, labels)}${topic.intensity.high ? `; ${topic.intensity.high} heated` : ''}`)
+    : ['- None yet - no topic has come up in more than one session']));
+
+  if (oneOff.length) {
+    lines.push('', `Only in one session: ${oneOff.map(topic => `${TOPIC_LABELS[topic.topic] || topic.topic} (${describeRaisedBy(topic.raisedBy, labels)})`).join(', ')}`);
+  }
+
+  lines.push('', `Over time (by ${report.period}):`);
+  lines.push(...report.timeline.map(slot => {
+    const topics = Object.entries(slot.topics).map(([topic, count]) => `${TOPIC_LABELS[topic] || topic} ${count}`).join(', ');
+    return `- ${slot.period}: ${plural(slot.stories, 'story')}${topics ? ` (${topics})` : ''}`;
+  }));
+
+  const blamed = describeRaisedBy(report.blame, labels);
+  lines.push('', `Intensity: ${report.intensity.high} heated, ${report.intensity.medium} tense, ${report.intensity.low} calm`);
+  lines.push(`Blaming language (stories): ${blamed || 'none'}`);
+
+  return lines.join("\n");
+}
@@ -0,0 +1,110 @@
+import { v4 as uuidv4 } from 'uuid';
+import { searchAll } from './store.js';
+
+// A case is a shared conflict that both partners join with their own userId.
+// Each participant tells their side through their own threads, and Solomon
+// reads both real accounts instead of a role-played one.
+const CASES_NAMESPACE = ["cases"];
+const MAX_PARTICIPANTS = 2;
+
+// Why a case was refused, so the HTTP API can tell a missing case from one the
+// user isn't part of
+export const CASE_ERRORS = {
+  NOT_FOUND: 'not_found',
+  NOT_PARTICIPANT: 'not_participant',
+  FULL: 'full'
+};
+
+export class CaseError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+export async function createCase(store, userId) {
+  const caseId = uuidv4();
+  const now = new Date().toISOString();
+  const record = {
+    caseId,
+    createdAt: now,
+    participants: [{ userId, joinedAt: now }]
+  };
+
+  await store.put(CASES_NAMESPACE, caseId, record);
+  return record;
+}
+
+export async function getCase(store, caseId) {
+  const item = await store.get(CASES_NAMESPACE, caseId);
+  return item?.value || null;
+}
+
+// Joining is idempotent for existing participants
+export async function joinCase(store, caseId, userId) {
+  const record = await getCase(store, caseId);
+  if (!record) {
+    throw new CaseError(CASE_ERRORS.NOT_FOUND, `Case not found: ${caseId}`);
+  }
+
+  if (record.participants.some(participant => participant.userId === userId)) {
+    return record;
+  }
+
+  if (record.participants.length >= MAX_PARTICIPANTS) {
+    throw new CaseError(CASE_ERRORS.FULL, `Case ${caseId} already has ${MAX_PARTICIPANTS} participants`);
+  }
+
+  const updated = {
+    ...record,
+    participants: [...record.participants, { userId, joinedAt: new Date().toISOString() }]
+  };
+
+  await store.put(CASES_NAMESPACE, caseId, updated);
+  return updated;
+}
+
+// Loads a case and checks that userId belongs to it
+export async function getCaseForParticipant(store, caseId, userId) {
+  const record = await getCase(store, caseId);
+  if (!record) {
+    throw new CaseError(CASE_ERRORS.NOT_FOUND, `Case not found: ${caseId}`);
+  }
+
+  if (!record.participants.some(participant => participant.userId === userId)) {
+    throw new CaseError(CASE_ERRORS.NOT_PARTICIPANT, `User ${userId} is not a participant in case ${caseId}`);
+  }
+
+  return record;
+}
+
+// Every case a user takes part in
+export async function listCasesForParticipant(store, userId) {
+  const items = await searchAll(store, CASES_NAMESPACE);
+  return items
+    .map(item => item.value)
+    .filter(record => record.participants.some(participant => participant.userId === userId));
+}
+
+// Removes a participant; a case nobody is left in is deleted
+export async function leaveCase(store, caseId, userId) {
+  const record = await getCase(store, caseId);
+  if (!record) {
+    return null;
+  }
+
+  const participants = record.participants.filter(participant => participant.userId !== userId);
+  if (!participants.length) {
+    await store.delete(CASES_NAMESPACE, caseId);
+    return null;
+  }
+
+  const updated = { ...record, participants };
+  await store.put(CASES_NAMESPACE, caseId, updated);
+  return updated;
+}
+
+// The other participant's userId, or null if they haven't joined yet
+export function getOtherParticipantId(record, userId) {
+  return record.participants.find(participant => participant.userId !== userId)?.userId || null;
+}
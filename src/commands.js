@@ -0,0 +1,244 @@
+import { parseArgs } from 'util';
+import { v4 as uuidv4 } from 'uuid';
+import { MarriageCounselorAgent } from './agent.js';
+import { MODES, resolveMode } from './modes.js';
+import { describePartner } from './profile.js';
+import { STORY_SIDES, isFirstHand, originLabel } from './stories.js';
+import { SPEAKERS } from './mediation.js';
+import { NO_FRAMEWORK } from './frameworks/index.js';
+import { serializeMessage } from './messages.js';
+
+// Non-interactive subcommands of the terminal interface, for scripts and pipes:
+//
+//   say [--mode m] [--session id] [--speaker s] [--framework f] [--verdict] [message]
+//   sessions list
+//   stories show [--side user|partner] [--session id]
+//
+// Every command takes --user <id> and --json. Replies and listings go to stdout,
+// errors to stderr, and the exit code says how it went.
+export const EXIT_CODES = {
+  OK: 0,
+  FAILURE: 1,
+  USAGE: 2
+};
+
+export const USAGE = `Usage:
+  node src/index.js                          Interactive menu (the default)
+  node src/index.js say [options] [message]  Send one message and print the reply.
+                                             Reads the message from stdin when none (or "-") is given
+  node src/index.js sessions list            List your sessions, oldest first
+  node src/index.js stories show             Show the stories saved for both sides
+  node src/index.js help                     Show this help
+
+Options:
+  --user <id>        Whose data to use (default: USER_ID or user_1)
+  --json             Print JSON instead of text
+  --mode <mode>      say: USER, PARTNER, SOLOMON or MEDIATOR (default: the session's last mode)
+  --session <id>     say: session to continue (default: SESSION_ID or a new session)
+                     stories show: only stories saved in this session
+  --speaker <who>    say, MEDIATOR mode: user or partner (default: whoever's turn it is)
+  --framework <id>   say: counselling framework for King Solomon, or "none"
+  --verdict          say: add King Solomon's structured verdict to --json output
+  --side <side>      stories show: user or partner (default: both)
+
+Exit codes: 0 success, 1 the command failed, 2 invalid usage`;
+
+// Wrong arguments rather than a failure while running
+class UsageError extends Error {}
+
+const OPTIONS = {
+  user: { type: 'string' },
+  json: { type: 'boolean', default: false },
+  mode: { type: 'string' },
+  session: { type: 'string' },
+  speaker: { type: 'string' },
+  framework: { type: 'string' },
+  verdict: { type: 'boolean', default: false },
+  side: { type: 'string' },
+  help: { type: 'boolean', short: 'h', default: false }
+};
+
+// Options each command accepts besides --user, --json and --help
+const COMMANDS = {
+  say: ['mode', 'session', 'speaker', 'framework', 'verdict'],
+  'sessions list': [],
+  'stories show': ['side', 'session'],
+  help: []
+};
+
+// The subcommand and its options, or null when there is none (interactive mode)
+export function parseCommand(argv) {
+  if (!argv.length) {
+    return null;
+  }
+
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  const { values, positionals } = parsed;
+  if (values.help) {
+    return { name: 'help', options: values, args: [] };
+  }
+
+  const [first, second, ...rest] = positionals;
+  const name = [`${first} ${second}`, first].find(candidate => COMMANDS[candidate]);
+  if (!name) {
+    throw new UsageError(`Unknown command: ${positionals.join(' ') || argv.join(' ')}. Expected one of: ${Object.keys(COMMANDS).join(', ')}`);
+  }
+
+  const args = name === first ? positionals.slice(1) : rest;
+  const allowed = ['user', 'json', 'help', ...COMMANDS[name]];
+  const unexpected = Object.keys(values).filter(option => !allowed.includes(option) && values[option] !== OPTIONS[option].default);
+  if (unexpected.length) {
+    throw new UsageError(`${name} does not take --${unexpected.join(', --')}`);
+  }
+  if (name !== 'say' && args.length) {
+    throw new UsageError(`Unexpected argument for ${name}: ${args.join(' ')}`);
+  }
+
+  return { name, options: values, args };
+}
+
+function requireChoice(name, value, allowed) {
+  if (!allowed.includes(value)) {
+    throw new UsageError(`Unknown ${name}: ${value}. Expected one of: ${allowed.join(', ')}`);
+  }
+  return value;
+}
+
+async function readStream(stream) {
+  let text = '';
+  for await (const chunk of stream) {
+    text += chunk;
+  }
+  return text;
+}
+
+// The message from the arguments, or everything piped in
+async function readMessage(args, stdin) {
+  if (args.length && !(args.length === 1 && args[0] === '-')) {
+    return args.join(' ');
+  }
+  if (stdin.isTTY) {
+    throw new UsageError('No message given. Pass it as an argument or pipe it in');
+  }
+  return readStream(stdin);
+}
+
+const writeLine = (stream, text) => stream.write(`${text}\n`);
+
+async function say(agent, { options, args }, { stdin, stdout, stderr }) {
+  const content = (await readMessage(args, stdin)).trim();
+  if (!content) {
+    throw new UsageError('The message is empty');
+  }
+
+  const mode = options.mode && resolveMode(options.mode);
+  if (options.mode && !mode) {
+    throw new UsageError(`Unknown mode: ${options.mode}. Expected one of: ${Object.keys(MODES).join(', ')}`);
+  }
+  const speaker = options.speaker && requireChoice('speaker', options.speaker, Object.values(SPEAKERS));
+  const framework = options.framework && requireChoice('framework', options.framework, [NO_FRAMEWORK, ...(await agent.getFrameworks()).map(({ id }) => id)]);
+
+  const sessionId = options.session || process.env.SESSION_ID || uuidv4();
+  const config = { configurable: { userId: options.user, sessionId } };
+  const resolvedMode = await agent.resolveRequestMode({ mode }, config);
+  const response = await agent.invoke({
+    mode: resolvedMode,
+    content,
+    ...(speaker && { speaker }),
+    ...(framework && { framework }),
+    structuredVerdict: options.verdict
+  }, config);
+  const reply = response.messages.at(-1);
+
+  if (options.json) {
+    writeLine(stdout, JSON.stringify({
+      sessionId,
+      mode: resolvedMode,
+      message: serializeMessage(reply),
+      ...(response.verdict && { verdict: response.verdict }),
+      ...(response.verdictError && { verdictError: response.verdictError }),
+      ...(response.safety && { safety: response.safety }),
+      ...(resolvedMode === MODES.MEDIATOR && { nextSpeaker: await agent.getNextSpeaker(sessionId, { userId: options.user }) })
+    }, null, 2));
+    return;
+  }
+
+  // Scripts need the id to continue a session they didn't name
+  if (!options.session && !process.env.SESSION_ID) {
+    writeLine(stderr, `Session: ${sessionId}`);
+  }
+  writeLine(stdout, String(reply.content));
+}
+
+async function listSessions(agent, { options }, { stdout }) {
+  const sessions = await Promise.all((await agent.listSessions(options.user)).map(async session => ({
+    ...session,
+    mode: await agent.getLastMode(session.sessionId, { userId: options.user })
+  })));
+
+  if (options.json) {
+    writeLine(stdout, JSON.stringify(sessions, null, 2));
+    return;
+  }
+  // One session per line, tab-separated: id, created, last active, last mode
+  for (const session of sessions) {
+    writeLine(stdout, [session.sessionId, session.createdAt, session.lastActiveAt || session.createdAt, session.mode || '-'].join("\t"));
+  }
+}
+
+async function showStories(agent, { options }, { stdout }) {
+  const side = options.side && requireChoice('side', options.side, Object.values(STORY_SIDES));
+  const stories = (await agent.listStories(options.user, side))
+    .filter(story => !options.session || story.sessionId === options.session);
+
+  if (options.json) {
+    writeLine(stdout, JSON.stringify(stories, null, 2));
+    return;
+  }
+
+  const labels = { [STORY_SIDES.USER]: 'You', [STORY_SIDES.PARTNER]: describePartner(agent.profile).titleLabel };
+  for (const story of stories) {
+    const source = isFirstHand(story) ? ` (${originLabel(story)})` : '';
+    writeLine(stdout, `[${story.createdAt.slice(0, 10)}] ${labels[story.side]}${source}: ${story.content}`);
+  }
+}
+
+const HANDLERS = {
+  say,
+  'sessions list': listSessions,
+  'stories show': showStories
+};
+
+// Runs a subcommand and returns the exit code. createAgent is only called once
+// the arguments are valid, so usage errors never need an API key.
+export async function runCommand(argv, {
+  createAgent = () => new MarriageCounselorAgent(),
+  stdin = process.stdin,
+  stdout = process.stdout,
+  stderr = process.stderr
+} = {}) {
+  try {
+    const command = parseCommand(argv);
+    if (!command || command.name === 'help') {
+      writeLine(stdout, USAGE);
+      return EXIT_CODES.OK;
+    }
+
+    command.options.user ??= process.env.USER_ID || 'user_1';
+    await HANDLERS[command.name](createAgent(), command, { stdin, stdout, stderr });
+    return EXIT_CODES.OK;
+  } catch (error) {
+    writeLine(stderr, `❌ ${error.message}`);
+    if (error instanceof UsageError) {
+      writeLine(stderr, 'Run "node src/index.js help" for usage.');
+      return EXIT_CODES.USAGE;
+    }
+    return EXIT_CODES.FAILURE;
+  }
+}
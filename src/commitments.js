@@ -0,0 +1,106 @@
+import { v4 as uuidv4 } from 'uuid';
+import { describePartner } from './profile.js';
+import { searchAll } from './store.js';
+
+// Commitments are the concrete actions a couple agrees to after Solomon's advice.
+// They live in the long-term store under ["commitments", userId] so the next
+// session can check what was tried, what worked and what is still open.
+export const COMMITMENT_OWNERS = {
+  USER: 'user',
+  PARTNER: 'partner',
+  BOTH: 'both'
+};
+
+export const COMMITMENT_STATUSES = {
+  OPEN: 'open',
+  DONE: 'done',
+  DROPPED: 'dropped'
+};
+
+export function commitmentNamespace(userId) {
+  return ["commitments", userId];
+}
+
+export async function recordCommitment(store, { userId, owner, action, sessionId, caseId }) {
+  const id = uuidv4();
+  const now = new Date().toISOString();
+  const value = {
+    owner,
+    action,
+    status: COMMITMENT_STATUSES.OPEN,
+    progress: [],
+    sessionId,
+    ...(caseId && { caseId }),
+    createdAt: now,
+    updatedAt: now
+  };
+
+  await store.put(commitmentNamespace(userId), id, value);
+  return { id, ...value };
+}
+
+// Adds a progress note and/or changes the status; notes are kept as a history
+export async function updateCommitment(store, userId, id, { status, note, sessionId }) {
+  const existing = await store.get(commitmentNamespace(userId), id);
+  if (!existing) {
+    throw new Error(`No commitment found with id: ${id}`);
+  }
+
+  if (status && !Object.values(COMMITMENT_STATUSES).includes(status)) {
+    throw new Error(`Unknown commitment status: ${status}`);
+  }
+
+  const now = new Date().toISOString();
+  const value = {
+    ...existing.value,
+    status: status || existing.value.status,
+    progress: [
+      ...existing.value.progress,
+      { note: note || null, status: status || existing.value.status, sessionId, at: now }
+    ],
+    updatedAt: now
+  };
+
+  await store.put(commitmentNamespace(userId), id, value);
+  return { id, ...value };
+}
+
+// Returns commitments oldest first, optionally only one status and/or one case
+export async function listCommitments(store, userId, { status, caseId } = {}) {
+  const items = await searchAll(store, commitmentNamespace(userId));
+  return items
+    .filter(item => item.namespace[1] === userId)
+    .map(item => ({ id: item.key, ...item.value }))
+    .filter(commitment => !status || commitment.status === status)
+    .filter(commitment => !caseId || commitment.caseId === caseId)
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+export function ownerLabel(owner, profile) {
+  const partner = describePartner(profile);
+  switch (owner) {
+    case COMMITMENT_OWNERS.USER:
+      return 'User';
+    case COMMITMENT_OWNERS.PARTNER:
+      return partner.titleLabel;
+    default:
+      return 'Both';
+  }
+}
+
+export function formatCommitments(commitments, profile) {
+  if (!commitments.length) {
+    return "No commitments recorded yet";
+  }
+
+  return commitments
+    .map(commitment => {
+      const lastNote = commitment.progress.filter(entry => entry.note).at(-1);
+      let line = `- [${commitment.id}] (${commitment.status}) ${ownerLabel(commitment.owner, profile)}: ${commitment.action} - since ${commitment.createdAt}`;
+      if (lastNote) {
+        line += `\n  Latest progress (${lastNote.at}): ${lastNote.note}`;
+      }
+      return line;
+    })
+    .join("\n");
+}
@@ -0,0 +1,189 @@
+import crypto from 'crypto';
+import { BaseStore, BaseCheckpointSaver } from "@langchain/langgraph-checkpoint";
+import { threadUserId } from './state.js';
+
+// Encryption at rest for the long-term store and the checkpointer. Values are
+// sealed with AES-256-GCM before they reach the underlying backend and opened
+// again on the way out. Keys are derived from one configured secret (or
+// passphrase), one key per user: store values by the userId in their namespace,
+// checkpoints by the user their thread belongs to. Threads that don't name a user
+// get a key per thread. Reading with the wrong secret fails loudly instead of
+// returning garbage.
+const ALGORITHM = 'aes-256-gcm';
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+const ENVELOPE_VERSION = 1;
+// Fixed application salt: the secret itself is the only input that has to stay private
+const KDF_SALT = 'marriage-counselor-agent:v1';
+// Namespaces without a user (e.g. ["cases"]) share one key
+const SHARED_SCOPE = 'shared';
+
+// Sealed values look like { __encrypted: { v, iv, tag, data } } so plaintext
+// written before encryption was enabled can still be told apart and read
+function isEnvelope(value) {
+  return Boolean(value && typeof value === 'object' && value.__encrypted?.v === ENVELOPE_VERSION);
+}
+
+export class Encryptor {
+  constructor(secret) {
+    if (!secret) {
+      throw new Error('An encryption secret is required');
+    }
+    this.masterKey = crypto.scryptSync(String(secret), KDF_SALT, KEY_BYTES);
+    this.keys = new Map();
+  }
+
+  keyFor(scope) {
+    if (!this.keys.has(scope)) {
+      this.keys.set(scope, Buffer.from(crypto.hkdfSync('sha256', this.masterKey, Buffer.alloc(0), scope, KEY_BYTES)));
+    }
+    return this.keys.get(scope);
+  }
+
+  sealBytes(scope, bytes) {
+    const iv = crypto.randomBytes(IV_BYTES);
+    const cipher = crypto.createCipheriv(ALGORITHM, this.keyFor(scope), iv);
+    const data = Buffer.concat([cipher.update(bytes), cipher.final()]);
+
+    return {
+      __encrypted: {
+        v: ENVELOPE_VERSION,
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        data: data.toString('base64')
+      }
+    };
+  }
+
+  openBytes(scope, envelope) {
+    const { iv, tag, data } = envelope.__encrypted;
+    try {
+      const decipher = crypto.createDecipheriv(ALGORITHM, this.keyFor(scope), Buffer.from(iv, 'base64'));
+      decipher.setAuthTag(Buffer.from(tag, 'base64'));
+      return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]);
+    } catch (error) {
+      throw new Error('Cannot decrypt stored data: the encryption secret is wrong or the data was tampered with');
+    }
+  }
+
+  seal(scope, value) {
+    return this.sealBytes(scope, Buffer.from(JSON.stringify(value), 'utf8'));
+  }
+
+  open(scope, value) {
+    return isEnvelope(value) ? JSON.parse(this.openBytes(scope, value).toString('utf8')) : value;
+  }
+}
+
+function storeScope(namespace) {
+  return namespace.length > 1 ? `user:${namespace[1]}` : SHARED_SCOPE;
+}
+
+// Wraps any BaseStore. Namespaces and keys stay readable (they are needed for
+// lookups); only values are encrypted.
+export class EncryptedStore extends BaseStore {
+  constructor(store, encryptor) {
+    super();
+    this.store = store;
+    this.encryptor = encryptor;
+  }
+
+  openItem(item) {
+    return item && { ...item, value: this.encryptor.open(storeScope(item.namespace), item.value) };
+  }
+
+  async batch(operations) {
+    const sealed = operations.map(op => ("value" in op && op.value !== null)
+      ? { ...op, value: this.encryptor.seal(storeScope(op.namespace), op.value) }
+      : op);
+
+    const results = await this.store.batch(sealed);
+
+    return results.map((result, index) => {
+      const op = operations[index];
+      if ("key" in op && !("value" in op)) {
+        return this.openItem(result);
+      }
+      if ("namespacePrefix" in op) {
+        return result.map(item => this.openItem(item));
+      }
+      return result;
+    });
+  }
+}
+
+// The same key as the user's store values
+function threadScope(config) {
+  const threadId = config.configurable?.thread_id;
+  const userId = threadUserId(threadId);
+  return userId !== null ? `user:${userId}` : `thread:${threadId}`;
+}
+
+// Wraps any BaseCheckpointSaver. Checkpoint metadata and versions stay readable
+// so LangGraph can navigate history; channel values and pending writes are sealed.
+export class EncryptedCheckpointSaver extends BaseCheckpointSaver {
+  constructor(saver, encryptor) {
+    super(saver.serde);
+    this.saver = saver;
+    this.encryptor = encryptor;
+  }
+
+  async sealValue(scope, value) {
+    const [, bytes] = await this.serde.dumpsTyped(value);
+    return this.encryptor.sealBytes(scope, Buffer.from(bytes));
+  }
+
+  async openValue(scope, value) {
+    return isEnvelope(value)
+      ? this.serde.loadsTyped("json", new Uint8Array(this.encryptor.openBytes(scope, value)))
+      : value;
+  }
+
+  async openTuple(tuple) {
+    if (!tuple) {
+      return tuple;
+    }
+
+    const scope = threadScope(tuple.config);
+    const { channel_values: channelValues } = tuple.checkpoint;
+    return {
+      ...tuple,
+      checkpoint: {
+        ...tuple.checkpoint,
+        channel_values: isEnvelope(channelValues) ? await this.openValue(scope, channelValues) : channelValues
+      },
+      pendingWrites: tuple.pendingWrites && await Promise.all(
+        tuple.pendingWrites.map(async ([taskId, channel, value]) => [taskId, channel, await this.openValue(scope, value)])
+      )
+    };
+  }
+
+  async getTuple(config) {
+    return this.openTuple(await this.saver.getTuple(config));
+  }
+
+  async *list(config, options) {
+    for await (const tuple of this.saver.list(config, options)) {
+      yield await this.openTuple(tuple);
+    }
+  }
+
+  async put(config, checkpoint, metadata, newVersions) {
+    const channelValues = await this.sealValue(threadScope(config), checkpoint.channel_values);
+    return this.saver.put(config, { ...checkpoint, channel_values: channelValues }, metadata, newVersions);
+  }
+
+  async putWrites(config, writes, taskId) {
+    const scope = threadScope(config);
+    const sealed = await Promise.all(writes.map(async ([channel, value]) => [channel, await this.sealValue(scope, value)]));
+    return this.saver.putWrites(config, sealed, taskId);
+  }
+
+  async deleteThread(threadId) {
+    return this.saver.deleteThread(threadId);
+  }
+
+  getNextVersion(current, channel) {
+    return this.saver.getNextVersion(current, channel);
+  }
+}
@@ -0,0 +1,118 @@
+import { BaseChatModel } from "@langchain/core/language_models/chat_models";
+import { AIMessage } from "@langchain/core/messages";
+import { VERDICT_NAME } from '../verdict.js';
+import { CONFLICT_TOPICS, TOPIC_LABELS, INTENSITIES, tagStory } from '../tagging.js';
+
+// Offline stand-in for King Solomon, so the fairness evaluation runs in CI
+// without an API key. It behaves like a well-mannered Solomon: it calls
+// get_both_stories, then judges from the stories' content alone (blame language
+// and heat on each side, the topics involved). Nothing about who is speaking or
+// their gender reaches the judgment, so on swapped scenarios it should score
+// perfectly - a baseline the real model can be compared against.
+const RECOMMENDATIONS = {
+  money: 'Agree a monthly budget together and review it weekly',
+  chores: 'Write down who does which chores and swap when it feels unfair',
+  in_laws: 'Decide together how often family visits, before asking the family',
+  parenting: 'Agree the house rules for the kids in private, then back each other up',
+  intimacy: 'Set aside unhurried time for affection without screens',
+  communication: 'Take turns speaking for five minutes without interrupting',
+  time_together: 'Put one protected evening a week in the calendar',
+  work: 'Share work schedules on Sunday and flag late days in advance',
+  trust: 'Agree what openness you each need and check in on it',
+  phones_and_screens: 'Keep phones out of meals and the bedroom'
+};
+
+const BLAME_RECOMMENDATION = "Replace 'you always' and 'you never' with one specific request";
+
+// The entries under each heading of formatBothStories(): the user's, then the partner's
+function parseBothStories(text) {
+  const [, ...sections] = text.split(/\n\n(?=\S+ \*\*)/);
+  const entries = section => (section || '')
+    .split("\n")
+    .slice(1)
+    .map(line => line.replace(/^\d+\.\s*(?:\[[^\]]*\]\s*)?(?:\([^)]*\)\s*)?/, '').trim())
+    .filter(line => line && line !== 'No story shared yet');
+
+  return {
+    user: entries(sections[0]),
+    partner: sections.slice(1).flatMap(entries)
+  };
+}
+
+function assessSide(entries) {
+  const tags = entries.map(tagStory);
+  return {
+    summary: entries.join(' ').slice(0, 200),
+    topics: [...new Set(tags.flatMap(tag => tag.topics))],
+    heat: tags.reduce((sum, tag) => sum + tag.blame.length + (tag.intensity === INTENSITIES.HIGH ? 1 : 0), 0)
+  };
+}
+
+export function judgeStories(storiesText) {
+  const { user, partner } = parseBothStories(storiesText);
+  const userSide = assessSide(user);
+  const partnerSide = assessSide(partner);
+  // In a fixed order, so it doesn't matter which side raised a topic first
+  const topics = Object.values(CONFLICT_TOPICS).filter(topic => userSide.topics.includes(topic) || partnerSide.topics.includes(topic));
+  const shared = topics.map(topic => RECOMMENDATIONS[topic]).filter(Boolean);
+  const recommend = side => [...shared, ...(side.heat ? [BLAME_RECOMMENDATION] : [])];
+  // Whoever brings more blame and heat carries more of the responsibility
+  const userShare = Math.max(10, Math.min(90, 50 + 10 * (userSide.heat - partnerSide.heat)));
+
+  return {
+    summary: { user: userSide.summary || 'No story shared', partner: partnerSide.summary || 'No story shared' },
+    underlyingIssues: topics.map(topic => TOPIC_LABELS[topic] || topic),
+    recommendations: { user: recommend(userSide), partner: recommend(partnerSide) },
+    fairness: {
+      assessment: userShare === 50 ? 'Responsibility is shared equally' : 'The side using more blame and heat carries more of it',
+      userShare
+    },
+    followUpQuestions: []
+  };
+}
+
+function describeJudgment(verdict) {
+  return `I can see that you feel strongly about this, and your partner does too. `
+    + `You carry about ${verdict.fairness.userShare}% of the responsibility and your partner ${100 - verdict.fairness.userShare}%. `
+    + `Here's what I think you should try: ${verdict.recommendations.user.join('; ') || 'keep talking'}. `
+    + `Your partner probably needs to: ${verdict.recommendations.partner.join('; ') || 'keep talking'}.`;
+}
+
+const messageText = message => typeof message.content === 'string' ? message.content : '';
+
+export class StubSolomonModel extends BaseChatModel {
+  constructor() {
+    super({});
+  }
+
+  _llmType() {
+    return 'stub-solomon';
+  }
+
+  // The stub decides which tool to call itself
+  bindTools() {
+    return this;
+  }
+
+  respond(messages) {
+    const toolCall = (name, args = {}) => new AIMessage({ content: '', tool_calls: [{ id: `call_${name}`, name, args, type: 'tool_call' }] });
+
+    // The structured verdict prompt: stories and judgment in one user message
+    if (messageText(messages[0]).includes(VERDICT_NAME)) {
+      const [stories] = messageText(messages.at(-1)).split("\n\n⚖️ KING SOLOMON'S JUDGMENT:");
+      return toolCall(VERDICT_NAME, judgeStories(stories));
+    }
+
+    const lastQuestion = messages.findLastIndex(message => message.getType() === 'human');
+    const stories = messages.slice(lastQuestion + 1).find(message => message.getType() === 'tool');
+    if (!stories) {
+      return toolCall('get_both_stories');
+    }
+    return new AIMessage(describeJudgment(judgeStories(messageText(stories))));
+  }
+
+  async _generate(messages) {
+    const message = this.respond(messages);
+    return { generations: [{ message, text: messageText(message) }] };
+  }
+}
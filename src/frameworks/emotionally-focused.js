@@ -0,0 +1,91 @@
+import { tool } from "@langchain/core/tools";
+import { z } from "zod";
+import { capitalize, describePartner } from '../profile.js';
+import { matchRules, statementSpeaker } from './statements.js';
+
+// Emotionally Focused Therapy (Sue Johnson): the couple against their negative
+// cycle, usually one partner pursuing (protest, criticism) while the other
+// withdraws (shutting down) - both out of attachment fears.
+const POSITIONS = {
+  PURSUE: 'pursue',
+  WITHDRAW: 'withdraw'
+};
+
+const RULES = {
+  [POSITIONS.PURSUE]: [
+    /\bi (?:keep|kept) (?:asking|telling|trying|texting|calling)\b/,
+    /\bwhy (?:won't|don't|can't) you (?:talk|listen|answer|tell|open up)\b/,
+    /\byou (?:never|don't) (?:listen|talk to me|answer|make time)\b/,
+    /\b(?:need|want) you to (?:talk|listen|be there|show)\b/,
+    /\b(?:chase|chasing|nag|nagging|push(?:ing)? for)\b/
+  ],
+  [POSITIONS.WITHDRAW]: [
+    /\b(?:shut|shuts|shutting) down\b/,
+    /\b(?:i need|give me) (?:some )?space\b/,
+    /\bwalk(?:s|ed)? away\b/,
+    /\b(?:go|went|retreat(?:ed)?) (?:quiet|silent|to my room)\b/,
+    /\b(?:leave me alone|don't want to talk|avoid(?:ing)? (?:the|this) (?:topic|conversation))\b/,
+    /\bwhatever i (?:say|do) (?:is|it's) (?:wrong|never enough)\b/
+  ]
+};
+
+// Who mostly pursues and who mostly withdraws: 'user', 'partner' or null
+export function mapCycle(statements) {
+  const matches = matchRules(statements, RULES);
+  const count = (position, speaker) => matches.filter(match => match.category === position && match.speaker === speaker).length;
+  const lean = speaker => count(POSITIONS.PURSUE, speaker) - count(POSITIONS.WITHDRAW, speaker);
+  const user = lean('user');
+  const partner = lean('partner');
+
+  return {
+    matches,
+    pursuer: user > partner ? 'user' : partner > user ? 'partner' : null,
+    withdrawer: user < partner ? 'user' : partner < user ? 'partner' : null
+  };
+}
+
+function formatCycle({ matches, pursuer, withdrawer }, profile) {
+  if (!matches.length) {
+    return 'No pursue or withdraw pattern shows up in the saved stories.';
+  }
+
+  const { titleLabel } = describePartner(profile);
+  const name = speaker => speaker === 'user' ? 'the user' : titleLabel;
+  const cycle = pursuer
+    ? `${capitalize(name(pursuer))} mostly pursues and ${name(withdrawer)} mostly withdraws.`
+    : 'No clear pursuer or withdrawer yet.';
+  const examples = matches.map(match => `  - ${match.category === POSITIONS.PURSUE ? 'Pursuing' : 'Withdrawing'}, ${statementSpeaker(match, profile)}: "${match.quote}"`);
+
+  return `🔄 NEGATIVE CYCLE: ${cycle}\n${examples.join("\n")}`;
+}
+
+export const emotionallyFocused = {
+  id: 'eft',
+  name: 'Emotionally Focused Therapy',
+  description: 'Frames the conflict as a pursue-withdraw cycle driven by attachment needs, with the couple united against the cycle',
+
+  prompt: partner => `Judge through Emotionally Focused Therapy (EFT). Call map_negative_cycle to see who pursues and who withdraws. The enemy is the cycle, not the user or ${partner.theLabel}: describe how each one's move triggers the other's, and look beneath the surface anger or distance for the softer attachment emotions (fear of rejection, of not mattering, of failing). Recommendations should help each of them reach for the other and respond to that reaching.`,
+
+  createTools: ({ loadStatements, resolveProfile }) => [
+    tool(
+      async (input, config) => formatCycle(mapCycle(await loadStatements(config)), resolveProfile(config)),
+      {
+        name: "map_negative_cycle",
+        description: "Find the pursue-withdraw cycle in both sides' saved stories: who reaches out or protests, and who shuts down or pulls away",
+        schema: z.object({})
+      }
+    )
+  ],
+
+  verdictFields: {
+    cycle: z.object({
+      pursuer: z.enum(['user', 'partner', 'unclear']),
+      withdrawer: z.enum(['user', 'partner', 'unclear']),
+      description: z.string().describe("How each one's move triggers the other's")
+    }),
+    attachmentNeeds: z.object({
+      user: z.array(z.string()).describe("The attachment fears and longings beneath the user's reactions"),
+      partner: z.array(z.string()).describe("The same for the partner")
+    })
+  }
+};
@@ -0,0 +1,98 @@
+import { tool } from "@langchain/core/tools";
+import { z } from "zod";
+import { matchRules, statementSpeaker } from './statements.js';
+
+// Gottman Method: the "Four Horsemen" that predict a relationship's breakdown,
+// each with the antidote the couple can practise instead.
+const HORSEMEN = {
+  CRITICISM: 'criticism',
+  CONTEMPT: 'contempt',
+  DEFENSIVENESS: 'defensiveness',
+  STONEWALLING: 'stonewalling'
+};
+
+const ANTIDOTES = {
+  [HORSEMEN.CRITICISM]: 'Gentle start-up: talk about your feelings and a specific need, not their character',
+  [HORSEMEN.CONTEMPT]: 'Build a culture of appreciation: say what you value in each other',
+  [HORSEMEN.DEFENSIVENESS]: 'Take responsibility, even for part of the problem',
+  [HORSEMEN.STONEWALLING]: 'Physiological self-soothing: call a 20-minute break, then come back to it'
+};
+
+// Phrase-based like the safety rules; good enough to point Solomon at examples
+const RULES = {
+  [HORSEMEN.CRITICISM]: [
+    /\byou (?:always|never)\b/,
+    /\byou(?: are|'re) (?:so|always|such an?|too) \w+/,
+    /\bwhat(?:'s| is) wrong with you\b/,
+    /\bwhy (?:can't|won't|don't) you ever\b/
+  ],
+  [HORSEMEN.CONTEMPT]: [
+    /\b(?:pathetic|disgusting|idiot|stupid|useless|loser|ridiculous)\b/,
+    /\broll(?:s|ed|ing)? (?:my|his|her|their) eyes\b/,
+    /\b(?:mock(?:s|ed|ing)?|sneer(?:s|ed|ing)?|sarcas\w*)\b/,
+    /\b(?:oh )?(?:great|wow), (?:another|here we go)\b/
+  ],
+  [HORSEMEN.DEFENSIVENESS]: [
+    /\b(?:it's|it is|it wasn't|it was not) (?:not )?my fault\b/,
+    /\bi didn't do anything\b/,
+    /\bwhat about (?:you|when you)\b/,
+    /\byou(?:'re| are) the one who\b/,
+    /\b(?:i only|i just) did (?:it|that) because you\b/
+  ],
+  [HORSEMEN.STONEWALLING]: [
+    /\b(?:shut|shuts|shutting) down\b/,
+    /\bwalk(?:s|ed)? (?:away|out)\b/,
+    /\bsilent treatment\b/,
+    /\b(?:stop|stops|stopped) (?:talking|responding|answering)\b/,
+    /\b(?:leave me alone|i'm done talking|not talking about this)\b/,
+    /\b(?:ignore|ignores|ignored|ignoring) (?:me|him|her|them|my)\b/
+  ]
+};
+
+export function detectHorsemen(statements) {
+  return matchRules(statements, RULES);
+}
+
+function formatHorsemen(matches, profile) {
+  if (!matches.length) {
+    return 'None of the Four Horsemen show up in the saved stories.';
+  }
+
+  return "🐎 FOUR HORSEMEN IN THE SAVED STORIES:\n" + Object.values(HORSEMEN)
+    .filter(horseman => matches.some(match => match.category === horseman))
+    .map(horseman => {
+      const examples = matches
+        .filter(match => match.category === horseman)
+        .map(match => `  - ${statementSpeaker(match, profile)}: "${match.quote}"`);
+      return `${horseman.toUpperCase()} (antidote: ${ANTIDOTES[horseman]})\n${examples.join("\n")}`;
+    })
+    .join("\n\n");
+}
+
+export const gottman = {
+  id: 'gottman',
+  name: 'Gottman Method',
+  description: 'Spots the Four Horsemen (criticism, contempt, defensiveness, stonewalling) and prescribes their antidotes',
+
+  prompt: partner => `Judge through the Gottman Method. Call detect_four_horsemen to find criticism, contempt, defensiveness and stonewalling in what each of you said, and name them when you see them - contempt is the most corrosive. For every horseman, give the antidote: gentle start-up instead of criticism, appreciation instead of contempt, taking responsibility instead of defensiveness, self-soothing instead of stonewalling. Look for bids for connection the user and ${partner.theLabel} turned away from, and encourage repair attempts.`,
+
+  createTools: ({ loadStatements, resolveProfile }) => [
+    tool(
+      async (input, config) => formatHorsemen(detectHorsemen(await loadStatements(config)), resolveProfile(config)),
+      {
+        name: "detect_four_horsemen",
+        description: "Find examples of criticism, contempt, defensiveness and stonewalling in both sides' saved stories, with the antidote for each",
+        schema: z.object({})
+      }
+    )
+  ],
+
+  verdictFields: {
+    fourHorsemen: z.array(z.object({
+      horseman: z.enum(Object.values(HORSEMEN)),
+      who: z.enum(['user', 'partner', 'both']),
+      example: z.string().describe("A short quote or description of where it showed up")
+    })).describe("The Four Horsemen found in the conflict"),
+    antidotes: z.array(z.string()).describe("The antidotes the couple should practise, most urgent first")
+  }
+};
@@ -0,0 +1,88 @@
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { gottman } from './gottman.js';
+import { nonviolentCommunication } from './nonviolent-communication.js';
+import { emotionallyFocused } from './emotionally-focused.js';
+
+// Counselling frameworks shape how King Solomon judges: each one adds a section
+// to his system prompt, its own analysis tools and extra fields in the structured
+// verdict. A framework is a plain object:
+//
+//   {
+//     id: 'gottman',                          // also the verdict key for its fields
+//     name: 'Gottman Method',
+//     description: 'One line for menus and GET /frameworks',
+//     prompt: (partner, profile) => '...',    // describePartner() and the couple profile
+//     createTools: ({ loadStatements }) => [], // LangChain tools for Solomon
+//     verdictFields: { ... }                  // zod shape, nested under verdict[id]
+//   }
+//
+// Built-ins are registered below; add your own with registerFramework() or list
+// module paths in FRAMEWORK_MODULES (each module default-exports a framework).
+// Frameworks have to be registered before the agent is initialized.
+export const NO_FRAMEWORK = 'none';
+
+const FRAMEWORK_ID = /^[a-z][a-z0-9_]*$/;
+
+const frameworks = new Map();
+
+export function registerFramework(framework) {
+  if (!framework || typeof framework !== 'object') {
+    throw new Error('A framework must be an object with an id, a name and a prompt');
+  }
+  if (!FRAMEWORK_ID.test(framework.id || '') || framework.id === NO_FRAMEWORK) {
+    throw new Error(`Invalid framework id: ${framework.id}. Use lowercase letters, digits and underscores`);
+  }
+  if (!framework.name || typeof framework.prompt !== 'function') {
+    throw new Error(`Framework ${framework.id} needs a name and a prompt function`);
+  }
+  if (frameworks.has(framework.id)) {
+    throw new Error(`Framework already registered: ${framework.id}`);
+  }
+
+  frameworks.set(framework.id, {
+    description: '',
+    createTools: () => [],
+    verdictFields: {},
+    ...framework
+  });
+  return frameworks.get(framework.id);
+}
+
+export function listFrameworks() {
+  return [...frameworks.values()];
+}
+
+// The framework registered under an id; null for "none" or no id at all
+export function resolveFramework(id) {
+  if (!id || id === NO_FRAMEWORK) {
+    return null;
+  }
+
+  const framework = frameworks.get(id);
+  if (!framework) {
+    throw new Error(`Unknown framework: ${id}. Expected one of: ${[NO_FRAMEWORK, ...frameworks.keys()].join(', ')}`);
+  }
+  return framework;
+}
+
+// Registers the default export of each module, e.g. FRAMEWORK_MODULES=./frameworks/imago.js.
+// Relative paths are resolved from the working directory.
+export async function loadFrameworkModules(specs = process.env.FRAMEWORK_MODULES) {
+  const loaded = [];
+  for (const spec of String(specs || '').split(',').map(item => item.trim()).filter(Boolean)) {
+    const url = spec.startsWith('.') || path.isAbsolute(spec) ? pathToFileURL(path.resolve(spec)).href : spec;
+    const module = await import(url);
+    const framework = module.default;
+    // Loading the same module twice (e.g. two agents in one process) is not an error
+    if (frameworks.get(framework?.id)?.source === url) {
+      continue;
+    }
+    loaded.push(registerFramework({ ...framework, source: url }));
+  }
+  return loaded;
+}
+
+for (const framework of [gottman, nonviolentCommunication, emotionallyFocused]) {
+  registerFramework(framework);
+}
@@ -0,0 +1,105 @@
+import { tool } from "@langchain/core/tools";
+import { z } from "zod";
+import { matchRules, statementSpeaker } from './statements.js';
+
+// Nonviolent Communication (Marshall Rosenberg): observations instead of
+// judgments, feelings instead of interpretations, then the needs beneath them
+// and a doable request.
+const CATEGORIES = {
+  JUDGMENT: 'judgment',
+  FEELING: 'feeling',
+  INTERPRETATION: 'interpretation'
+};
+
+// "I feel ignored" says what the other person did, not what I feel - each of
+// these interpretations points at a need
+const INTERPRETATION_NEEDS = {
+  ignored: 'attention, to be heard',
+  unheard: 'to be heard',
+  abandoned: 'connection, reliability',
+  disrespected: 'respect',
+  unappreciated: 'appreciation',
+  taken: 'appreciation, fairness', // "taken for granted"
+  controlled: 'autonomy',
+  criticized: 'acceptance',
+  judged: 'acceptance',
+  manipulated: 'honesty, trust',
+  betrayed: 'trust',
+  rejected: 'closeness',
+  pressured: 'choice',
+  attacked: 'safety'
+};
+
+const RULES = {
+  [CATEGORIES.JUDGMENT]: [
+    /\byou (?:always|never)\b/,
+    /\b(?:lazy|selfish|inconsiderate|careless|rude|thoughtless|controlling|nagging|irresponsible)\b/,
+    /\byou should(?:n't)?\b/
+  ],
+  [CATEGORIES.FEELING]: [
+    /\bi (?:feel|felt|am|was|get) (?:so |really |very )?(?:hurt|sad|lonely|angry|frustrated|scared|anxious|worried|exhausted|tired|overwhelmed|disappointed|embarrassed|resentful|confused)\b/
+  ],
+  [CATEGORIES.INTERPRETATION]: [
+    new RegExp(String.raw`\bi (?:feel|felt|am|was) (?:so |really |very |totally )?(?:${Object.keys(INTERPRETATION_NEEDS).join('|')})\b`)
+  ]
+};
+
+export function mapNeeds(statements) {
+  return matchRules(statements, RULES).map(match => {
+    if (match.category !== CATEGORIES.INTERPRETATION) {
+      return match;
+    }
+    const word = Object.keys(INTERPRETATION_NEEDS).find(key => match.quote.toLowerCase().includes(key));
+    return { ...match, need: INTERPRETATION_NEEDS[word] };
+  });
+}
+
+function formatNeeds(matches, profile) {
+  if (!matches.length) {
+    return 'No judgments, feelings or interpretations stand out in the saved stories.';
+  }
+
+  const section = (title, category, describe) => {
+    const lines = matches.filter(match => match.category === category).map(describe);
+    return lines.length ? [`${title}\n${lines.join("\n")}`] : [];
+  };
+
+  return "🕊️ NONVIOLENT COMMUNICATION MAP:\n" + [
+    ...section('JUDGMENTS (turn into observations: what exactly happened?)', CATEGORIES.JUDGMENT,
+      match => `  - ${statementSpeaker(match, profile)}: "${match.quote}"`),
+    ...section('FEELINGS', CATEGORIES.FEELING,
+      match => `  - ${statementSpeaker(match, profile)}: "${match.quote}"`),
+    ...section('INTERPRETATIONS (what the other person did, not a feeling) and the likely need', CATEGORIES.INTERPRETATION,
+      match => `  - ${statementSpeaker(match, profile)}: "${match.quote}" → need: ${match.need}`)
+  ].join("\n\n");
+}
+
+export const nonviolentCommunication = {
+  id: 'nvc',
+  name: 'Nonviolent Communication',
+  description: 'Separates observations from judgments and feelings from interpretations, then finds each person\'s needs and a doable request',
+
+  prompt: partner => `Judge through Nonviolent Communication (NVC). Call map_needs to separate judgments from observations and real feelings from interpretations like "ignored" or "disrespected" in what each of you said. Don't rule on who is right: help the user and ${partner.theLabel} each express observation → feeling → need → request ("When I see..., I feel... because I need... Would you be willing to...?"). Requests must be positive, concrete and doable, never demands.`,
+
+  createTools: ({ loadStatements, resolveProfile }) => [
+    tool(
+      async (input, config) => formatNeeds(mapNeeds(await loadStatements(config)), resolveProfile(config)),
+      {
+        name: "map_needs",
+        description: "Map both sides' saved stories to NVC: judgments to rephrase as observations, feelings, and interpretations with the need beneath them",
+        schema: z.object({})
+      }
+    )
+  ],
+
+  verdictFields: {
+    needs: z.object({
+      user: z.array(z.string()).describe("The user's unmet needs, e.g. 'to be heard'"),
+      partner: z.array(z.string()).describe("The partner's unmet needs")
+    }),
+    requests: z.object({
+      user: z.array(z.string()).describe("Requests the user could make, as 'Would you be willing to...?'"),
+      partner: z.array(z.string()).describe("Requests the partner could make")
+    })
+  }
+};
@@ -0,0 +1,37 @@
+import { describePartner } from '../profile.js';
+import { isFirstHand } from '../stories.js';
+
+// What each person said, flattened from collectBothStories() for framework tools:
+// [{ speaker: 'user' | 'partner', simulated, content }]
+export function toStatements({ user = [], partner = [], simulatedPartner = [] }) {
+  return [
+    ...user.map(entry => ({ speaker: 'user', simulated: false, content: entry.content })),
+    ...partner.map(entry => ({ speaker: 'partner', simulated: false, content: entry.content })),
+    ...simulatedPartner.map(entry => ({ speaker: 'partner', simulated: !isFirstHand(entry), content: entry.content }))
+  ];
+}
+
+// Splits statements into sentences and tags each with the rule categories it
+// matches. Rules are { category: [regex] }, tested on lowercased text.
+export function matchRules(statements, rules) {
+  const matches = [];
+  for (const statement of statements) {
+    for (const sentence of statement.content.split(/(?<=[.!?])\s+|\n+/)) {
+      const normalized = sentence.toLowerCase().replace(/[’‘]/g, "'");
+      for (const [category, patterns] of Object.entries(rules)) {
+        if (patterns.some(pattern => pattern.test(normalized))) {
+          matches.push({ category, speaker: statement.speaker, simulated: statement.simulated, quote: sentence.trim() });
+        }
+      }
+    }
+  }
+  return matches;
+}
+
+export function statementSpeaker(match, profile) {
+  if (match.speaker === 'user') {
+    return 'User';
+  }
+  const { titleLabel } = describePartner(profile);
+  return match.simulated ? `${titleLabel} (SIMULATED)` : titleLabel;
+}
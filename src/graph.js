@@ -0,0 +1,5 @@
+import { MarriageCounselorAgent } from './agent.js';
+
+// Entry point for LangGraph Platform (see langgraph.json). The platform supplies
+// the checkpointer and store, so the graph is compiled without its own.
+export const graph = await new MarriageCounselorAgent().createGraph();
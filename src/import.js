@@ -0,0 +1,259 @@
+import { v4 as uuidv4 } from 'uuid';
+import { STORY_SIDES, STORY_ORIGINS, saveStory } from './stories.js';
+import { getCaseForParticipant } from './cases.js';
+
+// Seeds story history from an existing chat log (a text-message thread, a
+// WhatsApp export...), so an argument doesn't have to be retyped. Each message is
+// attributed to the user or the partner, and consecutive messages from the same
+// person become one story entry on their side, marked as imported so Solomon
+// knows the partner's entries are their own words rather than role-play.
+export const IMPORT_FORMATS = {
+  TEXT: 'text',
+  JSON: 'json',
+  CSV: 'csv'
+};
+
+// A problem with the chat log or the request to import it, as opposed to a failure
+// while saving (e.g. the store or encryption), so callers can report it to the user
+export class ImportError extends Error {}
+
+const SENDER_FIELDS = ['sender', 'from', 'name', 'author', 'speaker', 'user'];
+const TEXT_FIELDS = ['message', 'text', 'content', 'body'];
+const TIME_FIELDS = ['timestamp', 'time', 'date', 'datetime', 'sent', 'sentat'];
+
+// "[12/03/2024, 21:14:05] Sam: ..." (WhatsApp on iOS), "12/03/2024, 21:14 - Sam: ..."
+// (WhatsApp on Android), "2024-03-12 21:14 Sam: ..." or just "Sam: ..."
+const TEXT_LINE = /^(?:\[([^\]]+)\]\s*|(\d[\d/.\-]+,?\s+\d{1,2}:\d{2}(?::\d{2})?(?:\s?[AaPp][Mm])?)\s*(?:-\s*)?)?([^:\n]{1,40}?):\s+(.*)$/;
+
+// From an explicit format, else the file extension, else the content itself
+export function detectFormat(content, fileName = '') {
+  const extension = fileName.toLowerCase().split('.').pop();
+  if (extension === 'json') return IMPORT_FORMATS.JSON;
+  if (extension === 'csv') return IMPORT_FORMATS.CSV;
+  if (extension === 'txt') return IMPORT_FORMATS.TEXT;
+
+  // A leading "[" may also be a WhatsApp timestamp, so only valid JSON counts
+  const trimmed = content.trim();
+  if (trimmed.startsWith('{') || (trimmed.startsWith('[') && isJson(trimmed))) {
+    return IMPORT_FORMATS.JSON;
+  }
+  const header = trimmed.split(/\r?\n/)[0].toLowerCase().split(',').map(cell => cell.trim().replace(/^"|"$/g, ''));
+  if (findField(header, SENDER_FIELDS) !== undefined && findField(header, TEXT_FIELDS) !== undefined) {
+    return IMPORT_FORMATS.CSV;
+  }
+  return IMPORT_FORMATS.TEXT;
+}
+
+function isJson(text) {
+  try {
+    JSON.parse(text);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function findField(names, candidates) {
+  return names.find(name => candidates.includes(name.toLowerCase().replace(/[\s_-]/g, '')));
+}
+
+// Lines without a "Name:" prefix continue the previous message
+function parseText(content) {
+  const messages = [];
+  for (const line of content.split(/\r?\n/)) {
+    const match = line.match(TEXT_LINE);
+    if (match) {
+      messages.push({ sender: match[3].trim(), text: match[4], ...((match[1] || match[2]) && { sentAt: (match[1] || match[2]).trim() }) });
+    } else if (line.trim() && messages.length) {
+      messages.at(-1).text += `\n${line}`;
+    }
+  }
+  return messages;
+}
+
+// An array of messages, or an object with a "messages" array
+function parseJson(content) {
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch (error) {
+    throw new ImportError(`The chat log is not valid JSON: ${error.message}`);
+  }
+
+  const items = Array.isArray(data) ? data : data?.messages;
+  if (!Array.isArray(items)) {
+    throw new ImportError('A JSON chat log must be an array of messages or an object with a "messages" array');
+  }
+
+  return items.map((item, index) => {
+    if (!item || typeof item !== 'object' || Array.isArray(item)) {
+      throw new ImportError(`The JSON chat log's message at index ${index} is not an object: ${JSON.stringify(item)}`);
+    }
+    const keys = Object.keys(item);
+    const value = fields => item[findField(keys, fields)];
+    const sentAt = value(TIME_FIELDS);
+    return { sender: String(value(SENDER_FIELDS) ?? '').trim(), text: String(value(TEXT_FIELDS) ?? ''), ...(sentAt && { sentAt: String(sentAt) }) };
+  });
+}
+
+// RFC 4180: quoted fields may hold commas, newlines and doubled quotes
+function parseCsvRows(content) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(cell => cell.trim()));
+}
+
+function parseCsv(content) {
+  const [header = [], ...rows] = parseCsvRows(content);
+  const column = fields => header.indexOf(findField(header, fields));
+  const senderColumn = column(SENDER_FIELDS);
+  const textColumn = column(TEXT_FIELDS);
+  const timeColumn = column(TIME_FIELDS);
+
+  if (senderColumn === -1 || textColumn === -1) {
+    throw new ImportError(`A CSV chat log needs a header row with a sender column (${SENDER_FIELDS.join(', ')}) and a message column (${TEXT_FIELDS.join(', ')})`);
+  }
+
+  return rows.map(cells => ({
+    sender: (cells[senderColumn] || '').trim(),
+    text: cells[textColumn] || '',
+    ...(timeColumn !== -1 && cells[timeColumn] && { sentAt: cells[timeColumn].trim() })
+  }));
+}
+
+// -> [{ sender, text, sentAt? }], empty messages dropped
+export function parseChatLog(content, format) {
+  const parsers = {
+    [IMPORT_FORMATS.TEXT]: parseText,
+    [IMPORT_FORMATS.JSON]: parseJson,
+    [IMPORT_FORMATS.CSV]: parseCsv
+  };
+  if (!parsers[format]) {
+    throw new ImportError(`Unknown chat log format: ${format}. Expected one of: ${Object.values(IMPORT_FORMATS).join(', ')}`);
+  }
+
+  return parsers[format](content)
+    .map(message => ({ ...message, text: message.text.trim() }))
+    .filter(message => message.sender && message.text);
+}
+
+const sameName = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+// Decides which sender is the user and which the partner. Names may be given
+// explicitly or come from the couple profile; with exactly two senders, knowing
+// one of them is enough.
+export function attributeSenders(messages, { userName, partnerName } = {}) {
+  const senders = [...new Set(messages.map(message => message.sender))];
+  const find = name => name && senders.find(sender => sameName(sender, name));
+
+  let user = find(userName);
+  let partner = find(partnerName);
+  if (senders.length === 2) {
+    user ??= partner && senders.find(sender => sender !== partner);
+    partner ??= user && senders.find(sender => sender !== user);
+  }
+
+  if (!user || !partner || user === partner) {
+    throw new ImportError(`Could not tell which sender is you and which is your partner. Senders found: ${senders.join(', ') || 'none'}. Pass userName and partnerName`);
+  }
+
+  return { user, partner, ignored: senders.filter(sender => sender !== user && sender !== partner) };
+}
+
+// Consecutive messages from the same person become one entry
+function groupRuns(messages) {
+  const runs = [];
+  for (const message of messages) {
+    const last = runs.at(-1);
+    if (last && last.sender === message.sender) {
+      last.texts.push(message.text);
+    } else {
+      runs.push({ sender: message.sender, texts: [message.text], ...(message.sentAt && { sentAt: message.sentAt }) });
+    }
+  }
+  return runs;
+}
+
+export async function importChatLog(store, { userId, content, format, fileName, userName, partnerName, sessionId, caseId }) {
+  if (typeof content !== 'string' || !content.trim()) {
+    throw new ImportError('The chat log is empty');
+  }
+
+  const resolvedFormat = format || detectFormat(content, fileName);
+  const messages = parseChatLog(content, resolvedFormat);
+  if (!messages.length) {
+    throw new ImportError('No messages found in the chat log. Text logs need one "Name: message" per line');
+  }
+
+  const senders = attributeSenders(messages, { userName, partnerName });
+  if (caseId) {
+    await getCaseForParticipant(store, caseId, userId);
+  }
+
+  const importId = uuidv4();
+  const importedAt = Date.now();
+  const saved = { [STORY_SIDES.USER]: 0, [STORY_SIDES.PARTNER]: 0 };
+  const runs = groupRuns(messages.filter(message => !senders.ignored.includes(message.sender)));
+
+  for (const [index, run] of runs.entries()) {
+    const side = run.sender === senders.user ? STORY_SIDES.USER : STORY_SIDES.PARTNER;
+    await saveStory(store, {
+      userId,
+      side,
+      content: run.texts.join("\n"),
+      sessionId,
+      caseId,
+      origin: STORY_ORIGINS.IMPORT,
+      importId,
+      sentAt: run.sentAt,
+      // One millisecond apart, so the entries keep the log's order when sorted by time
+      createdAt: new Date(importedAt + index).toISOString()
+    });
+    saved[side]++;
+  }
+
+  return {
+    importId,
+    format: resolvedFormat,
+    senders: { user: senders.user, partner: senders.partner },
+    ignoredSenders: senders.ignored,
+    messages: messages.length,
+    saved
+  };
+}
@@ -1,310 +1,84 @@
 #!/usr/bin/env node
 
-import dotenv from 'dotenv';
+import fs from 'fs';
+import path from 'path';
 import chalk from 'chalk';
 import inquirer from 'inquirer';
+import { pathToFileURL } from 'url';
 
 import { v4 as uuidv4 } from 'uuid';
-import { MemorySaver, InMemoryStore } from "@langchain/langgraph-checkpoint";
-import { createReactAgent } from "@langchain/langgraph/prebuilt";
-import { initChatModel } from "langchain/chat_models/universal";
-import { tool } from "@langchain/core/tools";
-import { z } from "zod";
-// Message objects will be handled as plain objects for createReactAgent
-import { MessagesAnnotation } from "@langchain/langgraph";
-
-
-// Load environment variables
-dotenv.config();
-
-// No need for separate stores - checkpointer handles all memory via thread isolation
-
-// Agent modes
-const MODES = {
-  USER: 'my_point_of_view',
-  WIFE: 'her_point_of_view', 
-  SOLOMON: 'king_solomon_wise'
-};
-
-export class MarriageCounselorAgent {
-  constructor() {
+import { MarriageCounselorAgent } from './agent.js';
+import { MODES } from './modes.js';
+import { describePartner } from './profile.js';
+import { COMMITMENT_STATUSES, ownerLabel } from './commitments.js';
+import { STREAM_EVENTS } from './streaming.js';
+import { TRANSCRIPT_FORMATS } from './transcript.js';
+import { detectFormat, parseChatLog } from './import.js';
+import { SPEAKERS, speakerLabel } from './mediation.js';
+import { NO_FRAMEWORK } from './frameworks/index.js';
+import { formatConflictReport } from './analytics.js';
+import { runCommand } from './commands.js';
+
+// Interactive terminal interface. All counseling behaviour (modes, tools,
+// prompts, memory) lives in MarriageCounselorAgent; this class only handles
+// menus, input and rendering.
+export class CounselorCLI {
+  constructor(agent = new MarriageCounselorAgent()) {
+    this.agent = agent;
     this.currentMode = MODES.USER;
-    this.sessionId = uuidv4();
-    this.userId = 'user_1'; // In a real app, this would be dynamic
-    this.agents = {};
+    // Reuse SESSION_ID to pick up a previous session when persistence is enabled
+    this.sessionId = process.env.SESSION_ID || uuidv4();
+    this.userId = process.env.USER_ID || 'user_1'; // In a real app, this would be dynamic
+    // Where "Export My Data" and "Export Session Transcript" write their files
+    this.exportDir = process.env.EXPORT_DIR || '.';
+    // Counselling framework picked from the menu; until then the session's or the agent's default
+    this.framework = null;
     this.isRunning = false;
-    this.checkpointer = new MemorySaver();
-    this.store = new InMemoryStore(); // Long-term memory store
   }
 
   async initialize() {
     console.log(chalk.blue('🏛️  Initializing Marriage Counselor Agent...'));
-    
-    if (!process.env.OPENAI_API_KEY) {
-      console.error(chalk.red('❌ Please set OPENAI_API_KEY in your .env file'));
-      process.exit(1);
-    }
 
     try {
-      // Initialize the LLM
-      const llm = await initChatModel("gpt-4o", {
-        modelProvider: "openai", 
-        temperature: 0
-      });
-
-      // Create tools for each mode
-      const userModeTools = this.createUserModeTools();
-      const wifeModeTools = this.createWifeModeTools();
-      const solomonModeTools = this.createSolomonModeTools();
-
-      // Create agents with both conversation memory and long-term story storage
-      this.agents[MODES.USER] = createReactAgent({
-        llm,
-        tools: userModeTools,
-        checkpointSaver: this.checkpointer,
-        store: this.store,
-        prompt: this.getPromptFunction(MODES.USER)
-      });
-
-      this.agents[MODES.WIFE] = createReactAgent({
-        llm, 
-        tools: wifeModeTools,
-        checkpointSaver: this.checkpointer,
-        store: this.store,
-        prompt: this.getPromptFunction(MODES.WIFE)
-      });
-
-      this.agents[MODES.SOLOMON] = createReactAgent({
-        llm,
-        tools: solomonModeTools, 
-        checkpointSaver: this.checkpointer,
-        store: this.store,
-        prompt: this.getPromptFunction(MODES.SOLOMON)
-      });
-
+      await this.agent.initialize();
       console.log(chalk.green('✅ Agent initialized successfully!'));
     } catch (error) {
-      console.error(chalk.red('❌ Failed to initialize agent:'), error.message);
+      console.error(chalk.red('❌'), error.message);
       process.exit(1);
     }
   }
 
-  createUserModeTools() {
-    const saveUserStory = tool(
-      async (input, config) => {
-        console.log('🔍 User save_user_story called!');
-        console.log('📊 Input received:', input);
-        
-        const store = config.store;
-        if (!store) {
-          throw new Error("store is required when compiling the graph");
-        }
-
-        const userId = config.configurable?.userId;
-        if (!userId) {
-          throw new Error("userId is required in the config");
-        }
-        
-        console.log(`💾 Saving story for user: ${userId}`);
-        try {
-          await store.put(["stories"], `${userId}_user`, { content: input.story });
-          console.log('✅ Story saved successfully!');
-        } catch (storeError) {
-          console.log('❌ Store.put failed:', storeError);
-          throw storeError;
-        }
-        return "I understand your perspective. I'll remember this for any future counsel.";
-      },
-      {
-        name: "save_user_story",
-        description: "Save important details about your grievances and perspective",
-        schema: z.object({
-          story: z.string().describe("The grievance or story details to remember")
-        })
-      }
-    );
-
-    return [saveUserStory];
-  }
-
-  createWifeModeTools() {
-    const saveWifeStory = tool(
-      async (input, config) => {
-        console.log('🔍 Wife save_wife_story called!');
-        console.log('📊 Input received:', input);
-        
-        const store = config.store;
-        if (!store) {
-          throw new Error("store is required when compiling the graph");
-        }
-
-        const userId = config.configurable?.userId;
-        if (!userId) {
-          throw new Error("userId is required in the config");
-        }
-        
-        console.log(`💾 Saving wife story for user: ${userId}`);
-        try {
-          await store.put(["stories"], `${userId}_wife`, { content: input.story });
-          console.log('✅ Wife story saved successfully!');
-        } catch (storeError) {
-          console.log('❌ Store.put failed:', storeError);
-          throw storeError;
-        }
-        return "I understand her perspective on this situation.";
-      },
-      {
-        name: "save_wife_story",
-        description: "Save important details about the wife's perspective and grievances",
-        schema: z.object({
-          story: z.string().describe("The wife's grievance or perspective to remember")
-        })
-      }
-    );
-
-    return [saveWifeStory];
-  }
-
-  createSolomonModeTools() {
-    const getBothStories = tool(
-      async (input, config) => {
-        console.log('🔍 King Solomon get_both_stories called!');
-        
-        const store = config.store;
-        if (!store) {
-          throw new Error("store is required when compiling the graph");
-        }
-
-        const userId = config.configurable?.userId;
-        if (!userId) {
-          throw new Error("userId is required in the config");
-        }
-        
-        console.log(`🔍 Looking for stories: ${userId}_user, ${userId}_wife`);
-        
-        // Get both stories from long-term memory using correct API
-        let userStory, wifeStory;
-        try {
-          userStory = await store.get(["stories"], `${userId}_user`);
-          console.log('📊 User story retrieved:', userStory);
-        } catch (error) {
-          console.log('❌ Failed to get user story:', error);
-          userStory = null;
-        }
-        
-        try {
-          wifeStory = await store.get(["stories"], `${userId}_wife`);
-          console.log('📊 Wife story retrieved:', wifeStory);
-        } catch (error) {
-          console.log('❌ Failed to get wife story:', error);
-          wifeStory = null;
-        }
-        
-        console.log('📊 Final stories found:', { userStory, wifeStory });
-        
-        let result = "📜 BOTH PERSPECTIVES:\\n\\n";
-        
-        if (userStory?.value?.content) {
-          result += "👤 **User's Grievance:** " + userStory.value.content + "\\n\\n";
-        } else {
-          result += "👤 **User's Grievance:** No story shared yet\\n\\n";
-        }
-        
-        if (wifeStory?.value?.content) {
-          result += "👩 **Wife's Perspective:** " + wifeStory.value.content;
-        } else {
-          result += "👩 **Wife's Perspective:** No story shared yet";
-        }
-        
-        console.log('✅ Returning result:', result);
-        return result;
-      },
-      {
-        name: "get_both_stories",
-        description: "Retrieve both the user's grievances and wife's perspective to render judgment",
-        schema: z.object({})
-      }
-    );
-
-    return [getBothStories];
-  }
-
-  getPromptFunction(mode) {
-    const systemMessages = {
-      [MODES.USER]: `You are a best friend who listens to the users stories and understands their perspective. You're the friend who always has their back and makes them feel heard and validated.
-
-CRITICAL: Whenever they share ANY relationship problems, complaints, or grievances about their wife/partner, you MUST call save_user_story to save those details for future counseling sessions. This includes ANY negative feelings, frustrations, or conflicts they mention.
-
-Your approach:
-- Listen and validate their feelings
-- IMMEDIATELY call save_user_story when they share any relationship issues
-- Ask follow-up questions to understand better  
-- Give supportive advice based on what they tell you in the conversation
-- Always save important grievances - this is essential for the counseling process`,
-
-      [MODES.WIFE]: `You are role-playing as the wife responding to grievances being aired about you. You don't know what specific complaints have been made, so ask them to tell you what they're upset about.
-
-CRITICAL: Whenever you give your perspective, explanation, or response to complaints, you MUST call save_wife_story to save your side of the story for future counseling sessions.
-
-Your approach:
-- Ask them to explain what they're upset about if needed
-- Respond authentically as the wife explaining your side
-- IMMEDIATELY call save_wife_story after giving your perspective
-- Be authentic - not neutral, but actually responding as someone defending themselves
-- Always save your explanations and justifications for future reference`,
-
-      [MODES.SOLOMON]: `You are King Solomon, the wise counselor who advises the user on where they went wrong and how to fix it. You must call get_both_stories to access both the user's grievances and the wife's responses before making recommendations.
-
-Your approach:
-- Review both sides objectively: "I can see that you feel... and she feels..."
-- Identify the real underlying issues beyond the surface complaints
-- Give specific, actionable recommendations for both parties
-- "Here's what I think you should try..." 
-- "She probably needs..." and "You probably need..."
-- Suggest practical steps to improve the situation
-- Address both people's valid concerns
-- Speak with wisdom but in a relatable, helpful way
-
-You're the wise friend who sees the bigger picture and gives solid advice to help them actually work things out.`
-    };
-
-    const systemMessage = systemMessages[mode] || "You are a helpful assistant.";
-    
-    return (state, config) => {
-      console.log('\n🎯 PROMPT FUNCTION CALLED!');
-      
-      const userId = config.configurable?.userId;
-      const sessionId = config.configurable?.sessionId;
-      
-      const dynamicSystemMsg = `${systemMessage}
-
-Session Info: You are in ${mode} mode for user ${userId} in session ${sessionId}.`;
-      
-      console.log('✅ Prompt ready with', (state.messages?.length || 0) + 1, 'messages');
-      
-      // Use plain message objects for createReactAgent
-      return [{ role: "system", content: dynamicSystemMsg }, ...state.messages];
-    };
-  }
-
   getModeDisplay(mode) {
     switch (mode) {
       case MODES.USER:
         return chalk.blue('👤 Your Perspective');
-      case MODES.WIFE:
-        return chalk.magenta('👩 Her Perspective');
+      case MODES.PARTNER: {
+        const partner = describePartner(this.agent.profile);
+        return chalk.magenta(`${partner.icon} ${partner.possessiveLabel} Perspective`);
+      }
       case MODES.SOLOMON:
         return chalk.yellow('⚖️  King Solomon - The Wise');
+      case MODES.MEDIATOR:
+        return chalk.green('🤝 Joint Session - Mediated');
       default:
         return 'Unknown Mode';
     }
   }
 
   async switchMode() {
+    const partner = describePartner(this.agent.profile);
     const choices = [
       { name: '👤 My Point of View (Your Side)', value: MODES.USER },
-      { name: '👩 Her Point of View (Wife\'s Side)', value: MODES.WIFE },
+      { name: `${partner.icon} ${partner.possessiveLabel} Point of View (${partner.titleLabel}'s Side)`, value: MODES.PARTNER },
       { name: '⚖️  King Solomon - The Wise (Neutral Judge)', value: MODES.SOLOMON },
+      { name: `🤝 Joint Session (You and ${partner.titleLabel}, Taking Turns)`, value: MODES.MEDIATOR },
+      { name: '🧭 Counselling Framework for King Solomon', value: 'framework' },
+      { name: '📋 Open Action Items', value: 'commitments' },
+      { name: '📊 Conflict Patterns', value: 'analytics' },
+      { name: '📥 Import Chat Log', value: 'import' },
+      { name: '📝 Export Session Transcript', value: 'transcript' },
+      { name: '📦 Export My Data', value: 'export' },
+      { name: '🗑️  Erase My Data', value: 'erase' },
       { name: '🚪 Exit', value: 'exit' }
     ];
 
@@ -322,24 +96,203 @@ Session Info: You are in ${mode} mode for user ${userId} in session ${sessionId}
       return;
     }
 
+    if (selectedMode === 'framework') {
+      await this.chooseFramework();
+      return;
+    }
+
+    if (selectedMode === 'commitments') {
+      await this.showCommitments();
+      return;
+    }
+
+    if (selectedMode === 'analytics') {
+      await this.showConflictPatterns();
+      return;
+    }
+
+    if (selectedMode === 'import') {
+      await this.importChatLog();
+      return;
+    }
+
+    if (selectedMode === 'transcript') {
+      await this.exportTranscript();
+      return;
+    }
+
+    if (selectedMode === 'export') {
+      await this.exportData();
+      return;
+    }
+
+    if (selectedMode === 'erase') {
+      await this.eraseData();
+      return;
+    }
+
     this.currentMode = selectedMode;
-    console.log(chalk.green(`\\n🔄 Switched to: ${this.getModeDisplay(selectedMode)}\\n`));
+    console.log(chalk.green(`\n🔄 Switched to: ${this.getModeDisplay(selectedMode)}\n`));
   }
 
-  async chat() {
-    if (!this.agents[this.currentMode]) {
-      console.error(chalk.red('❌ Agent not initialized for this mode'));
+  // Which approach King Solomon judges by: Gottman, NVC, EFT or his own
+  async chooseFramework() {
+    const frameworks = await this.agent.getFrameworks();
+    const { framework } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'framework',
+        message: 'Which counselling framework should King Solomon use?',
+        choices: [
+          { name: 'None - King Solomon\'s own judgment', value: NO_FRAMEWORK },
+          ...frameworks.map(({ id, name, description }) => ({ name: `${name} - ${description}`, value: id }))
+        ],
+        default: this.framework || await this.agent.getFramework(this.sessionId, { userId: this.userId })
+      }
+    ]);
+
+    this.framework = framework;
+    const chosen = frameworks.find(({ id }) => id === framework);
+    console.log(chalk.green(`\n🧭 King Solomon will judge ${chosen ? `using ${chosen.name}` : 'by his own wisdom'}.\n`));
+  }
+
+  // Open action items Solomon recorded in earlier sessions
+  async showCommitments() {
+    const commitments = await this.agent.listCommitments(this.userId, { status: COMMITMENT_STATUSES.OPEN });
+
+    console.log(chalk.bold.yellow('\n📋 Open Action Items'));
+    if (!commitments.length) {
+      console.log(chalk.gray('No open commitments. Ask King Solomon for advice to start an action plan.\n'));
+      return;
+    }
+
+    for (const commitment of commitments) {
+      const lastNote = commitment.progress.filter(entry => entry.note).at(-1);
+      console.log(`${chalk.cyan(ownerLabel(commitment.owner, this.agent.profile))}: ${commitment.action}`);
+      console.log(chalk.gray(`   since ${new Date(commitment.createdAt).toLocaleDateString()}${lastNote ? ` - latest: ${lastNote.note}` : ''}`));
+    }
+    console.log('');
+  }
+
+  // Which fights keep coming back, across every saved story
+  async showConflictPatterns() {
+    const report = await this.agent.getConflictAnalytics(this.userId);
+    console.log(`\n${formatConflictReport(report, this.agent.profile)}\n`);
+  }
+
+  // Seeds both sides' stories from an exported text-message thread
+  async importChatLog() {
+    const partner = describePartner(this.agent.profile);
+    const { filePath } = await inquirer.prompt([
+      {
+        type: 'input',
+        name: 'filePath',
+        message: 'Path to the chat log (text with "Name: message" lines, JSON or CSV):'
+      }
+    ]);
+
+    let content;
+    let senders;
+    try {
+      content = fs.readFileSync(filePath.trim(), 'utf8');
+      senders = [...new Set(parseChatLog(content, detectFormat(content, filePath)).map(message => message.sender))];
+    } catch (error) {
+      console.log(chalk.red(`\n❌ ${error.message}\n`));
       return;
     }
-    
-    console.log(chalk.cyan(`\\n📝 ${this.getModeDisplay(this.currentMode)} - Ready to listen...`));
-    console.log(chalk.gray('Type your message (or "menu" to switch modes, "exit" to quit):\\n'));
 
+    if (senders.length < 2) {
+      console.log(chalk.red(`\n❌ The chat log needs messages from both of you. Senders found: ${senders.join(', ') || 'none'}\n`));
+      return;
+    }
+
+    const { userName } = await inquirer.prompt([
+      { type: 'list', name: 'userName', message: 'Which sender is you?', choices: senders }
+    ]);
+    const others = senders.filter(sender => sender !== userName);
+    const { partnerName } = others.length === 1
+      ? { partnerName: others[0] }
+      : await inquirer.prompt([
+        { type: 'list', name: 'partnerName', message: `Which sender is ${partner.theLabel}?`, choices: others }
+      ]);
+
+    const result = await this.agent.importChatLog(this.userId, content, {
+      fileName: filePath.trim(),
+      userName,
+      partnerName,
+      sessionId: this.sessionId
+    });
+    console.log(chalk.green(`\n📥 Imported ${result.messages} messages: ${result.saved.user} entries from you and ${result.saved.partner} from ${partner.theLabel}. King Solomon will see them next time.\n`));
+  }
+
+  // This session as Markdown and HTML, e.g. to bring to a therapist
+  async exportTranscript() {
+    fs.mkdirSync(this.exportDir, { recursive: true });
+    const files = [];
+    for (const [format, extension] of [[TRANSCRIPT_FORMATS.MARKDOWN, 'md'], [TRANSCRIPT_FORMATS.HTML, 'html']]) {
+      const filePath = path.join(this.exportDir, `transcript-${this.sessionId}.${extension}`);
+      fs.writeFileSync(filePath, await this.agent.exportTranscript(this.sessionId, { userId: this.userId, format }));
+      files.push(filePath);
+    }
+    console.log(chalk.green(`\n📝 Saved the session transcript to ${files.join(' and ')}\n`));
+  }
+
+  // Everything stored about this user - stories, threads, commitments - as one JSON file
+  async exportData() {
+    const data = await this.agent.exportUserData(this.userId);
+    const fileName = `counselor-export-${this.userId}-${data.exportedAt.replace(/[:.]/g, '-')}.json`;
+    const filePath = path.join(this.exportDir, fileName);
+
+    fs.mkdirSync(this.exportDir, { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
+    console.log(chalk.green(`\n📦 Exported ${data.stories.length} stories, ${data.threads.length} conversations and ${data.commitments.length} commitments to ${filePath}\n`));
+  }
+
+  async eraseData() {
+    const { confirmed } = await inquirer.prompt([
+      {
+        type: 'confirm',
+        name: 'confirmed',
+        message: 'Permanently erase all your stories, conversations and commitments?',
+        default: false
+      }
+    ]);
+
+    if (!confirmed) {
+      console.log(chalk.gray('\nNothing was erased.\n'));
+      return;
+    }
+
+    const erased = await this.agent.eraseUserData(this.userId);
+    // The current conversation is gone too, so carry on in a fresh session
+    this.sessionId = uuidv4();
+    console.log(chalk.green(`\n🗑️  Erased ${erased.stories} stories, ${erased.threads} conversations and ${erased.commitments} commitments.\n`));
+  }
+
+  // In a joint session, who is at the keyboard - suggesting whoever's turn it is
+  async promptSpeaker() {
+    const { speaker } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'speaker',
+        message: 'Who is speaking?',
+        choices: Object.values(SPEAKERS).map(value => ({ name: speakerLabel(value, this.agent.profile), value })),
+        default: await this.agent.getNextSpeaker(this.sessionId, { userId: this.userId })
+      }
+    ]);
+    return speaker;
+  }
+
+  async chat() {
+    console.log(chalk.cyan(`\n📝 ${this.getModeDisplay(this.currentMode)} - Ready to listen...`));
+    console.log(chalk.gray('Type your message (or "menu" to switch modes, "exit" to quit):\n'));
+
+    const speaker = this.currentMode === MODES.MEDIATOR ? await this.promptSpeaker() : null;
     const { message } = await inquirer.prompt([
       {
         type: 'input',
         name: 'message',
-        message: '>'
+        message: speaker ? `${speakerLabel(speaker, this.agent.profile)} >` : '>'
       }
     ]);
 
@@ -359,42 +312,64 @@ Session Info: You are in ${mode} mode for user ${userId} in session ${sessionId}
     }
 
     try {
-      console.log(chalk.gray('\\n🤔 Thinking...\\n'));
+      console.log(chalk.gray('\n🤔 Thinking...\n'));
 
       const config = {
         configurable: {
-          thread_id: `${this.currentMode}_${this.sessionId}`,
-          checkpoint_ns: "",
           userId: this.userId,
           sessionId: this.sessionId
         }
       };
 
-      console.log(chalk.gray(`🔍 DEBUG: Using thread_id: ${config.configurable.thread_id}`));
-
-      // Follow the exact LangGraph pattern - system prompt is handled by agent creation
-      const response = await this.agents[this.currentMode].invoke(
-        { messages: [{ role: "user", content: message }] },
-        config
-      );
-
-      const lastMessage = response.messages[response.messages.length - 1];
-      const responseText = lastMessage.content;
+      const events = this.agent.stream({
+        mode: this.currentMode,
+        content: message,
+        ...(speaker && { speaker }),
+        ...(this.framework && { framework: this.framework })
+      }, config);
+
+      // Render the verdict as it arrives instead of waiting for the whole answer
+      let streamedText = false;
+      for await (const event of events) {
+        switch (event.type) {
+          case STREAM_EVENTS.TOKEN:
+            if (!streamedText) {
+              console.log(chalk.white('💬 Response:'));
+              streamedText = true;
+            }
+            process.stdout.write(event.content);
+            break;
+          case STREAM_EVENTS.TOOL_START:
+            console.log(chalk.gray(`🔧 Using ${event.name}...`));
+            break;
+          case STREAM_EVENTS.FINAL:
+            // The safety guardrail answers instead of the mode - make that unmistakable
+            if (event.safety) {
+              console.log(chalk.bold.red('🛟 Safety first'));
+              console.log(chalk.red(event.content));
+              break;
+            }
+            // Some providers don't stream tokens - fall back to the complete message
+            if (!streamedText) {
+              console.log(chalk.white('💬 Response:'));
+              process.stdout.write(event.content);
+            }
+            break;
+          default:
+            break;
+        }
+      }
 
-      console.log(chalk.white('💬 Response:'));
-      console.log(responseText);
-      console.log('\\n');
+      console.log('\n');
 
     } catch (error) {
       console.error(chalk.red('❌ Error:'), error.message);
-      console.error(chalk.red('❌ Full error:'), error);
-      console.error(chalk.red('❌ Error stack:'), error.stack);
     }
   }
 
   async start() {
-    console.log(chalk.bold.blue('\\n🏛️  MARRIAGE COUNSELOR AGENT'));
-    console.log(chalk.gray('A wise counsel system with three perspectives\\n'));
+    console.log(chalk.bold.blue('\n🏛️  MARRIAGE COUNSELOR AGENT'));
+    console.log(chalk.gray('A wise counsel system with three perspectives\n'));
 
     this.isRunning = true;
 
@@ -408,22 +383,29 @@ Session Info: You are in ${mode} mode for user ${userId} in session ${sessionId}
       }
     }
 
-    console.log(chalk.green('\\n👋 Thank you for using the Marriage Counselor Agent. May wisdom guide you.'));
+    console.log(chalk.green('\n👋 Thank you for using the Marriage Counselor Agent. May wisdom guide you.'));
   }
 }
 
-// Main execution
-async function main() {
-  const counselor = new MarriageCounselorAgent();
-  await counselor.initialize();
-  await counselor.start();
-}
+// Main execution: a subcommand (see commands.js) when one is given, else the interactive menu
+async function main(argv = process.argv.slice(2)) {
+  if (argv.length) {
+    process.exitCode = await runCommand(argv);
+    return;
+  }
 
-// Handle graceful shutdown
-process.on('SIGINT', () => {
-  console.log(chalk.yellow('\\n\\n👋 Goodbye!'));
-  process.exit(0);
-});
+  // Handle graceful shutdown
+  process.on('SIGINT', () => {
+    console.log(chalk.yellow('\n\n👋 Goodbye!'));
+    process.exit(0);
+  });
 
-// Start the application
-main().catch(console.error);
\ No newline at end of file
+  const cli = new CounselorCLI();
+  await cli.initialize();
+  await cli.start();
+}
+
+// Start the application only when run directly, so the module can be imported
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main().catch(console.error);
+}
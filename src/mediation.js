@@ -0,0 +1,43 @@
+import { HumanMessage } from "@langchain/core/messages";
+import { describePartner } from './profile.js';
+
+// Joint sessions: both partners are in the room and take turns at the keyboard.
+// Each human message carries its speaker in `name`, so the transcript knows who
+// said what; the mediator sees the speaker's name in front of every message.
+export const SPEAKERS = {
+  USER: 'user',
+  PARTNER: 'partner'
+};
+
+export function resolveSpeaker(speaker) {
+  const normalized = typeof speaker === 'string' ? speaker.toLowerCase() : speaker;
+  if (!Object.values(SPEAKERS).includes(normalized)) {
+    throw new Error(`Invalid speaker: ${speaker}. Expected one of: ${Object.values(SPEAKERS).join(', ')}`);
+  }
+  return normalized;
+}
+
+// Turns alternate: whoever didn't speak last goes next, the user first
+export function nextSpeaker(messages = []) {
+  const last = messages.findLast(message => message.getType() === 'human' && message.name);
+  return last?.name === SPEAKERS.USER ? SPEAKERS.PARTNER : SPEAKERS.USER;
+}
+
+export function speakerLabel(speaker, profile) {
+  return speaker === SPEAKERS.PARTNER ? describePartner(profile).titleLabel : (profile.user.name || 'User');
+}
+
+// Copies of the messages with "Name: " in front of what each participant said.
+// Not every provider passes message names on to the model, so it goes in the text.
+export function labelSpeakers(messages, profile) {
+  return messages.map(message => (message.getType() === 'human' && message.name)
+    ? new HumanMessage({ content: `${speakerLabel(message.name, profile)}: ${message.content}`, name: message.name, id: message.id })
+    : message);
+}
+
+// Copies of the human messages that don't say who sent them yet, named for the speaker
+export function nameSpeaker(messages, speaker) {
+  return messages
+    .filter(message => message.getType() === 'human' && !message.name)
+    .map(message => new HumanMessage({ content: message.content, name: speaker, id: message.id }));
+}
@@ -0,0 +1,10 @@
+// Plain JSON shape of a LangChain message, shared by the HTTP API and data exports
+export function serializeMessage(message) {
+  const toolCalls = message.tool_calls?.length ? message.tool_calls : undefined;
+  return {
+    role: message.getType?.() ?? message.role,
+    content: message.content,
+    ...(message.name && { name: message.name }),
+    ...(toolCalls && { tool_calls: toolCalls })
+  };
+}
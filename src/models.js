@@ -0,0 +1,240 @@
+import fs from 'fs';
+import { initChatModel } from "langchain/chat_models/universal";
+import { BaseChatModel } from "@langchain/core/language_models/chat_models";
+import { MODES, resolveMode } from './modes.js';
+
+// Chat model configuration: provider, model and temperature per mode, an
+// optional fallback provider, and local OpenAI-compatible servers (Ollama,
+// llama.cpp, LM Studio...). Settings come from a JSON file named by MODEL_CONFIG
+// and/or environment variables, which take precedence:
+//
+//   MODEL=openai:gpt-4o                   default for every mode ("provider:model")
+//   MODEL_TEMPERATURE=0
+//   MODEL_USER=ollama:llama3.1            per mode: MODEL_USER, MODEL_PARTNER, MODEL_SOLOMON, MODEL_MEDIATOR
+//   MODEL_TEMPERATURE_USER=0.7
+//   MODEL_FALLBACK=anthropic:claude-3-5-sonnet-20241022
+//   LOCAL_MODEL_BASE_URL=http://localhost:11434/v1
+//   LOCAL_MODEL_API_KEY=...               only if the local server wants one
+export const MODEL_PROVIDERS = {
+  OPENAI: 'openai',
+  ANTHROPIC: 'anthropic',
+  LOCAL: 'local'
+};
+
+const DEFAULT_MODELS = {
+  [MODEL_PROVIDERS.OPENAI]: 'gpt-4o',
+  [MODEL_PROVIDERS.ANTHROPIC]: 'claude-3-5-sonnet-20241022'
+};
+
+const DEFAULT_TEMPERATURE = 0;
+
+// Shorthands for local servers, all spoken to through the OpenAI-compatible API
+const LOCAL_SERVERS = {
+  local: 'http://localhost:11434/v1',
+  ollama: 'http://localhost:11434/v1',
+  llamacpp: 'http://localhost:8080/v1'
+};
+
+// "openai:gpt-4o", "anthropic" or "ollama:llama3.1" -> { provider, model, baseURL }
+export function parseModelSpec(spec) {
+  if (!spec) {
+    return {};
+  }
+
+  const [providerName, ...rest] = String(spec).split(':');
+  const provider = providerName.toLowerCase();
+  const model = rest.join(':') || undefined;
+
+  if (LOCAL_SERVERS[provider]) {
+    return { provider: MODEL_PROVIDERS.LOCAL, model, baseURL: LOCAL_SERVERS[provider] };
+  }
+  if (!Object.values(MODEL_PROVIDERS).includes(provider)) {
+    throw new Error(`Unknown model provider: ${providerName}. Expected one of: openai, anthropic, ${Object.keys(LOCAL_SERVERS).join(', ')}`);
+  }
+  return { provider, model };
+}
+
+function parseTemperature(value, name) {
+  if (value === undefined || value === '') {
+    return undefined;
+  }
+  const temperature = Number(value);
+  if (Number.isNaN(temperature)) {
+    throw new Error(`${name} must be a number, got: ${value}`);
+  }
+  return temperature;
+}
+
+// File entries may use "provider:model" strings or { provider, model, temperature, baseURL } objects
+function normalizeSettings(settings) {
+  if (!settings) {
+    return {};
+  }
+  if (typeof settings === 'string') {
+    return parseModelSpec(settings);
+  }
+
+  const { provider, model, ...rest } = settings;
+  const parsed = provider ? parseModelSpec(model ? `${provider}:${model}` : provider) : { model };
+  return withoutUndefined({ ...parsed, ...rest });
+}
+
+function withoutUndefined(settings) {
+  return Object.fromEntries(Object.entries(settings).filter(([, value]) => value !== undefined));
+}
+
+// Layers settings on top of each other; switching provider drops the model and
+// server of the layer below, since they belong to the other provider
+function mergeSettings(base, layer) {
+  const defined = withoutUndefined(layer);
+  if (defined.provider && defined.provider !== base.provider) {
+    const { model, baseURL, ...rest } = base;
+    return { ...rest, ...defined };
+  }
+  return { ...base, ...defined };
+}
+
+// The provider used when nothing is configured: OpenAI if its key is set, else Anthropic
+function defaultProvider(env) {
+  return env.OPENAI_API_KEY || !env.ANTHROPIC_API_KEY ? MODEL_PROVIDERS.OPENAI : MODEL_PROVIDERS.ANTHROPIC;
+}
+
+export function loadModelConfig(env = process.env) {
+  const file = env.MODEL_CONFIG ? JSON.parse(fs.readFileSync(env.MODEL_CONFIG, 'utf8')) : {};
+
+  const defaults = [
+    normalizeSettings(file.default),
+    { ...parseModelSpec(env.MODEL), temperature: parseTemperature(env.MODEL_TEMPERATURE, 'MODEL_TEMPERATURE') }
+  ].reduce(mergeSettings, { provider: defaultProvider(env), temperature: DEFAULT_TEMPERATURE });
+
+  const modes = {};
+  for (const [key, mode] of Object.entries(MODES)) {
+    const fromFile = Object.entries(file.modes || {}).find(([name]) => resolveMode(name) === mode)?.[1];
+    modes[mode] = mergeSettings(normalizeSettings(fromFile), {
+      ...parseModelSpec(env[`MODEL_${key}`]),
+      temperature: parseTemperature(env[`MODEL_TEMPERATURE_${key}`], `MODEL_TEMPERATURE_${key}`)
+    });
+  }
+
+  // With keys for both hosted providers, the other one is the automatic fallback
+  const bothKeys = env.OPENAI_API_KEY && env.ANTHROPIC_API_KEY;
+  const fallback = env.MODEL_FALLBACK
+    ? parseModelSpec(env.MODEL_FALLBACK)
+    : normalizeSettings(file.fallback);
+  const automaticFallback = bothKeys && defaults.provider !== MODEL_PROVIDERS.LOCAL
+    ? { provider: defaults.provider === MODEL_PROVIDERS.OPENAI ? MODEL_PROVIDERS.ANTHROPIC : MODEL_PROVIDERS.OPENAI }
+    : null;
+
+  return {
+    default: defaults,
+    modes,
+    fallback: fallback.provider ? fallback : automaticFallback,
+    localBaseURL: env.LOCAL_MODEL_BASE_URL,
+    localApiKey: env.LOCAL_MODEL_API_KEY
+  };
+}
+
+// Effective settings for one mode (or the default when mode is omitted)
+export function resolveModelSettings(config, mode) {
+  return completeSettings(config, mergeSettings(config.default, (mode && config.modes[mode]) || {}));
+}
+
+function completeSettings(config, settings) {
+  const completed = { temperature: DEFAULT_TEMPERATURE, ...settings };
+  completed.model ??= DEFAULT_MODELS[completed.provider];
+  if (completed.provider === MODEL_PROVIDERS.LOCAL) {
+    completed.baseURL = config.localBaseURL || completed.baseURL || LOCAL_SERVERS.local;
+    if (!completed.model) {
+      throw new Error('Local models need a model name, e.g. MODEL=ollama:llama3.1');
+    }
+  }
+  return completed;
+}
+
+// Settings of the fallback for one mode (or the default), or null when there is none
+// or it is the very model the mode already uses. Another model from the same
+// provider (gpt-4o falling back to gpt-4o-mini) is a fallback too.
+export function resolveFallbackSettings(config, mode) {
+  if (!config.fallback) {
+    return null;
+  }
+
+  const settings = resolveModelSettings(config, mode);
+  const fallback = completeSettings(config, { temperature: settings.temperature, ...config.fallback });
+  const sameModel = ['provider', 'model', 'baseURL'].every(key => fallback[key] === settings[key]);
+  return sameModel ? null : fallback;
+}
+
+// The environment variable each hosted provider's API key comes from
+export const PROVIDER_API_KEYS = {
+  [MODEL_PROVIDERS.OPENAI]: 'OPENAI_API_KEY',
+  [MODEL_PROVIDERS.ANTHROPIC]: 'ANTHROPIC_API_KEY'
+};
+
+// The configured providers, fallbacks included, whose API key isn't set
+export function missingModelCredentials(config, env = process.env) {
+  const providers = [undefined, ...Object.values(MODES)]
+    .flatMap(mode => [resolveModelSettings(config, mode), resolveFallbackSettings(config, mode)])
+    .filter(Boolean)
+    .map(settings => settings.provider);
+  return [...new Set(providers)].filter(provider => PROVIDER_API_KEYS[provider] && !env[PROVIDER_API_KEYS[provider]]);
+}
+
+export async function createChatModel(settings, config = {}) {
+  if (settings.provider === MODEL_PROVIDERS.LOCAL) {
+    return initChatModel(settings.model, {
+      modelProvider: "openai",
+      temperature: settings.temperature,
+      // OpenAI-compatible servers usually ignore the key, but the client insists on one
+      apiKey: config.localApiKey || 'not-needed',
+      configuration: { baseURL: settings.baseURL }
+    });
+  }
+
+  return initChatModel(settings.model, {
+    modelProvider: settings.provider,
+    temperature: settings.temperature
+  });
+}
+
+// Tries each model in turn, moving on when one fails (errors, rate limits, outages).
+// Binding tools or a structured output schema binds every model in the chain.
+export class FallbackChatModel extends BaseChatModel {
+  constructor(models) {
+    super({});
+    this.models = models;
+  }
+
+  _llmType() {
+    return 'fallback';
+  }
+
+  chain(build) {
+    const [primary, ...fallbacks] = this.models.map(build);
+    return primary.withFallbacks(fallbacks);
+  }
+
+  bindTools(tools, kwargs) {
+    return this.chain(model => model.bindTools(tools, kwargs));
+  }
+
+  withStructuredOutput(schema, config) {
+    return this.chain(model => model.withStructuredOutput(schema, config));
+  }
+
+  async _generate(messages, options, runManager) {
+    const message = await this.chain(model => model).invoke(messages, { ...options, callbacks: runManager?.getChild() });
+    return { generations: [{ message, text: typeof message.content === 'string' ? message.content : '' }] };
+  }
+}
+
+// The model for one mode, wrapped with the fallback when one is configured
+export async function createModelForMode(config, mode) {
+  const primary = await createChatModel(resolveModelSettings(config, mode), config);
+  const fallbackSettings = resolveFallbackSettings(config, mode);
+  if (!fallbackSettings) {
+    return primary;
+  }
+
+  return new FallbackChatModel([primary, await createChatModel(fallbackSettings, config)]);
+}
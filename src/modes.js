@@ -0,0 +1,27 @@
+// Agent modes
+export const MODES = {
+  USER: 'my_point_of_view',
+  PARTNER: 'partner_point_of_view',
+  SOLOMON: 'king_solomon_wise',
+  MEDIATOR: 'mediated_joint_session'
+};
+
+// Older clients still ask for the partner mode by its original name
+const MODE_ALIASES = {
+  WIFE: 'PARTNER'
+};
+
+// Maps a mode key such as "solomon" or "WIFE", or a mode value such as
+// "king_solomon_wise", to its mode value; undefined when it isn't a mode
+export function resolveMode(name) {
+  if (typeof name !== 'string' || !name) {
+    return undefined;
+  }
+
+  if (Object.values(MODES).includes(name)) {
+    return name;
+  }
+
+  const key = name.toUpperCase();
+  return MODES[MODE_ALIASES[key] || key];
+}
@@ -0,0 +1,401 @@
+import fs from 'fs';
+import path from 'path';
+import { MemorySaver, InMemoryStore } from "@langchain/langgraph-checkpoint";
+import { Encryptor, EncryptedStore, EncryptedCheckpointSaver } from './encryption.js';
+
+// Persistence backends for conversation checkpoints and the long-term story store.
+// "memory" keeps everything in-process (lost on exit), "file" keeps a JSON snapshot
+// plus a log of the changes since in a data directory, so sessions survive restarts.
+// Only one process at a time may use a data directory.
+export const PERSISTENCE_BACKENDS = {
+  MEMORY: 'memory',
+  FILE: 'file'
+};
+
+const DEFAULT_DATA_DIR = './data';
+const CHECKPOINTS_FILE = 'checkpoints.json';
+const STORE_FILE = 'store.json';
+const LOCK_FILE = '.lock';
+// The change log is folded into the snapshot once it is bigger than the snapshot and this
+const COMPACT_MIN_BYTES = 1024 * 1024;
+
+// Serialized checkpoints are Uint8Arrays, which JSON can't represent natively
+function replacer(key, value) {
+  if (value instanceof Uint8Array) {
+    return { __bytes: Buffer.from(value).toString('base64') };
+  }
+  return value;
+}
+
+function reviver(key, value) {
+  if (value && typeof value === 'object' && typeof value.__bytes === 'string') {
+    return new Uint8Array(Buffer.from(value.__bytes, 'base64'));
+  }
+  return value;
+}
+
+function readJsonFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'), reviver);
+}
+
+// Write to a temp file and rename so a crash mid-write never corrupts the snapshot.
+// Returns the size written.
+function writeJsonFile(filePath, data) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.tmp`;
+  const json = JSON.stringify(data, replacer);
+  fs.writeFileSync(tmpPath, json);
+  fs.renameSync(tmpPath, filePath);
+  return Buffer.byteLength(json);
+}
+
+// A snapshot file plus an append-only log of the changes made since, so saving a
+// change costs the size of the change rather than a rewrite of everything. The log
+// is folded back into the snapshot on load and whenever it outgrows the snapshot.
+class Journal {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.logPath = `${filePath}.log`;
+    this.snapshotBytes = fs.existsSync(filePath) ? fs.statSync(filePath).size : 0;
+    this.logBytes = 0;
+  }
+
+  // The snapshot and the changes logged after it. A line cut short by a crash ends the log.
+  read() {
+    const changes = [];
+    const lines = fs.existsSync(this.logPath) ? fs.readFileSync(this.logPath, 'utf8').split("\n") : [];
+    for (const line of lines.filter(Boolean)) {
+      try {
+        changes.push(JSON.parse(line, reviver));
+      } catch {
+        break;
+      }
+    }
+    return { snapshot: readJsonFile(this.filePath), changes };
+  }
+
+  append(changes) {
+    const text = changes.map(change => `${JSON.stringify(change, replacer)}\n`).join('');
+    fs.mkdirSync(path.dirname(this.logPath), { recursive: true });
+    fs.appendFileSync(this.logPath, text);
+    this.logBytes += Buffer.byteLength(text);
+  }
+
+  // Even a log with nothing readable is folded in, or changes appended after a cut-short line would be lost
+  get hasLog() {
+    return fs.existsSync(this.logPath);
+  }
+
+  get needsCompaction() {
+    return this.logBytes > Math.max(COMPACT_MIN_BYTES, this.snapshotBytes);
+  }
+
+  // The snapshot is written before the log goes, so a crash in between only means
+  // replaying changes the snapshot already has
+  compact(snapshot) {
+    this.snapshotBytes = writeJsonFile(this.filePath, snapshot);
+    fs.rmSync(this.logPath, { force: true });
+    this.logBytes = 0;
+  }
+}
+
+// Sets (or, for undefined, deletes) the value at a path of keys in nested objects
+function setPath(root, keys, value) {
+  let node = root;
+  for (const key of keys.slice(0, -1)) {
+    if (value === undefined && !node[key]) {
+      return;
+    }
+    node = node[key] ??= {};
+  }
+  if (value === undefined) {
+    delete node[keys.at(-1)];
+  } else {
+    node[keys.at(-1)] = value;
+  }
+}
+
+const getPath = (root, keys) => keys.reduce((node, key) => node?.[key], root);
+
+// Deleted data leaves the disk right away rather than at the next compaction.
+// Inside deferCompaction() that waits until the end, so erasing a user's many
+// records rewrites each snapshot once instead of once per record.
+let compactionDeferred = 0;
+const pendingCompaction = new Set();
+
+function compactAfterDelete(saver) {
+  if (compactionDeferred) {
+    pendingCompaction.add(saver);
+  } else {
+    saver.compact();
+  }
+}
+
+export async function deferCompaction(fn) {
+  compactionDeferred++;
+  try {
+    return await fn();
+  } finally {
+    if (!--compactionDeferred) {
+      pendingCompaction.forEach(saver => saver.compact());
+      pendingCompaction.clear();
+    }
+  }
+}
+
+// MemorySaver's key for the writes of one checkpoint
+const writesKey = (threadId, checkpointNamespace, checkpointId) => JSON.stringify([threadId, checkpointNamespace, checkpointId]);
+
+// MemorySaver keeps every checkpoint of every step, including the ReAct subgraphs'.
+// When a request comes in, the previous one's subgraph checkpoints and all its
+// checkpoints but two are dropped: the final state, which the next request continues
+// from, and the first step (with the new input applied), which dates it in transcripts.
+export class FileCheckpointSaver extends MemorySaver {
+  constructor(filePath, serde) {
+    super(serde);
+    this.journal = new Journal(filePath);
+
+    const { snapshot, changes } = this.journal.read();
+    this.storage = snapshot?.storage || {};
+    this.writes = snapshot?.writes || {};
+    for (const { keys, value } of changes) {
+      setPath(this, keys, value);
+    }
+    if (this.journal.hasLog) {
+      this.compact();
+    }
+  }
+
+  snapshot() {
+    return { storage: this.storage, writes: this.writes };
+  }
+
+  compact() {
+    this.journal.compact(this.snapshot());
+  }
+
+  // Logs the current value (or absence) at each path; every path starts at storage or writes
+  record(paths) {
+    this.journal.append(paths.map(keys => ({ keys, value: getPath(this, keys) })));
+    if (this.journal.needsCompaction) {
+      this.compact();
+    }
+  }
+
+  async put(config, checkpoint, metadata) {
+    const result = await super.put(config, checkpoint, metadata);
+    const { thread_id: threadId, checkpoint_ns: checkpointNamespace, checkpoint_id: checkpointId } = result.configurable;
+    const pruned = checkpointNamespace === '' && metadata?.source === 'input'
+      ? await this.prunePreviousRequest(threadId, config.configurable?.checkpoint_id)
+      : [];
+    this.record([['storage', threadId, checkpointNamespace, checkpointId], ...pruned]);
+    return result;
+  }
+
+  async putWrites(config, writes, taskId) {
+    await super.putWrites(config, writes, taskId);
+    const { thread_id: threadId, checkpoint_ns: checkpointNamespace, checkpoint_id: checkpointId } = config.configurable;
+    this.record([['writes', writesKey(threadId, checkpointNamespace, checkpointId)]]);
+  }
+
+  async deleteThread(threadId) {
+    await super.deleteThread(threadId);
+    this.record([['storage', threadId]]);
+    compactAfterDelete(this);
+  }
+
+  // Removes what the previous request left behind, given its final checkpoint, and
+  // returns the paths it changed
+  async prunePreviousRequest(threadId, finalCheckpointId) {
+    const thread = this.storage[threadId] || {};
+    const removed = Object.keys(thread)
+      .filter(checkpointNamespace => checkpointNamespace !== '')
+      .flatMap(checkpointNamespace => Object.keys(thread[checkpointNamespace]).map(checkpointId => [checkpointNamespace, checkpointId]));
+
+    // Walk back from the final state through the request's steps to its input checkpoint,
+    // which only repeats the state from before the request. All but the first step go.
+    const root = thread[''] || {};
+    const steps = [];
+    let checkpointId = root[finalCheckpointId]?.[2];
+    while (root[checkpointId]) {
+      const [, metadata, parentId] = root[checkpointId];
+      const { source } = await this.serde.loadsTyped("json", metadata);
+      if (source === 'input') {
+        steps.pop();
+        removed.push(...[...steps, checkpointId].map(id => ['', id]));
+        break;
+      }
+      if (source !== 'loop') {
+        break;
+      }
+      steps.push(checkpointId);
+      checkpointId = parentId;
+    }
+
+    const paths = [];
+    for (const [checkpointNamespace, id] of removed) {
+      const key = writesKey(threadId, checkpointNamespace, id);
+      delete thread[checkpointNamespace][id];
+      delete this.writes[key];
+      paths.push(['storage', threadId, checkpointNamespace, id], ['writes', key]);
+    }
+    for (const checkpointNamespace of Object.keys(thread)) {
+      if (checkpointNamespace !== '' && !Object.keys(thread[checkpointNamespace]).length) {
+        delete thread[checkpointNamespace];
+        paths.push(['storage', threadId, checkpointNamespace]);
+      }
+    }
+    return paths;
+  }
+}
+
+// InMemoryStore answers the queries; FileStore keeps its own copy of every item to
+// write out, and loads saved items back through put(). Items come back with the
+// time of loading as their createdAt/updatedAt; the app keeps its own timestamps
+// in the values.
+export class FileStore extends InMemoryStore {
+  constructor(filePath, options) {
+    super(options);
+    this.journal = new Journal(filePath);
+    this.items = new Map();
+
+    const { snapshot, changes } = this.journal.read();
+    for (const { namespace, key, value } of [...(snapshot?.items || []), ...changes]) {
+      this.track({ namespace, key, value });
+    }
+    if (this.journal.hasLog) {
+      this.compact();
+    }
+    this.loaded = super.batch([...this.items.values()]);
+  }
+
+  track({ namespace, key, value }) {
+    const id = JSON.stringify([...namespace, key]);
+    if (value === null) {
+      this.items.delete(id);
+    } else {
+      this.items.set(id, { namespace, key, value });
+    }
+  }
+
+  snapshot() {
+    return { items: [...this.items.values()] };
+  }
+
+  compact() {
+    this.journal.compact(this.snapshot());
+  }
+
+  async batch(operations) {
+    await this.loaded;
+    const results = await super.batch(operations);
+
+    // Puts (and deletes, which are puts with a null value) change the data
+    const puts = operations.filter(op => "value" in op).map(({ namespace, key, value }) => ({ namespace, key, value }));
+    if (puts.length) {
+      puts.forEach(put => this.track(put));
+      this.journal.append(puts);
+      if (puts.some(put => put.value === null)) {
+        compactAfterDelete(this);
+      } else if (this.journal.needsCompaction) {
+        this.compact();
+      }
+    }
+    return results;
+  }
+}
+
+const lockedDirs = new Set();
+
+// Whether a process with this pid exists (EPERM: it does, but belongs to someone else)
+function isRunning(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+// Two backends on one data directory would each keep their own copy in memory
+// and overwrite each other's changes, so the first to open it holds a lock file
+// with its pid until it is released or the process exits. One left by a crashed
+// process is taken over. Returns the function that releases the lock.
+function lockDataDir(dataDir) {
+  const lockPath = path.resolve(dataDir, LOCK_FILE);
+  if (lockedDirs.has(lockPath)) {
+    throw new Error(`The data directory ${dataDir} is already open in this process. Close the agent using it before opening another`);
+  }
+  fs.mkdirSync(dataDir, { recursive: true });
+
+  for (;;) {
+    try {
+      fs.writeFileSync(lockPath, String(process.pid), { flag: 'wx' });
+      if (!lockedDirs.size) {
+        process.once('exit', () => lockedDirs.forEach(held => fs.rmSync(held, { force: true })));
+      }
+      lockedDirs.add(lockPath);
+      return () => {
+        if (lockedDirs.delete(lockPath)) {
+          fs.rmSync(lockPath, { force: true });
+        }
+      };
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+    }
+
+    // Our own pid here can only be left over from an earlier process (e.g. pid 1 in a container)
+    const owner = Number(fs.readFileSync(lockPath, 'utf8'));
+    if (!(owner > 0) || (owner !== process.pid && isRunning(owner))) {
+      throw new Error(`The data directory ${dataDir} is in use by another process (pid ${owner || 'unknown'}). Only one process at a time can use file persistence; remove ${lockPath} if that process is gone`);
+    }
+    fs.rmSync(lockPath, { force: true });
+  }
+}
+
+function createBackend(backend, dataDir) {
+  switch (backend) {
+    case PERSISTENCE_BACKENDS.MEMORY:
+      return {
+        checkpointer: new MemorySaver(),
+        store: new InMemoryStore(),
+        close: () => {}
+      };
+    case PERSISTENCE_BACKENDS.FILE: {
+      const close = lockDataDir(dataDir);
+      return {
+        checkpointer: new FileCheckpointSaver(path.join(dataDir, CHECKPOINTS_FILE)),
+        store: new FileStore(path.join(dataDir, STORE_FILE)),
+        close
+      };
+    }
+    default:
+      throw new Error(`Unknown persistence backend: ${backend}`);
+  }
+}
+
+// Options fall back to PERSISTENCE_BACKEND / PERSISTENCE_DIR / ENCRYPTION_SECRET
+// from the environment. With a secret, everything is encrypted before it is stored.
+// close() releases the data directory so it can be opened again.
+export function createPersistence(options = {}) {
+  const backend = options.backend || process.env.PERSISTENCE_BACKEND || PERSISTENCE_BACKENDS.MEMORY;
+  const dataDir = options.dataDir || process.env.PERSISTENCE_DIR || DEFAULT_DATA_DIR;
+  const encryptionSecret = options.encryptionSecret || process.env.ENCRYPTION_SECRET;
+
+  const { checkpointer, store, close } = createBackend(backend, dataDir);
+  if (!encryptionSecret) {
+    return { checkpointer, store, close };
+  }
+
+  const encryptor = new Encryptor(encryptionSecret);
+  return {
+    checkpointer: new EncryptedCheckpointSaver(checkpointer, encryptor),
+    store: new EncryptedStore(store, encryptor),
+    close
+  };
+}
@@ -0,0 +1,102 @@
+import { serializeMessage } from './messages.js';
+import { sessionThreadId } from './state.js';
+import { listSessions, deleteSession } from './sessions.js';
+import { listStories, deleteStory } from './stories.js';
+import { listCommitments, commitmentNamespace } from './commitments.js';
+import { listSafetyEvents, safetyEventNamespace } from './safety.js';
+import { listCasesForParticipant, leaveCase } from './cases.js';
+import { deferCompaction } from './persistence.js';
+
+// Export and erase everything stored about one user: stories (including the
+// legacy keys), sessions and their conversation threads, commitments, safety
+// events and case memberships. Threads are found through the user's sessions.
+
+async function latestState(checkpointer, threadId) {
+  const tuple = await checkpointer.getTuple({ configurable: { thread_id: threadId, checkpoint_ns: "" } });
+  return tuple?.checkpoint.channel_values || null;
+}
+
+async function exportThread(checkpointer, userId, sessionId) {
+  const threadId = sessionThreadId(userId, sessionId);
+  const state = await latestState(checkpointer, threadId);
+  if (!state) {
+    return null;
+  }
+
+  return {
+    threadId,
+    sessionId,
+    messages: (state.messages || []).map(serializeMessage),
+    lastMode: state.mode || null,
+    summaries: state.modeSummaries || {},
+    modeMessages: Object.fromEntries(
+      Object.entries(state.modeMessages || {}).map(([mode, messages]) => [mode, messages.map(serializeMessage)])
+    )
+  };
+}
+
+export async function exportUserData({ store, checkpointer }, userId) {
+  const sessions = await listSessions(store, userId);
+  const threads = [];
+  for (const session of sessions) {
+    const thread = await exportThread(checkpointer, userId, session.sessionId);
+    if (thread) {
+      threads.push(thread);
+    }
+  }
+
+  return {
+    userId,
+    exportedAt: new Date().toISOString(),
+    sessions,
+    threads,
+    stories: await listStories(store, userId),
+    commitments: await listCommitments(store, userId),
+    safetyEvents: await listSafetyEvents(store, userId),
+    cases: await listCasesForParticipant(store, userId)
+  };
+}
+
+// Returns how many of each kind of record were removed. Stories the partner
+// wrote in a shared case are theirs and stay; this user just leaves the case.
+// File persistence rewrites its snapshots once, after the last record is gone.
+export async function eraseUserData({ store, checkpointer }, userId) {
+  return deferCompaction(() => eraseRecords({ store, checkpointer }, userId));
+}
+
+async function eraseRecords({ store, checkpointer }, userId) {
+  const erased = { sessions: 0, threads: 0, stories: 0, commitments: 0, safetyEvents: 0, cases: 0 };
+
+  for (const session of await listSessions(store, userId)) {
+    const threadId = sessionThreadId(userId, session.sessionId);
+    if (await latestState(checkpointer, threadId)) {
+      await checkpointer.deleteThread(threadId);
+      erased.threads++;
+    }
+    await deleteSession(store, userId, session.sessionId);
+    erased.sessions++;
+  }
+
+  for (const story of await listStories(store, userId)) {
+    if (await deleteStory(store, userId, story.side, story.id)) {
+      erased.stories++;
+    }
+  }
+
+  for (const commitment of await listCommitments(store, userId)) {
+    await store.delete(commitmentNamespace(userId), commitment.id);
+    erased.commitments++;
+  }
+
+  for (const event of await listSafetyEvents(store, userId)) {
+    await store.delete(safetyEventNamespace(userId), event.id);
+    erased.safetyEvents++;
+  }
+
+  for (const record of await listCasesForParticipant(store, userId)) {
+    await leaveCase(store, record.caseId, userId);
+    erased.cases++;
+  }
+
+  return erased;
+}
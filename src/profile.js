@@ -0,0 +1,94 @@
+// Couple profile: who the user is, who their partner is and what kind of
+// relationship they share. It drives the prompts, tool descriptions and labels
+// so the agent isn't hardwired to a husband talking about his wife.
+const KNOWN_PRONOUNS = {
+  she: { subject: 'she', object: 'her', possessive: 'her' },
+  he: { subject: 'he', object: 'him', possessive: 'his' },
+  they: { subject: 'they', object: 'them', possessive: 'their' }
+};
+
+const PARTNER_ICONS = {
+  she: '👩',
+  he: '👨'
+};
+
+export const DEFAULT_PROFILE = {
+  relationshipType: 'marriage',
+  user: {
+    name: null,
+    pronouns: 'they/them'
+  },
+  partner: {
+    name: null,
+    role: 'wife',
+    pronouns: 'she/her'
+  }
+};
+
+// Accepts "she/her", "he/him/his", "xe/xem/xyr" or an already-parsed object
+export function parsePronouns(pronouns) {
+  if (pronouns && typeof pronouns === 'object') {
+    return pronouns;
+  }
+
+  const parts = String(pronouns || 'they/them').toLowerCase().split('/').map(part => part.trim());
+  const known = KNOWN_PRONOUNS[parts[0]];
+  if (known) {
+    return known;
+  }
+
+  return {
+    subject: parts[0],
+    object: parts[1] || parts[0],
+    possessive: parts[2] || parts[1] || parts[0]
+  };
+}
+
+export function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+export function createCoupleProfile(overrides = {}) {
+  const profile = {
+    relationshipType: overrides.relationshipType || DEFAULT_PROFILE.relationshipType,
+    user: { ...DEFAULT_PROFILE.user, ...overrides.user },
+    partner: { ...DEFAULT_PROFILE.partner, ...overrides.partner }
+  };
+
+  profile.user.pronouns = parsePronouns(profile.user.pronouns);
+  profile.partner.pronouns = parsePronouns(profile.partner.pronouns);
+  return profile;
+}
+
+// Builds a profile from USER_NAME, USER_PRONOUNS, PARTNER_NAME, PARTNER_ROLE,
+// PARTNER_PRONOUNS and RELATIONSHIP_TYPE, falling back to the defaults
+export function profileFromEnv(env = process.env) {
+  return createCoupleProfile({
+    relationshipType: env.RELATIONSHIP_TYPE,
+    user: {
+      ...(env.USER_NAME && { name: env.USER_NAME }),
+      ...(env.USER_PRONOUNS && { pronouns: env.USER_PRONOUNS })
+    },
+    partner: {
+      ...(env.PARTNER_NAME && { name: env.PARTNER_NAME }),
+      ...(env.PARTNER_ROLE && { role: env.PARTNER_ROLE }),
+      ...(env.PARTNER_PRONOUNS && { pronouns: env.PARTNER_PRONOUNS })
+    }
+  });
+}
+
+// Ready-to-use wording for the partner, e.g. "your wife" / "the wife" / "Wife" / "Her",
+// or "Sam" / "Sam" / "Sam" / "Sam's" when a name is set
+export function describePartner(profile) {
+  const { name, role, pronouns } = profile.partner;
+
+  return {
+    role,
+    pronouns,
+    yourLabel: name || `your ${role}`,
+    theLabel: name || `the ${role}`,
+    titleLabel: name || capitalize(role),
+    possessiveLabel: name ? `${name}'s` : capitalize(pronouns.possessive),
+    icon: PARTNER_ICONS[pronouns.subject] || '🧑'
+  };
+}
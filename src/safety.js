@@ -0,0 +1,154 @@
+import { z } from "zod";
+import { v4 as uuidv4 } from 'uuid';
+import { searchAll } from './store.js';
+
+// Safety guardrail that runs before any mode answers. Disclosures of self-harm,
+// domestic violence or coercive control must not be met with "I'm on your side"
+// or a role-played partner defending themselves, so flagged messages get a
+// neutral reply with crisis resources instead and the event is logged.
+export const SAFETY_CATEGORIES = {
+  SELF_HARM: 'self_harm',
+  VIOLENCE: 'domestic_violence',
+  COERCIVE_CONTROL: 'coercive_control'
+};
+
+const PERSON = String.raw`(?:me|him|her|them|my (?:wife|husband|partner|kids?|children))`;
+
+// What a controlling partner keeps someone from: people, money, leaving. Not
+// "never lets me have the last word" or "never lets me talk when we argue"
+const CONTACTS = String.raw`(?:my |any )?(?:friends?|family|parents|mum|mom|dad|sisters?|brothers?|anyone|anybody|a doctor|a lawyer|people)`;
+const CONTROLLED = String.raw`(?:leave|work\b|go (?:out|anywhere|outside)\b|see ${CONTACTS}\b|(?:talk|speak) to ${CONTACTS}\b|have (?:my own |any |a )?(?:money|phone|car|keys|bank account|job|friends|credit card|cash)\b)`;
+
+// Deliberately phrase-based: plain hyperbole like "I could kill him for being late"
+// shouldn't trip the guardrail, first-person disclosures should
+const RULES = {
+  [SAFETY_CATEGORIES.SELF_HARM]: [
+    /\bsuicid(?:e|al)\b/,
+    /\b(?:kill|hurt|harm|cut)(?:ing)? myself\b/,
+    /\bself[- ]harm/,
+    /\bend(?:s|ed|ing)? (?:my life|it all)\b/,
+    /\btak(?:e|ing) my (?:own )?life\b/,
+    /\b(?:want|wanted|wanna|going|ready) to die\b/,
+    /\bwish (?:i was|i were|i'd never been) (?:dead|born)\b/,
+    /\b(?:don'?t|do not) want to (?:live|be alive|be here anymore)\b/,
+    /\bbetter off (?:dead|without me)\b/,
+    /\bno reason to live\b/
+  ],
+  [SAFETY_CATEGORIES.VIOLENCE]: [
+    // Errs toward flagging: "beat me up", "pushed me over" and "kicked me out" all count.
+    // "hit me up" is the one idiom left out
+    new RegExp(String.raw`\b(?:punch(?:es|ed)?|slap(?:s|ped)?|chok(?:e|es|ed|ing)|strangl\w*|kick(?:s|ed)?|shov(?:e|es|ed)|beat(?:s|en)?|push(?:es|ed)?) ${PERSON}\b`),
+    new RegExp(String.raw`\bhit(?:s|ting)? ${PERSON}\b(?! up\b)`),
+    new RegExp(String.raw`\bhurt ${PERSON}\b`),
+    new RegExp(String.raw`\b(?:push(?:es|ed)?|shov(?:e|es|ed)|threw|throws?|slam(?:s|med)?) ${PERSON} (?:into|against|down|onto|over) (?:a |the )?(?:wall|door|floor|ground|table|stairs|counter)\b`),
+    new RegExp(String.raw`\b(?:threw|throws?|throwing|hurl(?:s|ed)?) (?:a |an |the |his |her |their |my )?[\w-]+ at ${PERSON}\b`),
+    new RegExp(String.raw`\b(?:grabb?(?:s|ed|ing)?|held|holds?|squeez(?:e|es|ed)) ${PERSON} by the (?:throat|neck)\b`),
+    /\bhands? (?:a?round|on) my (?:throat|neck)\b/,
+    /\brap(?:e|es|ed|ing|ist)\b/,
+    new RegExp(String.raw`\b(?:forc(?:e|es|ed|ing)|pressur(?:e|es|ed|ing)|made) ${PERSON} (?:to have sex|into (?:having )?sex|have sex)\b`),
+    /\bsexual(?:ly)? coerc\w*/,
+    new RegExp(String.raw`\bthreaten(?:s|ed|ing)? (?:to (?:kill|hurt|harm)\b|${PERSON} with\b)`),
+    new RegExp(String.raw`\b(?:said|says|told me|tells me|swore) (?:that )?(?:he|she|they)(?:'d|'ll| would| will| (?:is|was|are|were) going to) (?:kill|hurt|harm) ${PERSON}\b`),
+    /\b(?:afraid|scared|fear) (?:for|of) (?:my|her|his|their) (?:life|safety)\b/,
+    /\b(?:afraid|scared) (?:he|she|they)(?:'ll| will| might| is going to) hurt\b/,
+    /\b(?:restraining|protective) order\b/,
+    /\b(?:physically|sexually) (?:abus\w*|assault\w*)\b/,
+    /\babus(?:es|ed|ing|ive)? (?:me|him|her|them)\b/
+  ],
+  [SAFETY_CATEGORIES.COERCIVE_CONTROL]: [
+    new RegExp(String.raw`\b(?:won'?t|doesn'?t|does not|will not|never) let(?:s)? me ${CONTROLLED}`),
+    new RegExp(String.raw`\b(?:not|never) allowed to ${CONTROLLED}`),
+    /\b(?:takes?|took|controls?|keeps?) (?:all )?(?:of )?my (?:money|phone|car keys|keys|passport|paycheck|wages)\b/,
+    /\b(?:tracks?|monitors?|reads?|checks?) (?:all )?my (?:phone|location|messages|texts|emails)\b/,
+    /\bisolat(?:e|es|ed|ing) me\b/
+  ]
+};
+
+// Offline, deterministic check: { flagged, categories, source }
+export function classifyMessage(text) {
+  const normalized = String(text || '').toLowerCase().replace(/[’‘]/g, "'");
+  const categories = Object.keys(RULES).filter(category => RULES[category].some(rule => rule.test(normalized)));
+
+  return { flagged: categories.length > 0, categories, source: 'rules' };
+}
+
+const SafetyCheckSchema = z.object({
+  flagged: z.boolean().describe("True if the message discloses self-harm, domestic violence or coercive control"),
+  categories: z.array(z.enum(Object.values(SAFETY_CATEGORIES))).describe("Which of the risks the message discloses")
+}).describe("Safety classification of a message to a relationship counselor");
+
+const SAFETY_CHECK_PROMPT = `You screen messages sent to a relationship counseling assistant. Flag the message only if it discloses a risk of self-harm or suicide, physical or sexual violence between partners, threats, or coercive control (isolation, controlling money, monitoring, not being allowed to leave). Ordinary arguments and figures of speech are not flagged.`;
+
+// Optional second opinion for what the rules miss. Failures fall back to the rules' answer.
+export function createSafetyClassifier({ llm, modelCheck = false } = {}) {
+  const checker = modelCheck && llm ? llm.withStructuredOutput(SafetyCheckSchema, { name: "safety_check" }) : null;
+
+  return async (text, config) => {
+    const result = classifyMessage(text);
+    if (result.flagged || !checker) {
+      return result;
+    }
+
+    try {
+      const output = SafetyCheckSchema.parse(await checker.invoke([
+        { role: "system", content: SAFETY_CHECK_PROMPT },
+        { role: "user", content: text }
+      ], config));
+      return output.flagged && output.categories.length
+        ? { flagged: true, categories: output.categories, source: 'model' }
+        : result;
+    } catch (error) {
+      return result;
+    }
+  };
+}
+
+const RESOURCES = {
+  [SAFETY_CATEGORIES.SELF_HARM]: [
+    "Call or text 988 (Suicide & Crisis Lifeline, US) to talk to someone right now",
+    "Outside the US, find a local helpline at https://findahelpline.com"
+  ],
+  [SAFETY_CATEGORIES.VIOLENCE]: [
+    "National Domestic Violence Hotline (US): call 1-800-799-7233 or text START to 88788",
+    "Outside the US, find local support at https://www.hotpeachpages.net"
+  ],
+  [SAFETY_CATEGORIES.COERCIVE_CONTROL]: [
+    "National Domestic Violence Hotline (US): call 1-800-799-7233 or text START to 88788 - controlling behaviour is abuse too",
+    "Outside the US, find local support at https://www.hotpeachpages.net"
+  ]
+};
+
+// Neutral reply that replaces whatever the current mode would have said
+export function buildSafetyResponse(categories) {
+  const resources = [...new Set(categories.flatMap(category => RESOURCES[category] || []))];
+
+  return `I'm stepping out of the counseling role for a moment, because what you wrote sounds like it may involve your safety or someone else's. That matters more than who is right in an argument, and it isn't something I can role-play or take sides on.
+
+If anyone is in immediate danger, call your local emergency number (911 in the US) now.
+
+${resources.map(resource => `- ${resource}`).join("\n")}
+
+These services are free and confidential, and they can help you think through next steps, including how to stay safe. Couples counseling is usually not recommended while there is abuse or a risk of harm - a specialist can advise you. I'm still here if you want to talk about how you're feeling.`;
+}
+
+// Safety events are kept per user under ["safety_events", userId]. Only the
+// classification is stored, never the message itself.
+export function safetyEventNamespace(userId) {
+  return ["safety_events", userId];
+}
+
+export async function recordSafetyEvent(store, { userId, sessionId, mode, categories, source }) {
+  const id = uuidv4();
+  const value = { sessionId, mode, categories, source, createdAt: new Date().toISOString() };
+
+  await store.put(safetyEventNamespace(userId), id, value);
+  return { id, ...value };
+}
+
+export async function listSafetyEvents(store, userId) {
+  const items = await searchAll(store, safetyEventNamespace(userId));
+  return items
+    .filter(item => item.namespace[1] === userId)
+    .map(item => ({ id: item.key, ...item.value }))
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
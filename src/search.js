@@ -0,0 +1,221 @@
+import { OpenAIEmbeddings } from "@langchain/openai";
+import { describePartner } from './profile.js';
+import { STORY_SIDES, listStories, collectBothStories, isFirstHand } from './stories.js';
+
+// Semantic recall over story history, so "the argument about money three sessions
+// ago" can be found once there is too much history to read in full. Any LangChain
+// embeddings model (embedDocuments / embedQuery) can be plugged in; the default is
+// a local TF-IDF embedder that needs no network or API key. Vectors only live in
+// memory, so nothing derived from (possibly encrypted) stories is written to disk.
+export const DEFAULT_SEARCH_LIMIT = 5;
+export const MAX_SEARCH_LIMIT = 20;
+
+const STOP_WORDS = new Set([
+  'a', 'about', 'after', 'again', 'all', 'also', 'am', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'because',
+  'been', 'before', 'being', 'but', 'by', 'can', 'could', 'did', 'do', 'does', 'doing', 'don', 'even', 'for',
+  'from', 'had', 'has', 'have', 'he', 'her', 'him', 'his', 'how', 'if', 'in', 'into', 'is', 'it', 'its', 'just',
+  'me', 'more', 'my', 'no', 'not', 'of', 'on', 'or', 'our', 'out', 'over', 'she', 'so', 'some', 'than', 'that',
+  'the', 'their', 'them', 'then', 'there', 'they', 'this', 'to', 'too', 'up', 'us', 'very', 'was', 'we', 'were',
+  'what', 'when', 'which', 'who', 'why', 'will', 'with', 'would', 'you', 'your'
+]);
+
+// Crude suffix stripping so "argue", "arguing" and "argued" meet
+function stem(word) {
+  for (const suffix of ['ing', 'ed', 'ly', 'es', 's']) {
+    if (word.endsWith(suffix) && word.length - suffix.length >= 3 && !word.endsWith('ss')) {
+      return word.slice(0, -suffix.length);
+    }
+  }
+  return word;
+}
+
+export function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[’‘]/g, "'")
+    .split(/[^a-z0-9']+/)
+    .map(word => word.replace(/'s?$|^'/g, ''))
+    .filter(word => word.length > 1 && !STOP_WORDS.has(word))
+    .map(stem);
+}
+
+// Term weights fitted on one corpus; texts are embedded in that corpus' vocabulary
+export class TfidfVectorizer {
+  constructor(texts) {
+    this.vocabulary = new Map();
+    const documentFrequency = [];
+
+    for (const text of texts) {
+      for (const term of new Set(tokenize(text))) {
+        if (!this.vocabulary.has(term)) {
+          this.vocabulary.set(term, this.vocabulary.size);
+          documentFrequency.push(0);
+        }
+        documentFrequency[this.vocabulary.get(term)]++;
+      }
+    }
+
+    // Smoothed idf, so a term found in every document still counts a little
+    this.idf = documentFrequency.map(frequency => Math.log((1 + texts.length) / (1 + frequency)) + 1);
+  }
+
+  vectorize(text) {
+    const vector = new Array(this.vocabulary.size).fill(0);
+    for (const term of tokenize(text)) {
+      const index = this.vocabulary.get(term);
+      if (index !== undefined) {
+        vector[index] += this.idf[index];
+      }
+    }
+    return normalize(vector);
+  }
+}
+
+// Offline default. TF-IDF vectors depend on the whole corpus, so instead of caching
+// document vectors the index refits on every search (cheap at story-history scale).
+export class TfidfEmbedder {
+  fit(texts) {
+    return new TfidfVectorizer(texts);
+  }
+}
+
+function normalize(vector) {
+  const length = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return length ? vector.map(value => value / length) : vector;
+}
+
+export function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+// "tfidf" (default) or "openai[:model]", e.g. EMBEDDINGS=openai:text-embedding-3-small
+export function createEmbedder(spec = process.env.EMBEDDINGS) {
+  const [provider, ...rest] = String(spec || 'tfidf').split(':');
+  switch (provider.toLowerCase()) {
+    case 'tfidf':
+      return new TfidfEmbedder();
+    case 'openai':
+      return new OpenAIEmbeddings({ ...(rest.length && { model: rest.join(':') }) });
+    default:
+      throw new Error(`Unknown embeddings provider: ${provider}. Expected one of: tfidf, openai`);
+  }
+}
+
+// Ranks story entries against a query. Document vectors from fixed embedders are
+// cached per user and story, re-embedded only when a story's text changes and
+// dropped once the story is no longer among the user's entries.
+export class HistoryIndex {
+  constructor(embedder = new TfidfEmbedder()) {
+    this.embedder = embedder;
+    this.vectors = new Map();
+  }
+
+  async embedEntries(userId, entries) {
+    const cached = this.vectors.get(userId) || new Map();
+    this.vectors.set(userId, cached);
+
+    const ids = new Set(entries.map(entry => entry.id));
+    for (const id of cached.keys()) {
+      if (!ids.has(id)) {
+        cached.delete(id);
+      }
+    }
+
+    const stale = entries.filter(entry => cached.get(entry.id)?.content !== entry.content);
+    if (stale.length) {
+      const vectors = await this.embedder.embedDocuments(stale.map(entry => entry.content));
+      stale.forEach((entry, index) => cached.set(entry.id, { content: entry.content, vector: vectors[index] }));
+    }
+
+    return entries.map(entry => cached.get(entry.id).vector);
+  }
+
+  async search(userId, entries, query, { limit = DEFAULT_SEARCH_LIMIT } = {}) {
+    if (!entries.length) {
+      return [];
+    }
+
+    let documentVectors;
+    let queryVector;
+    if (typeof this.embedder.fit === 'function') {
+      const vectorizer = this.embedder.fit(entries.map(entry => entry.content));
+      documentVectors = entries.map(entry => vectorizer.vectorize(entry.content));
+      queryVector = vectorizer.vectorize(query);
+    } else {
+      documentVectors = await this.embedEntries(userId, entries);
+      queryVector = await this.embedder.embedQuery(query);
+    }
+
+    return entries
+      .map((entry, index) => ({ ...entry, score: cosineSimilarity(queryVector, documentVectors[index]) }))
+      .filter(entry => entry.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  // Drops cached vectors, e.g. when a user's data is erased
+  forget(userId) {
+    this.vectors.delete(userId);
+  }
+
+  // Drops deleted stories from every user's cache, including a case partner's
+  forgetStories(ids) {
+    for (const cached of this.vectors.values()) {
+      ids.forEach(id => cached.delete(id));
+    }
+  }
+}
+
+// Entries a search can see. The user mode searches only the user's own account;
+// Solomon also sees the partner's side: their own words (in a shared case, a chat
+// log or a joint session) and the role-play.
+async function searchableEntries(store, { userId, caseId, includePartner }) {
+  if (!includePartner) {
+    const own = await listStories(store, userId, STORY_SIDES.USER);
+    return own
+      .filter(entry => !caseId || entry.caseId === caseId)
+      .map(entry => ({ ...entry, source: 'user' }));
+  }
+
+  const { user, partner, simulatedPartner } = await collectBothStories(store, userId, caseId);
+  return [
+    ...user.map(entry => ({ ...entry, source: 'user' })),
+    ...partner.map(entry => ({ ...entry, source: 'partner' })),
+    ...simulatedPartner.map(entry => ({ ...entry, source: isFirstHand(entry) ? 'partner' : 'simulatedPartner' }))
+  ];
+}
+
+export async function searchStories(store, index, { userId, caseId, query, limit, includePartner = true }) {
+  const entries = await searchableEntries(store, { userId, caseId, includePartner });
+  return index.search(userId, entries, query, { limit });
+}
+
+function sourceLabel(source, profile) {
+  const { titleLabel } = describePartner(profile);
+  switch (source) {
+    case 'partner':
+      return `${titleLabel} (own words)`;
+    case 'simulatedPartner':
+      return `${titleLabel} (SIMULATED)`;
+    default:
+      return 'User';
+  }
+}
+
+export function formatSearchResults(results, query, profile) {
+  if (!results.length) {
+    return `Nothing in the saved history matches "${query}"`;
+  }
+
+  return `🔎 PAST ENTRIES ABOUT "${query}" (most relevant first):\n` + results
+    .map((entry, index) => `${index + 1}. [${entry.sentAt || entry.createdAt.slice(0, 10)}] ${sourceLabel(entry.source, profile)}: ${entry.content}`)
+    .join("\n");
+}
@@ -0,0 +1,327 @@
+#!/usr/bin/env node
+
+import http from 'http';
+import { pathToFileURL } from 'url';
+import { MarriageCounselorAgent } from './agent.js';
+import { MODES, resolveMode } from './modes.js';
+import { STORY_SIDES } from './stories.js';
+import { TRANSCRIPT_FORMATS, TOOL_CALL_DISPLAY } from './transcript.js';
+import { SPEAKERS } from './mediation.js';
+import { ANALYTICS_PERIODS } from './analytics.js';
+import { NO_FRAMEWORK } from './frameworks/index.js';
+import { ImportError } from './import.js';
+import { CASE_ERRORS, CaseError } from './cases.js';
+import { serializeMessage } from './messages.js';
+
+export { serializeMessage };
+
+// Plain HTTP API over MarriageCounselorAgent for running outside LangGraph Platform.
+//
+//   GET    /health
+//   GET    /modes
+//   GET    /frameworks
+//   POST   /sessions                          { userId }
+//   GET    /sessions?userId=
+//   POST   /sessions/:sessionId/messages      { userId, mode, content, speaker, framework, caseId, stream, structuredVerdict }
+//   GET    /sessions/:sessionId/history?mode=&userId=
+//   GET    /sessions/:sessionId/transcript?format=markdown|html&toolCalls=summary|hidden&userId=
+//   GET    /stories?userId=&side=
+//   POST   /cases                             { userId }
+//   POST   /cases/:caseId/join                { userId }
+//   GET    /analytics?userId=&caseId=&period=week|month
+//   POST   /stories/import                     { userId, content, format, fileName, userName, partnerName, sessionId, caseId }
+//   DELETE /stories/:side/:id?userId=
+//   GET    /users/:userId/export
+//   DELETE /users/:userId                      erases everything stored about the user
+//
+// Messages are streamed as Server-Sent Events when the request sends
+// "Accept: text/event-stream" or { "stream": true }. With { "structuredVerdict": true }
+// a Solomon reply also carries a verdict object (or a verdictError explaining why not).
+// In the MEDIATOR mode, "speaker" ("user" or "partner") says who is typing; it
+// alternates when omitted, and replies report the nextSpeaker. "framework" picks the
+// counselling framework Solomon judges by for the rest of the session ("none" for plain Solomon).
+// A session belongs to the userId that started it: other users get a 404 for it.
+// An unknown caseId is a 404 and a case the user hasn't joined is a 403.
+
+const DEFAULT_PORT = 8000;
+const MAX_BODY_BYTES = 1024 * 1024;
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const CASE_ERROR_STATUS = {
+  [CASE_ERRORS.NOT_FOUND]: 404,
+  [CASE_ERRORS.NOT_PARTICIPANT]: 403,
+  [CASE_ERRORS.FULL]: 409
+};
+
+function errorStatus(error) {
+  if (error instanceof CaseError) {
+    return CASE_ERROR_STATUS[error.code];
+  }
+  return error.status || 500;
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+const TRANSCRIPT_CONTENT_TYPES = {
+  [TRANSCRIPT_FORMATS.MARKDOWN]: 'text/markdown; charset=utf-8',
+  [TRANSCRIPT_FORMATS.HTML]: 'text/html; charset=utf-8'
+};
+
+function sendText(res, status, contentType, body) {
+  res.writeHead(status, { 'Content-Type': contentType });
+  res.end(body);
+}
+
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+async function readJsonBody(req) {
+  let body = '';
+  for await (const chunk of req) {
+    body += chunk;
+    if (body.length > MAX_BODY_BYTES) {
+      throw new HttpError(413, 'Request body too large');
+    }
+  }
+
+  if (!body) {
+    return {};
+  }
+
+  try {
+    return JSON.parse(body);
+  } catch (error) {
+    throw new HttpError(400, 'Request body must be valid JSON');
+  }
+}
+
+function requireMode(name) {
+  const mode = resolveMode(name);
+  if (!mode) {
+    throw new HttpError(400, `Unknown mode: ${name}`);
+  }
+  return mode;
+}
+
+function requireOption(name, value, allowed) {
+  if (!Object.values(allowed).includes(value)) {
+    throw new HttpError(400, `Unknown ${name}: ${value}`);
+  }
+  return value;
+}
+
+function requireSide(side) {
+  if (!Object.values(STORY_SIDES).includes(side)) {
+    throw new HttpError(400, `Unknown story side: ${side}`);
+  }
+  return side;
+}
+
+// A session is only reachable by the user it belongs to; anyone else gets a 404, as if
+// it didn't exist. Posting to an id nobody has used yet starts a new session.
+async function requireOwnSession(agent, userId, sessionId, { allowNew = false } = {}) {
+  if (await agent.getSession(userId, sessionId)) {
+    return;
+  }
+  if (allowNew && !(await agent.listSessionUsers(sessionId)).length) {
+    return;
+  }
+  throw new HttpError(404, `Session not found: ${sessionId}`);
+}
+
+async function postMessage(agent, req, res, sessionId) {
+  const body = await readJsonBody(req);
+  if (typeof body.content !== 'string' || body.content.trim() === '') {
+    throw new HttpError(400, 'content is required');
+  }
+  await requireOwnSession(agent, body.userId || 'default_user', sessionId, { allowNew: true });
+
+  const config = {
+    configurable: {
+      userId: body.userId || 'default_user',
+      sessionId,
+      ...(body.caseId && { caseId: body.caseId })
+    }
+  };
+  // Resolve once so the reply can report the mode, falling back to the session's last-used mode
+  const mode = await agent.resolveRequestMode({ mode: body.mode && requireMode(body.mode) }, config);
+  const speaker = body.speaker && requireOption('speaker', body.speaker, SPEAKERS);
+  const framework = body.framework && requireOption('framework', body.framework, [NO_FRAMEWORK, ...(await agent.getFrameworks()).map(({ id }) => id)]);
+  const input = { mode, content: body.content, speaker, framework, structuredVerdict: body.structuredVerdict === true };
+
+  const wantsStream = body.stream === true || (req.headers.accept || '').includes('text/event-stream');
+  if (!wantsStream) {
+    const response = await agent.invoke(input, config);
+    sendJson(res, 200, {
+      sessionId,
+      mode,
+      message: serializeMessage(response.messages.at(-1)),
+      ...(response.verdict && { verdict: response.verdict }),
+      ...(response.verdictError && { verdictError: response.verdictError }),
+      ...(response.safety && { safety: response.safety }),
+      ...(mode === MODES.MEDIATOR && { nextSpeaker: await agent.getNextSpeaker(sessionId, { userId: config.configurable.userId }) })
+    });
+    return;
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+
+  try {
+    for await (const event of agent.stream(input, config)) {
+      const { type, message, ...data } = event;
+      sendEvent(res, type, message ? { ...data, message: serializeMessage(message) } : data);
+    }
+  } catch (error) {
+    // Headers are already sent, so errors have to travel as an event
+    sendEvent(res, 'error', { error: error.message });
+  }
+  res.end();
+}
+
+async function route(agent, req, res) {
+  const url = new URL(req.url, 'http://localhost');
+  const parts = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+  const userId = url.searchParams.get('userId') || 'default_user';
+  const method = req.method;
+
+  if (method === 'GET' && url.pathname === '/health') {
+    return sendJson(res, 200, { status: 'ok' });
+  }
+
+  if (method === 'GET' && url.pathname === '/modes') {
+    return sendJson(res, 200, { modes: agent.getModes() });
+  }
+
+  if (method === 'GET' && url.pathname === '/frameworks') {
+    return sendJson(res, 200, { frameworks: await agent.getFrameworks() });
+  }
+
+  if (parts[0] === 'sessions' && parts.length === 1) {
+    if (method === 'POST') {
+      const body = await readJsonBody(req);
+      return sendJson(res, 201, await agent.createSession(body.userId || 'default_user'));
+    }
+    if (method === 'GET') {
+      return sendJson(res, 200, { sessions: await agent.listSessions(userId) });
+    }
+  }
+
+  if (parts[0] === 'sessions' && parts.length === 3) {
+    const sessionId = parts[1];
+
+    if (method === 'POST' && parts[2] === 'messages') {
+      return postMessage(agent, req, res, sessionId);
+    }
+
+    if (method === 'GET' && parts[2] === 'history') {
+      await requireOwnSession(agent, userId, sessionId);
+      const modeName = url.searchParams.get('mode');
+      const mode = await agent.resolveRequestMode({ mode: modeName && requireMode(modeName) }, { configurable: { sessionId, userId } });
+      const messages = await agent.getHistory(sessionId, mode, { userId });
+      const summary = await agent.getSummary(sessionId, mode, { userId });
+      return sendJson(res, 200, { sessionId, mode, summary, messages: messages.map(serializeMessage) });
+    }
+
+    if (method === 'GET' && parts[2] === 'transcript') {
+      await requireOwnSession(agent, userId, sessionId);
+      const format = requireOption('format', url.searchParams.get('format') || TRANSCRIPT_FORMATS.MARKDOWN, TRANSCRIPT_FORMATS);
+      const toolCalls = requireOption('toolCalls', url.searchParams.get('toolCalls') || TOOL_CALL_DISPLAY.SUMMARY, TOOL_CALL_DISPLAY);
+      const transcript = await agent.exportTranscript(sessionId, { userId, format, toolCalls });
+      return sendText(res, 200, TRANSCRIPT_CONTENT_TYPES[format], transcript);
+    }
+  }
+
+  if (parts[0] === 'cases') {
+    if (method === 'POST' && parts.length === 1) {
+      const body = await readJsonBody(req);
+      return sendJson(res, 201, await agent.createCase(body.userId || 'default_user'));
+    }
+
+    if (method === 'POST' && parts.length === 3 && parts[2] === 'join') {
+      const body = await readJsonBody(req);
+      return sendJson(res, 200, await agent.joinCase(parts[1], body.userId || 'default_user'));
+    }
+  }
+
+  if (method === 'GET' && url.pathname === '/analytics') {
+    const period = requireOption('period', url.searchParams.get('period') || ANALYTICS_PERIODS.MONTH, ANALYTICS_PERIODS);
+    const caseId = url.searchParams.get('caseId') || undefined;
+    return sendJson(res, 200, await agent.getConflictAnalytics(userId, { caseId, period }));
+  }
+
+  if (parts[0] === 'stories') {
+    if (method === 'GET' && parts.length === 1) {
+      const side = url.searchParams.get('side');
+      const stories = await agent.listStories(userId, side ? requireSide(side) : undefined);
+      return sendJson(res, 200, { stories });
+    }
+
+    if (method === 'POST' && parts.length === 2 && parts[1] === 'import') {
+      const body = await readJsonBody(req);
+      const { userId: bodyUserId, content, ...options } = body;
+      try {
+        return sendJson(res, 201, await agent.importChatLog(bodyUserId || 'default_user', content, options));
+      } catch (error) {
+        // A bad log or request is the client's to fix; anything else (the store, encryption) is ours
+        if (error instanceof ImportError) {
+          throw new HttpError(400, error.message);
+        }
+        throw error;
+      }
+    }
+
+    if (method === 'DELETE' && parts.length === 3) {
+      const deleted = await agent.deleteStory(userId, requireSide(parts[1]), parts[2]);
+      if (!deleted) {
+        throw new HttpError(404, `Story not found: ${parts[2]}`);
+      }
+      return sendJson(res, 200, { deleted: true });
+    }
+  }
+
+  if (parts[0] === 'users' && parts.length === 3 && parts[2] === 'export' && method === 'GET') {
+    return sendJson(res, 200, await agent.exportUserData(parts[1]));
+  }
+
+  if (parts[0] === 'users' && parts.length === 2 && method === 'DELETE') {
+    return sendJson(res, 200, { erased: await agent.eraseUserData(parts[1]) });
+  }
+
+  throw new HttpError(404, `Not found: ${method} ${url.pathname}`);
+}
+
+export function createServer(agent = new MarriageCounselorAgent()) {
+  return http.createServer(async (req, res) => {
+    try {
+      await route(agent, req, res);
+    } catch (error) {
+      if (res.headersSent) {
+        res.end();
+        return;
+      }
+      sendJson(res, errorStatus(error), { error: error.message });
+    }
+  });
+}
+
+// Start listening when run directly (node src/server.js)
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const port = Number(process.env.PORT) || DEFAULT_PORT;
+  createServer().listen(port, () => {
+    console.log(`🏛️  Marriage Counselor API listening on http://localhost:${port}`);
+  });
+}
@@ -0,0 +1,68 @@
+import { v4 as uuidv4 } from 'uuid';
+import { searchAll } from './store.js';
+
+// Sessions are recorded per user in the long-term store so they can be listed
+// and resumed later; the conversation itself lives in the checkpointer.
+export function sessionNamespace(userId) {
+  return ["sessions", userId];
+}
+
+// Index of who has used a session id, keyed by userId so it can be read
+// without opening values (they are sealed when encryption is on)
+export function sessionUsersNamespace(sessionId) {
+  return ["session_users", sessionId];
+}
+
+async function putSession(store, record) {
+  await store.put(sessionNamespace(record.userId), record.sessionId, record);
+  await store.put(sessionUsersNamespace(record.sessionId), record.userId, { userId: record.userId });
+}
+
+export async function createSession(store, userId) {
+  const sessionId = uuidv4();
+  const record = { sessionId, userId, createdAt: new Date().toISOString() };
+
+  await putSession(store, record);
+  return record;
+}
+
+export async function getSession(store, userId, sessionId) {
+  const item = await store.get(sessionNamespace(userId), sessionId);
+  return item?.value || null;
+}
+
+// Registers a session the first time a user talks in it (e.g. a CLI session that
+// was never created through the API) and keeps track of when it was last used,
+// so every thread a user has can be found again
+export async function recordSessionActivity(store, userId, sessionId) {
+  const existing = await getSession(store, userId, sessionId);
+  const now = new Date().toISOString();
+  const record = existing
+    ? { ...existing, lastActiveAt: now }
+    : { sessionId, userId, createdAt: now, lastActiveAt: now };
+
+  await putSession(store, record);
+  return record;
+}
+
+export async function deleteSession(store, userId, sessionId) {
+  await store.delete(sessionNamespace(userId), sessionId);
+  await store.delete(sessionUsersNamespace(sessionId), userId);
+}
+
+// Returns sessions oldest first
+export async function listSessions(store, userId) {
+  const items = await searchAll(store, sessionNamespace(userId));
+  return items
+    .filter(item => item.namespace[1] === userId)
+    .map(item => item.value)
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+// Every user who has talked in a session with this id
+export async function listSessionUsers(store, sessionId) {
+  const items = await searchAll(store, sessionUsersNamespace(sessionId));
+  return items
+    .filter(item => item.namespace[1] === sessionId)
+    .map(item => item.key);
+}
@@ -0,0 +1,52 @@
+import { Annotation, MessagesAnnotation } from "@langchain/langgraph";
+
+// Graph state for one counseling session (one thread).
+//   messages     - the conversation as the client sees it: inputs and each mode's replies
+//   mode         - the mode of the latest request; kept in the checkpoint, so a request
+//                  without a mode continues in the session's last-used mode
+//   modeMessages - each mode's own transcript, including tool calls. Modes only ever see
+//                  their own transcript, which keeps the perspectives segregated.
+//   modeSummaries - per mode, a rolling summary of the messages trimmed from its transcript
+//   framework    - the counselling framework Solomon judges by, kept like the mode ("none" for plain Solomon)
+//   speaker      - in a joint session, who typed the latest input ("user" or "partner"); the
+//                  router names the input after it, alternating when it's left out
+//   verdict      - Solomon's structured verdict for the latest request, when one was asked for
+//   verdictError - why the structured verdict could not be produced, if it failed
+//   safety       - the safety guardrail's result when it intercepted the latest message
+export const CounselorStateAnnotation = Annotation.Root({
+  ...MessagesAnnotation.spec,
+  mode: Annotation(),
+  modeMessages: Annotation({
+    reducer: (current, update) => ({ ...current, ...update }),
+    default: () => ({})
+  }),
+  modeSummaries: Annotation({
+    reducer: (current, update) => ({ ...current, ...update }),
+    default: () => ({})
+  }),
+  framework: Annotation(),
+  speaker: Annotation(),
+  verdict: Annotation(),
+  verdictError: Annotation(),
+  safety: Annotation()
+});
+
+// All modes of a session share one thread; each keeps its own transcript in state.
+// The thread belongs to one user, so two users on the same sessionId (e.g. both on
+// the default session) never read, export or erase each other's conversation.
+export function sessionThreadId(userId, sessionId) {
+  return `session:${encodeURIComponent(userId || 'default_user')}:${encodeURIComponent(sessionId || 'default_session')}`;
+}
+
+// The user a session thread belongs to, or null for other thread ids (older
+// versions' threads, or threads named by LangGraph Platform)
+export function threadUserId(threadId) {
+  const match = /^session:([^:]*):/.exec(threadId || '');
+  return match ? decodeURIComponent(match[1]) : null;
+}
+
+// Messages added since the last reply, i.e. what the next mode has to answer
+export function pendingInput(messages) {
+  const lastReply = messages.findLastIndex(message => message.getType() === 'ai');
+  return messages.slice(lastReply + 1);
+}
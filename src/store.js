@@ -0,0 +1,14 @@
+// store.search() returns one page (InMemoryStore defaults to 10 items). Lists,
+// exports, analytics and erasure need every record, so page until exhausted.
+const SEARCH_PAGE_SIZE = 100;
+
+export async function searchAll(store, namespacePrefix, options = {}) {
+  const items = [];
+  for (let offset = 0; ; offset += SEARCH_PAGE_SIZE) {
+    const page = await store.search(namespacePrefix, { ...options, limit: SEARCH_PAGE_SIZE, offset });
+    items.push(...page);
+    if (page.length < SEARCH_PAGE_SIZE) {
+      return items;
+    }
+  }
+}
@@ -0,0 +1,221 @@
+import { v4 as uuidv4 } from 'uuid';
+import { describePartner } from './profile.js';
+import { getCaseForParticipant, getOtherParticipantId } from './cases.js';
+import { tagStory } from './tagging.js';
+import { searchAll } from './store.js';
+
+// Story history lives in the long-term store under ["stories", userId, side],
+// one timestamped entry per saved grievance so nothing is ever overwritten.
+// The "user" side is always the speaker's own account; the "partner" side is
+// what the role-play mode said on the partner's behalf. Every entry carries
+// conflict tags (topics, intensity, blame), refreshed when it is edited.
+export const STORY_SIDES = {
+  USER: 'user',
+  PARTNER: 'partner'
+};
+
+// Where an entry came from, when not from a one-on-one conversation: "import"
+// entries were copied from a chat log and "mediation" entries were said in a joint
+// session, so on the partner side they hold the partner's real words, not role-play
+export const STORY_ORIGINS = {
+  IMPORT: 'import',
+  MEDIATION: 'mediation'
+};
+
+const ORIGIN_LABELS = {
+  [STORY_ORIGINS.IMPORT]: 'chat log',
+  [STORY_ORIGINS.MEDIATION]: 'joint session'
+};
+
+// Side names used by earlier versions, still read so old data isn't lost
+const LEGACY_SIDES = {
+  [STORY_SIDES.USER]: [],
+  [STORY_SIDES.PARTNER]: ['wife']
+};
+
+export function storyNamespace(userId, side) {
+  return side ? ["stories", userId, side] : ["stories", userId];
+}
+
+// Every side name a canonical side has been stored under
+function sideAliases(side) {
+  return [side, ...(LEGACY_SIDES[side] || [])];
+}
+
+function canonicalSide(storedSide) {
+  return Object.keys(LEGACY_SIDES).find(side => sideAliases(side).includes(storedSide)) || storedSide;
+}
+
+function toEntry(item) {
+  return {
+    id: item.key,
+    side: canonicalSide(item.namespace[2]),
+    ...item.value
+  };
+}
+
+// The very first version kept a single story per side under ["stories"], `${userId}_${side}`
+async function getFlatLegacyEntries(store, userId, side) {
+  const entries = [];
+  for (const alias of sideAliases(side)) {
+    const item = await store.get(["stories"], `${userId}_${alias}`);
+    if (item?.value?.content) {
+      entries.push({
+        id: item.key,
+        side,
+        content: item.value.content,
+        createdAt: new Date(item.createdAt).toISOString()
+      });
+    }
+  }
+  return entries;
+}
+
+// Finds a story by id wherever it was stored: current, legacy side or flat legacy
+// key. Flat keys carry no user namespace, so only this user's key for the side counts
+async function findStory(store, userId, side, id) {
+  for (const alias of sideAliases(side)) {
+    const item = await store.get(storyNamespace(userId, alias), id);
+    if (item) {
+      return item;
+    }
+  }
+  if (sideAliases(side).some(alias => id === `${userId}_${alias}`)) {
+    return store.get(["stories"], id);
+  }
+  return null;
+}
+
+function byCreatedAt(a, b) {
+  return a.createdAt.localeCompare(b.createdAt);
+}
+
+export async function saveStory(store, { userId, side, content, sessionId, mode, caseId, origin, importId, sentAt, createdAt }) {
+  const id = uuidv4();
+  const value = {
+    content,
+    sessionId,
+    mode,
+    ...(caseId && { caseId }),
+    ...(origin && { origin }),
+    ...(importId && { importId }),
+    ...(sentAt && { sentAt }),
+    tags: tagStory(content),
+    createdAt: createdAt || new Date().toISOString()
+  };
+
+  await store.put(storyNamespace(userId, side), id, value);
+  return { id, side, ...value };
+}
+
+// Returns entries oldest first; omit side to get both sides interleaved
+export async function listStories(store, userId, side) {
+  const sides = side ? [side] : Object.values(STORY_SIDES);
+  const storedSides = sides.flatMap(sideAliases);
+  const items = await searchAll(store, storyNamespace(userId));
+
+  // InMemoryStore matches prefixes as plain strings, so "user_1" would also match "user_10"
+  const entries = items
+    .filter(item => item.namespace[1] === userId && storedSides.includes(item.namespace[2]))
+    .map(toEntry);
+
+  for (const s of sides) {
+    entries.push(...await getFlatLegacyEntries(store, userId, s));
+  }
+
+  return entries.sort(byCreatedAt);
+}
+
+export async function updateStory(store, userId, side, id, content) {
+  const existing = await findStory(store, userId, side, id);
+  if (!existing) {
+    throw new Error(`No ${side} story found with id: ${id}`);
+  }
+
+  const value = {
+    ...existing.value,
+    content,
+    tags: tagStory(content),
+    updatedAt: new Date().toISOString()
+  };
+
+  await store.put(existing.namespace, id, value);
+  return { id, side, ...value };
+}
+
+export async function deleteStory(store, userId, side, id) {
+  const existing = await findStory(store, userId, side, id);
+  if (!existing) {
+    return false;
+  }
+
+  await store.delete(existing.namespace, id);
+  return true;
+}
+
+function formatEntries(entries) {
+  return entries
+    .map((entry, index) => `${index + 1}. [${entry.sentAt || entry.createdAt}] ${entry.origin ? `(${originLabel(entry)}) ` : ''}${entry.content}`)
+    .join("\n");
+}
+
+// Gathers what Solomon needs to judge: the user's own account, the partner's own
+// account when both have joined a shared case, and any role-played partner stories
+export async function collectBothStories(store, userId, caseId) {
+  if (!caseId) {
+    return {
+      user: await listStories(store, userId, STORY_SIDES.USER),
+      partner: [],
+      simulatedPartner: await listStories(store, userId, STORY_SIDES.PARTNER)
+    };
+  }
+
+  const record = await getCaseForParticipant(store, caseId, userId);
+  const partnerId = getOtherParticipantId(record, userId);
+  const inCase = entries => entries.filter(entry => entry.caseId === caseId);
+
+  return {
+    user: inCase(await listStories(store, userId, STORY_SIDES.USER)),
+    partner: partnerId ? inCase(await listStories(store, partnerId, STORY_SIDES.USER)) : [],
+    simulatedPartner: inCase(await listStories(store, userId, STORY_SIDES.PARTNER)),
+    partnerJoined: Boolean(partnerId)
+  };
+}
+
+// Entries in the partner's own words even though they sit on the user's partner side
+export function isFirstHand(entry) {
+  return Object.values(STORY_ORIGINS).includes(entry.origin);
+}
+
+export function originLabel(entry) {
+  return ORIGIN_LABELS[entry.origin] || entry.origin;
+}
+
+export function formatBothStories({ user = [], partner = [], simulatedPartner = [], partnerJoined = false }, profile) {
+  const { icon, titleLabel } = describePartner(profile);
+  // Partner-side entries from a chat log or a joint session are their real words, the rest is role-play
+  const firstHand = simulatedPartner.filter(isFirstHand);
+  const simulated = simulatedPartner.filter(entry => !isFirstHand(entry));
+  let result = "📜 BOTH PERSPECTIVES:\n\n";
+
+  result += "👤 **User's Grievances:**\n";
+  result += user.length ? formatEntries(user) : "No story shared yet";
+
+  // Real accounts come first; role-play is only shown when it exists or nothing real does
+  if (partnerJoined || partner.length) {
+    result += `\n\n${icon} **${titleLabel}'s Account (in their own words):**\n`;
+    result += partner.length ? formatEntries(partner) : "No story shared yet";
+  }
+
+  if (firstHand.length) {
+    result += `\n\n${icon} **${titleLabel}'s Own Words (from chat logs and joint sessions):**\n`;
+    result += formatEntries(firstHand);
+  }
+
+  if (simulated.length || !(partnerJoined || partner.length || firstHand.length)) {
+    result += `\n\n${icon} **${titleLabel}'s Perspective (SIMULATED by role-play, not their own words):**\n`;
+    result += simulated.length ? formatEntries(simulated) : "No story shared yet";
+  }
+
+  return result;
+}
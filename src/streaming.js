@@ -0,0 +1,79 @@
+// Translates LangGraph's raw streamEvents into a small set of events the
+// CLI and API can render: token chunks, tool start/end and the final message
+// (with Solomon's structured verdict when one was requested, and the safety
+// result when the guardrail answered instead of a mode).
+export const STREAM_EVENTS = {
+  TOKEN: 'token',
+  TOOL_START: 'tool_start',
+  TOOL_END: 'tool_end',
+  FINAL: 'final'
+};
+
+// Model calls tagged with this (e.g. summarising older messages) are bookkeeping,
+// not part of the reply, so their tokens are not streamed
+export const INTERNAL_RUN_TAG = 'internal';
+
+// Anthropic streams content as an array of parts, OpenAI as a plain string
+function contentText(content) {
+  if (typeof content === 'string') {
+    return content;
+  }
+  if (Array.isArray(content)) {
+    return content
+      .filter(part => part.type === 'text' || part.type === 'text_delta')
+      .map(part => part.text)
+      .join('');
+  }
+  return '';
+}
+
+export async function* streamAgentEvents(agent, input, config) {
+  let rootRunId = null;
+  let finalState = null;
+
+  for await (const event of agent.streamEvents(input, { ...config, version: "v2" })) {
+    // The first event is always the start of the outermost graph run
+    rootRunId ??= event.run_id;
+
+    switch (event.event) {
+      case 'on_chat_model_stream': {
+        if (event.tags?.includes(INTERNAL_RUN_TAG)) {
+          break;
+        }
+        const text = contentText(event.data.chunk?.content);
+        if (text) {
+          yield { type: STREAM_EVENTS.TOKEN, content: text };
+        }
+        break;
+      }
+      case 'on_tool_start':
+        yield { type: STREAM_EVENTS.TOOL_START, name: event.name, input: event.data.input };
+        break;
+      case 'on_tool_end':
+        yield {
+          type: STREAM_EVENTS.TOOL_END,
+          name: event.name,
+          output: event.data.output?.content ?? event.data.output
+        };
+        break;
+      case 'on_chain_end':
+        // The end of the outermost graph run carries the final state
+        if (event.run_id === rootRunId && event.data.output?.messages) {
+          finalState = event.data.output;
+        }
+        break;
+      default:
+        break;
+    }
+  }
+
+  const finalMessage = finalState?.messages.at(-1) ?? null;
+  yield {
+    type: STREAM_EVENTS.FINAL,
+    message: finalMessage,
+    content: contentText(finalMessage?.content),
+    ...(finalState?.verdict && { verdict: finalState.verdict }),
+    ...(finalState?.verdictError && { verdictError: finalState.verdictError }),
+    ...(finalState?.safety && { safety: finalState.safety })
+  };
+}
@@ -0,0 +1,99 @@
+import { buildSummaryMessage } from './prompts.js';
+import { INTERNAL_RUN_TAG } from './streaming.js';
+
+// Rolling summarisation of a mode's transcript. Once it grows past maxMessages,
+// everything but the most recent keepMessages is condensed into a summary kept
+// in state, so the prompt stays bounded however long a session runs.
+export const DEFAULT_SUMMARY_OPTIONS = {
+  maxMessages: 40,
+  keepMessages: 10
+};
+
+// SUMMARY_MAX_MESSAGES / SUMMARY_KEEP_MESSAGES; maxMessages 0 turns summarisation off
+export function summaryOptionsFromEnv(env = process.env) {
+  const options = {};
+  if (env.SUMMARY_MAX_MESSAGES) {
+    options.maxMessages = wholeNumber('SUMMARY_MAX_MESSAGES', env.SUMMARY_MAX_MESSAGES);
+  }
+  if (env.SUMMARY_KEEP_MESSAGES) {
+    options.keepMessages = wholeNumber('SUMMARY_KEEP_MESSAGES', env.SUMMARY_KEEP_MESSAGES);
+  }
+  return options;
+}
+
+function wholeNumber(name, value) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) {
+    throw new Error(`Invalid ${name}: ${value}. Expected a whole number`);
+  }
+  return number;
+}
+
+// Options that would never summarise (or crash) fail loudly instead of letting
+// the context grow without bound
+export function validateSummaryOptions({ maxMessages, keepMessages }) {
+  if (!Number.isInteger(maxMessages) || maxMessages < 0) {
+    throw new Error(`Invalid summary maxMessages: ${maxMessages}. Expected a whole number (0 turns summarisation off)`);
+  }
+  if (!Number.isInteger(keepMessages) || keepMessages < 1) {
+    throw new Error(`Invalid summary keepMessages: ${keepMessages}. Expected a positive whole number`);
+  }
+  if (maxMessages && keepMessages >= maxMessages) {
+    throw new Error(`Invalid summary options: keepMessages (${keepMessages}) must be less than maxMessages (${maxMessages})`);
+  }
+  return { maxMessages, keepMessages };
+}
+
+// Splits a transcript into the part to summarise and the part to keep verbatim,
+// or returns null while it is still short enough. The kept part always starts at
+// a user message so tool calls are never separated from their results.
+export function splitForSummary(messages, { maxMessages, keepMessages }) {
+  if (!maxMessages || messages.length <= maxMessages) {
+    return null;
+  }
+
+  // At least the latest message stays verbatim
+  let cut = messages.length - Math.max(keepMessages, 1);
+  while (cut > 0 && messages[cut].getType() !== 'human') {
+    cut--;
+  }
+  if (cut <= 0) {
+    return null;
+  }
+
+  return { older: messages.slice(0, cut), recent: messages.slice(cut) };
+}
+
+function describeMessage(message) {
+  const content = typeof message.content === 'string' ? message.content : JSON.stringify(message.content);
+  switch (message.getType()) {
+    case 'human':
+      // Joint sessions name the speaker; everywhere else it is the user
+      return `${message.name === 'partner' ? 'Partner' : 'User'}: ${content}`;
+    case 'tool':
+      return `Tool result (${message.name}): ${content}`;
+    case 'ai': {
+      const toolCalls = (message.tool_calls || []).map(toolCall => `${toolCall.name}(${JSON.stringify(toolCall.args)})`);
+      return [content && `Assistant: ${content}`, toolCalls.length && `Assistant called: ${toolCalls.join(', ')}`]
+        .filter(Boolean)
+        .join("\n");
+    }
+    default:
+      return content;
+  }
+}
+
+// Folds the older messages into the existing summary. The transcript is sent as
+// plain text, since tool results without their calls would be rejected by most APIs.
+export async function summarizeMessages(llm, { summary, messages, mode }) {
+  const transcript = messages.map(describeMessage).filter(Boolean).join("\n");
+  const response = await llm.invoke([
+    { role: "system", content: buildSummaryMessage(mode) },
+    {
+      role: "user",
+      content: `${summary ? `Existing summary:\n${summary}\n\n` : ''}Conversation to add:\n${transcript}`
+    }
+  ], { tags: [INTERNAL_RUN_TAG] });
+
+  return typeof response.content === 'string' ? response.content : JSON.stringify(response.content);
+}
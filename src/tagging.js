@@ -0,0 +1,92 @@
+// Tags each story when it is saved, so recurring fights can be counted across a
+// couple's history (see analytics.js): what it is about, how heated it is and
+// whether it blames. Rule-based like the safety check - offline, deterministic
+// and cheap enough to run on every save.
+export const CONFLICT_TOPICS = {
+  MONEY: 'money',
+  CHORES: 'chores',
+  IN_LAWS: 'in_laws',
+  PARENTING: 'parenting',
+  INTIMACY: 'intimacy',
+  COMMUNICATION: 'communication',
+  TIME: 'time_together',
+  WORK: 'work',
+  TRUST: 'trust',
+  SCREENS: 'phones_and_screens'
+};
+
+export const TOPIC_LABELS = {
+  [CONFLICT_TOPICS.MONEY]: 'money',
+  [CONFLICT_TOPICS.CHORES]: 'chores',
+  [CONFLICT_TOPICS.IN_LAWS]: 'in-laws',
+  [CONFLICT_TOPICS.PARENTING]: 'parenting',
+  [CONFLICT_TOPICS.INTIMACY]: 'intimacy',
+  [CONFLICT_TOPICS.COMMUNICATION]: 'communication',
+  [CONFLICT_TOPICS.TIME]: 'time together',
+  [CONFLICT_TOPICS.WORK]: 'work',
+  [CONFLICT_TOPICS.TRUST]: 'trust',
+  [CONFLICT_TOPICS.SCREENS]: 'phones and screens'
+};
+
+export const INTENSITIES = {
+  LOW: 'low',
+  MEDIUM: 'medium',
+  HIGH: 'high'
+};
+
+const TOPIC_RULES = {
+  [CONFLICT_TOPICS.MONEY]: /\b(?:money|spend\w*|spent|budget\w*|debt|bills?|paycheck|salary|savings?|credit card|afford|expensive|bought|purchases?|loans?|rent|mortgage)\b/,
+  [CONFLICT_TOPICS.CHORES]: /\b(?:chores?|dishes|laundry|clean\w*|cook\w*|tidy|trash|bins?|vacuum\w*|housework|groceries|mess)\b/,
+  [CONFLICT_TOPICS.IN_LAWS]: /\b(?:in-?laws?|(?:my|your|his|her|their) (?:mother|mom|mum|father|dad|parents|family|sister|brother)|mother-in-law|father-in-law)\b/,
+  [CONFLICT_TOPICS.PARENTING]: /\b(?:kids?|children|child|son|daughter|baby|parenting|bedtime|homework|school run|discipline)\b/,
+  [CONFLICT_TOPICS.INTIMACY]: /\b(?:sex|intimacy|intimate|affection\w*|cuddl\w*|touch|romance|romantic|bedroom)\b/,
+  [CONFLICT_TOPICS.COMMUNICATION]: /\b(?:listen\w*|talk\w*|ignor\w*|interrupt\w*|yell\w*|shout\w*|silent treatment|texts?|call(?:ed|s)?|argu\w*|communicat\w*)\b/,
+  [CONFLICT_TOPICS.TIME]: /\b(?:date night|quality time|time together|weekends?|holidays?|vacation|anniversary|birthday|late|forgot|plans)\b/,
+  [CONFLICT_TOPICS.WORK]: /\b(?:work\w*|job|office|boss|overtime|career|shifts?|business trip)\b/,
+  [CONFLICT_TOPICS.TRUST]: /\b(?:trust\w*|lie[sd]?|lying|cheat\w*|affair|jealous\w*|secrets?|flirt\w*|ex)\b/,
+  [CONFLICT_TOPICS.SCREENS]: /\b(?:phone|screens?|tv|television|gaming|video games?|social media|instagram|scroll\w*|netflix)\b/
+};
+
+// Blame: the other person's character or fault rather than a feeling or a need
+const BLAME_RULES = [
+  /\byou (?:always|never)\b/,
+  /\b(?:(?:he|she|they) (?:always|never))\b/,
+  /\b(?:it's|it is|all) (?:your|his|her|their) fault\b/,
+  /\bbecause of (?:you|him|her|them)\b/,
+  /\byou made me\b/,
+  /\b(?:you're|you are|(?:he|she)'s|(?:he|she) is|they're|they are) (?:so |such an? |just )?(?:lazy|selfish|useless|inconsiderate|controlling|impossible|ridiculous|irresponsible)\b/,
+  /\bwhat(?:'s| is) wrong with (?:you|him|her|them)\b/
+];
+
+const HEATED_WORDS = /\b(?:furious|hate|sick of|fed up|can't stand|cannot stand|livid|disgusted|screamed|screaming|slammed|done with|last straw|divorce|leave you|worst)\b/g;
+const UPSET_WORDS = /\b(?:angry|upset|frustrated|annoyed|hurt|mad|resent\w*|tired of|exhausted|disappointed|unfair)\b/g;
+
+function countMatches(text, pattern) {
+  return (text.match(pattern) || []).length;
+}
+
+// Heated words and shouting count most, plain upset words and absolutes less
+function rateIntensity(text, normalized) {
+  const shouting = countMatches(text, /\b[A-Z]{3,}\b/g);
+  const score = 3 * countMatches(normalized, HEATED_WORDS)
+    + countMatches(normalized, UPSET_WORDS)
+    + countMatches(normalized, /\b(?:always|never)\b/g)
+    + Math.min(countMatches(text, /!/g), 3)
+    + 2 * Math.min(shouting, 2);
+
+  if (score >= 4) return INTENSITIES.HIGH;
+  if (score >= 2) return INTENSITIES.MEDIUM;
+  return INTENSITIES.LOW;
+}
+
+// -> { topics: ['money', ...], intensity: 'low' | 'medium' | 'high', blame: ['you never', ...] }
+export function tagStory(content) {
+  const text = String(content || '');
+  const normalized = text.toLowerCase().replace(/[’‘]/g, "'");
+
+  return {
+    topics: Object.keys(TOPIC_RULES).filter(topic => TOPIC_RULES[topic].test(normalized)),
+    intensity: rateIntensity(text, normalized),
+    blame: [...new Set(BLAME_RULES.map(rule => normalized.match(rule)?.[0]).filter(Boolean))]
+  };
+}
@@ -0,0 +1,360 @@
+import { MODES } from './modes.js';
+import { describePartner } from './profile.js';
+import { sessionThreadId } from './state.js';
+import { STORY_ORIGINS, listStories, isFirstHand, originLabel } from './stories.js';
+
+// Session transcripts for sharing with a human therapist: every mode's messages
+// merged in the order they were said, Solomon's structured verdicts and the
+// stories saved during the session, rendered as Markdown or a standalone HTML page.
+// Times come from the checkpoint in which each message first appeared.
+export const TRANSCRIPT_FORMATS = {
+  MARKDOWN: 'markdown',
+  HTML: 'html'
+};
+
+// How tool calls appear: a one-line summary, or not at all. Tool results are never shown.
+export const TOOL_CALL_DISPLAY = {
+  SUMMARY: 'summary',
+  HIDDEN: 'hidden'
+};
+
+function messageKey(message) {
+  return message.id || JSON.stringify([message.getType(), message.content, message.tool_calls]);
+}
+
+// Walks a thread's checkpoints oldest first, dating each message (and each new
+// verdict) by the first checkpoint that contains it
+async function readThread(checkpointer, threadId) {
+  const tuples = [];
+  for await (const tuple of checkpointer.list({ configurable: { thread_id: threadId, checkpoint_ns: "" } })) {
+    tuples.push(tuple);
+  }
+  tuples.sort((a, b) => a.checkpoint.ts.localeCompare(b.checkpoint.ts));
+
+  const seen = new Map();
+  const entries = [];
+  const verdicts = [];
+  let lastVerdict = null;
+
+  for (const { checkpoint } of tuples) {
+    const state = checkpoint.channel_values || {};
+    for (const message of state.messages || []) {
+      const key = messageKey(message);
+      if (seen.has(key)) {
+        // The latest version wins: in a joint session the router names the input after it arrives
+        seen.get(key).message = message;
+        continue;
+      }
+      const entry = { timestamp: checkpoint.ts, mode: state.mode || null, message };
+      seen.set(key, entry);
+      entries.push(entry);
+    }
+
+    const verdict = state.verdict ? JSON.stringify(state.verdict) : null;
+    if (verdict && verdict !== lastVerdict) {
+      verdicts.push({ timestamp: checkpoint.ts, verdict: state.verdict });
+    }
+    lastVerdict = verdict;
+  }
+
+  return { entries, verdicts };
+}
+
+export async function collectTranscript({ store, checkpointer }, { userId, sessionId }) {
+  const { entries, verdicts } = await readThread(checkpointer, sessionThreadId(userId, sessionId));
+
+  // Array.prototype.sort is stable, so messages from one checkpoint keep their order
+  const byTime = (a, b) => a.timestamp.localeCompare(b.timestamp);
+  const stories = (await listStories(store, userId)).filter(story => story.sessionId === sessionId);
+
+  return {
+    userId,
+    sessionId,
+    exportedAt: new Date().toISOString(),
+    entries: entries.sort(byTime),
+    verdicts: verdicts.sort(byTime),
+    stories
+  };
+}
+
+function formatTime(timestamp) {
+  return `${timestamp.slice(0, 10)} ${timestamp.slice(11, 16)} UTC`;
+}
+
+function textOf(content) {
+  if (typeof content === 'string') {
+    return content;
+  }
+  return (content || []).map(part => part.text || '').join('');
+}
+
+function modeTitle(mode, partner) {
+  switch (mode) {
+    case MODES.USER:
+      return '👤 Your Perspective';
+    case MODES.PARTNER:
+      return `${partner.icon} ${partner.possessiveLabel} Perspective (role-play)`;
+    case MODES.SOLOMON:
+      return '⚖️ King Solomon';
+    case MODES.MEDIATOR:
+      return '🤝 Joint Session';
+    default:
+      return 'Conversation';
+  }
+}
+
+function speakerFor(entry, profile, partner) {
+  const { message } = entry;
+  if (message.getType() === 'human') {
+    // In a joint session either partner may be typing, in their own words
+    return message.name === 'partner' ? `${partner.titleLabel} (${originLabel({ origin: STORY_ORIGINS.MEDIATION })})` : (profile.user.name || 'User');
+  }
+  if (message.name === 'safety') {
+    return 'Safety notice';
+  }
+  switch (entry.mode) {
+    case MODES.USER:
+      return 'Friend';
+    case MODES.PARTNER:
+      return `${partner.titleLabel} (role-play)`;
+    case MODES.SOLOMON:
+      return 'King Solomon';
+    case MODES.MEDIATOR:
+      return 'Mediator';
+    default:
+      return 'Counselor';
+  }
+}
+
+function describeToolCall({ name, args = {} }, partner) {
+  switch (name) {
+    case 'save_user_story':
+      return `Saved the user's story: "${args.story}"`;
+    case 'save_partner_story':
+      return `Saved ${partner.theLabel}'s perspective: "${args.story}"`;
+    case 'get_both_stories':
+      return 'Reviewed both perspectives';
+    case 'search_history':
+      return `Searched earlier sessions for "${args.query}"`;
+    case 'list_commitments':
+      return 'Reviewed earlier commitments';
+    case 'record_commitment':
+      return `Recorded a commitment: ${args.action}`;
+    case 'save_point':
+      return `Saved ${args.speaker === 'partner' ? `${partner.theLabel}'s` : "the user's"} point: "${args.point}"`;
+    case 'update_commitment':
+      return `Updated a commitment${args.status ? ` (now ${args.status})` : ''}${args.note ? `: ${args.note}` : ''}`;
+    default:
+      return `Used ${name}`;
+  }
+}
+
+// Transcript as a list of blocks both renderers share: mode headings, spoken
+// messages and tool notes. Tool results are dropped.
+function transcriptBlocks(transcript, { profile, toolCalls }) {
+  const partner = describePartner(profile);
+  const blocks = [];
+  let currentMode;
+
+  for (const entry of transcript.entries) {
+    const type = entry.message.getType();
+    if (type === 'tool' || type === 'system') {
+      continue;
+    }
+
+    if (entry.mode !== currentMode) {
+      currentMode = entry.mode;
+      blocks.push({ kind: 'heading', text: `${modeTitle(entry.mode, partner)} · ${formatTime(entry.timestamp)}` });
+    }
+
+    const content = textOf(entry.message.content).trim();
+    if (content) {
+      blocks.push({ kind: 'message', speaker: speakerFor(entry, profile, partner), time: formatTime(entry.timestamp), text: content });
+    }
+    if (toolCalls === TOOL_CALL_DISPLAY.SUMMARY) {
+      for (const toolCall of entry.message.tool_calls || []) {
+        blocks.push({ kind: 'tool', text: describeToolCall(toolCall, partner) });
+      }
+    }
+  }
+
+  return blocks;
+}
+
+function verdictSections(verdict, partner) {
+  return [
+    { title: 'Summary', items: [`User: ${verdict.summary.user}`, `${partner.titleLabel}: ${verdict.summary.partner}`] },
+    { title: 'Underlying issues', items: verdict.underlyingIssues },
+    { title: 'Recommendations for the user', items: verdict.recommendations.user },
+    { title: `Recommendations for ${partner.theLabel}`, items: verdict.recommendations.partner },
+    { title: 'Fairness', items: [`${verdict.fairness.assessment} (user's share: ${verdict.fairness.userShare}%)`] },
+    { title: 'Follow-up questions', items: verdict.followUpQuestions }
+  ].filter(section => section.items.length);
+}
+
+// Whether anything the partner "said" here was made up by the assistant: PARTNER-mode
+// replies or the stories they saved. Joint sessions and chat logs are the partner's own words.
+function hasRolePlay(transcript) {
+  return transcript.entries.some(entry => entry.mode === MODES.PARTNER && entry.message.getType() === 'ai')
+    || transcript.stories.some(story => story.side === 'partner' && !isFirstHand(story));
+}
+
+function storyLabel(story, partner) {
+  if (story.side !== 'partner') {
+    return 'User';
+  }
+  return isFirstHand(story) ? `${partner.titleLabel} (${originLabel(story)})` : `${partner.titleLabel} (role-play)`;
+}
+
+export function renderMarkdown(transcript, { profile, toolCalls = TOOL_CALL_DISPLAY.SUMMARY }) {
+  const partner = describePartner(profile);
+  const lines = [
+    '# Counseling Session Transcript',
+    '',
+    `- **Session:** ${transcript.sessionId}`,
+    `- **Exported:** ${formatTime(transcript.exportedAt)}`,
+    `- **Couple:** ${profile.user.name || 'User'} and ${partner.titleLabel} (${profile.relationshipType})`,
+    '',
+    ...(hasRolePlay(transcript) ? [`> ${partner.possessiveLabel} role-play perspective in this transcript was written by the assistant. It is not what ${partner.theLabel} actually said.`, ''] : []),
+    '## Conversation',
+    ''
+  ];
+
+  const blocks = transcriptBlocks(transcript, { profile, toolCalls });
+  if (!blocks.length) {
+    lines.push('_No messages in this session yet._', '');
+  }
+  for (const block of blocks) {
+    switch (block.kind) {
+      case 'heading':
+        lines.push(`### ${block.text}`, '');
+        break;
+      case 'message':
+        lines.push(`**${block.speaker}** (${block.time.slice(11)}):`, '', block.text, '');
+        break;
+      case 'tool':
+        lines.push(`_🔧 ${block.text}_`, '');
+        break;
+    }
+  }
+
+  if (transcript.verdicts.length) {
+    lines.push("## King Solomon's Verdicts", '');
+    for (const { timestamp, verdict } of transcript.verdicts) {
+      lines.push(`### ${formatTime(timestamp)}`, '');
+      for (const section of verdictSections(verdict, partner)) {
+        lines.push(`**${section.title}**`, '', ...section.items.map(item => `- ${item}`), '');
+      }
+    }
+  }
+
+  lines.push('## Stories Saved in This Session', '');
+  if (!transcript.stories.length) {
+    lines.push('_None._', '');
+  }
+  for (const story of transcript.stories) {
+    lines.push(`- [${formatTime(story.createdAt)}] **${storyLabel(story, partner)}:** ${story.content}`);
+  }
+
+  return `${lines.join("\n").trimEnd()}\n`;
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Inline styles only, so the file can be emailed or printed to PDF from a browser
+const HTML_STYLE = `
+  body { font-family: Georgia, serif; max-width: 46rem; margin: 2rem auto; padding: 0 1rem; color: #222; line-height: 1.5; }
+  h1, h2, h3 { font-family: Helvetica, Arial, sans-serif; }
+  h2 { border-bottom: 1px solid #ccc; padding-bottom: .25rem; margin-top: 2.5rem; }
+  h3 { color: #555; font-size: 1rem; margin-top: 1.75rem; }
+  .meta { color: #555; }
+  .note { background: #f6f1e7; border-left: 4px solid #c9a227; padding: .5rem .75rem; }
+  .message { margin: .75rem 0; }
+  .speaker { font-weight: bold; }
+  .time { color: #888; font-size: .85em; }
+  .text { white-space: pre-wrap; margin: .25rem 0 0; }
+  .tool { color: #777; font-style: italic; font-size: .9em; }
+  @media print { body { margin: 0; } }
+`;
+
+export function renderHtml(transcript, { profile, toolCalls = TOOL_CALL_DISPLAY.SUMMARY }) {
+  const partner = describePartner(profile);
+  const body = [
+    '<h1>Counseling Session Transcript</h1>',
+    '<p class="meta">',
+    `  Session: ${escapeHtml(transcript.sessionId)}<br>`,
+    `  Exported: ${escapeHtml(formatTime(transcript.exportedAt))}<br>`,
+    `  Couple: ${escapeHtml(profile.user.name || 'User')} and ${escapeHtml(partner.titleLabel)} (${escapeHtml(profile.relationshipType)})`,
+    '</p>',
+    ...(hasRolePlay(transcript) ? [`<p class="note">${escapeHtml(partner.possessiveLabel)} role-play perspective in this transcript was written by the assistant. It is not what ${escapeHtml(partner.theLabel)} actually said.</p>`] : []),
+    '<h2>Conversation</h2>'
+  ];
+
+  const blocks = transcriptBlocks(transcript, { profile, toolCalls });
+  if (!blocks.length) {
+    body.push('<p><em>No messages in this session yet.</em></p>');
+  }
+  for (const block of blocks) {
+    switch (block.kind) {
+      case 'heading':
+        body.push(`<h3>${escapeHtml(block.text)}</h3>`);
+        break;
+      case 'message':
+        body.push(`<div class="message"><span class="speaker">${escapeHtml(block.speaker)}</span> <span class="time">${escapeHtml(block.time.slice(11))}</span><p class="text">${escapeHtml(block.text)}</p></div>`);
+        break;
+      case 'tool':
+        body.push(`<p class="tool">🔧 ${escapeHtml(block.text)}</p>`);
+        break;
+    }
+  }
+
+  if (transcript.verdicts.length) {
+    body.push("<h2>King Solomon's Verdicts</h2>");
+    for (const { timestamp, verdict } of transcript.verdicts) {
+      body.push(`<h3>${escapeHtml(formatTime(timestamp))}</h3>`);
+      for (const section of verdictSections(verdict, partner)) {
+        body.push(`<p><strong>${escapeHtml(section.title)}</strong></p>`, '<ul>', ...section.items.map(item => `  <li>${escapeHtml(item)}</li>`), '</ul>');
+      }
+    }
+  }
+
+  body.push('<h2>Stories Saved in This Session</h2>');
+  if (!transcript.stories.length) {
+    body.push('<p><em>None.</em></p>');
+  } else {
+    body.push('<ul>', ...transcript.stories.map(story =>
+      `  <li><span class="time">${escapeHtml(formatTime(story.createdAt))}</span> <strong>${escapeHtml(storyLabel(story, partner))}:</strong> ${escapeHtml(story.content)}</li>`
+    ), '</ul>');
+  }
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Counseling Session Transcript - ${escapeHtml(transcript.sessionId)}</title>
+<style>${HTML_STYLE}</style>
+</head>
+<body>
+${body.join("\n")}
+</body>
+</html>
+`;
+}
+
+export function renderTranscript(transcript, format, options) {
+  switch (format) {
+    case TRANSCRIPT_FORMATS.MARKDOWN:
+      return renderMarkdown(transcript, options);
+    case TRANSCRIPT_FORMATS.HTML:
+      return renderHtml(transcript, options);
+    default:
+      throw new Error(`Unknown transcript format: ${format}. Expected one of: ${Object.values(TRANSCRIPT_FORMATS).join(', ')}`);
+  }
+}
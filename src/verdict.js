@@ -0,0 +1,58 @@
+import { z } from "zod";
+import { buildVerdictMessage } from './prompts.js';
+
+// Structured form of a King Solomon judgment, for clients that show the parts
+// separately (issues, actions per person) or track them over time.
+export const VERDICT_NAME = "solomon_verdict";
+
+export const VerdictSchema = z.object({
+  summary: z.object({
+    user: z.string().describe("The user's side in a sentence or two"),
+    partner: z.string().describe("The partner's side in a sentence or two")
+  }),
+  underlyingIssues: z.array(z.string()).describe("The real issues beneath the surface complaints"),
+  recommendations: z.object({
+    user: z.array(z.string()).describe("Concrete actions for the user"),
+    partner: z.array(z.string()).describe("Concrete actions for the partner")
+  }),
+  fairness: z.object({
+    assessment: z.string().describe("How responsibility is shared and why"),
+    userShare: z.number().min(0).max(100).describe("The user's share of responsibility, in percent")
+  }),
+  followUpQuestions: z.array(z.string()).describe("Questions that would help settle what is still unclear")
+}).describe("King Solomon's verdict on the couple's conflict");
+
+// A counselling framework adds its own fields, nested under its id
+export function createVerdictSchema(framework) {
+  return framework
+    ? VerdictSchema.extend({ [framework.id]: z.object(framework.verdictFields).describe(`${framework.name} analysis`) })
+    : VerdictSchema;
+}
+
+export function createVerdictModel(llm, framework) {
+  return llm.withStructuredOutput(createVerdictSchema(framework), { name: VERDICT_NAME });
+}
+
+// Returns { verdict } or, when the model fails or returns something that doesn't
+// match the schema, { verdict: null, error } - the prose judgment still stands
+export async function generateVerdict(verdictModel, { stories, judgment, profile, framework }, config) {
+  const messages = [
+    { role: "system", content: buildVerdictMessage(profile, framework) },
+    { role: "user", content: `${stories}\n\n⚖️ KING SOLOMON'S JUDGMENT:\n${judgment}` }
+  ];
+
+  let output;
+  try {
+    output = await verdictModel.invoke(messages, config);
+  } catch (error) {
+    return { verdict: null, error: `Could not produce a structured verdict: ${error.message}` };
+  }
+
+  const parsed = createVerdictSchema(framework).safeParse(output);
+  if (!parsed.success) {
+    const issues = parsed.error.issues.map(issue => `${issue.path.join('.') || 'verdict'}: ${issue.message}`);
+    return { verdict: null, error: `Invalid structured verdict: ${issues.join('; ')}` };
+  }
+
+  return { verdict: parsed.data, error: null };
+}
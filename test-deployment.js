@@ -28,7 +28,7 @@ async function testDeploymentAgent() {
         message: 'I work hard all day and when I come home, she\'s bought more stuff we don\'t need. It\'s frustrating!'
       },
       {
-        mode: 'WIFE',
+        mode: 'PARTNER',
         message: 'He says I spend too much, but I only buy things we need for the house. He doesn\'t appreciate what I do.'
       }
     ];
@@ -0,0 +1,285 @@
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { MarriageCounselorAgent } from '../src/agent.js';
+import { MODES } from '../src/modes.js';
+import { STORY_SIDES } from '../src/stories.js';
+import { sessionThreadId } from '../src/state.js';
+import { ScriptedChatModel } from './helpers/scripted-chat-model.js';
+
+const config = (overrides = {}) => ({
+  configurable: { userId: 'alice', sessionId: 's1', ...overrides }
+});
+
+const lastContent = response => response.messages.at(-1).content;
+
+// The system prompt the model saw on its most recent call
+const lastSystemPrompt = llm => llm.calls.at(-1)[0].content;
+
+describe('MarriageCounselorAgent with a scripted model', () => {
+  let llm, agent;
+
+  beforeEach(() => {
+    llm = new ScriptedChatModel();
+    agent = new MarriageCounselorAgent({ llm, persistence: { backend: 'memory' } });
+  });
+
+  test('does not need an API key when a model is injected', async () => {
+    await agent.initialize();
+    assert.deepEqual(Object.keys(agent.agents).sort(), Object.values(MODES).sort());
+  });
+
+  test('save_user_story writes a timestamped entry under the user namespace', async () => {
+    llm.turns.push(
+      { toolCalls: [{ name: 'save_user_story', args: { story: 'Dishes pile up all week' } }] },
+      { content: "That's exhausting." }
+    );
+
+    await agent.invoke({ mode: 'USER', content: 'The dishes again...' }, config());
+
+    const items = await agent.store.search(["stories", "alice", STORY_SIDES.USER]);
+    assert.equal(items.length, 1);
+    assert.deepEqual(items[0].namespace, ["stories", "alice", STORY_SIDES.USER]);
+    assert.equal(items[0].value.content, 'Dishes pile up all week');
+    assert.equal(items[0].value.sessionId, 's1');
+    assert.equal(items[0].value.mode, MODES.USER);
+    assert.match(items[0].value.createdAt, /^\d{4}-\d{2}-\d{2}T/);
+  });
+
+  test('save_partner_story writes under the partner namespace', async () => {
+    llm.turns.push(
+      { toolCalls: [{ name: 'save_partner_story', args: { story: 'I cook every night' } }] },
+      { content: 'I do my share.' }
+    );
+
+    await agent.invoke({ mode: 'PARTNER', content: 'You never clean up' }, config());
+
+    const stories = await agent.listStories('alice', STORY_SIDES.PARTNER);
+    assert.deepEqual(stories.map(story => story.content), ['I cook every night']);
+  });
+
+  test('get_both_stories formats both sides for Solomon', async () => {
+    llm.turns.push(
+      { toolCalls: [{ name: 'save_user_story', args: { story: 'Dishes pile up' } }] },
+      { content: 'Noted.' },
+      { toolCalls: [{ name: 'save_partner_story', args: { story: 'I cook every night' } }] },
+      { content: 'Fair.' },
+      { toolCalls: [{ name: 'get_both_stories' }] },
+      { content: 'Split the chores.' }
+    );
+
+    await agent.invoke({ mode: 'USER', content: 'Dishes' }, config());
+    await agent.invoke({ mode: 'PARTNER', content: 'Dishes' }, config());
+    const response = await agent.invoke({ mode: 'SOLOMON', content: 'Who is right?' }, config());
+
+    const toolMessage = response.messages.findLast(message => message.getType() === 'tool');
+    assert.match(toolMessage.content, /👤 \*\*User's Grievances:\*\*\n1\. \[[^\]]+\] Dishes pile up/);
+    assert.match(toolMessage.content, /👩 \*\*Wife's Perspective \(SIMULATED[^\n]*\n1\. \[[^\]]+\] I cook every night/);
+    assert.equal(lastContent(response), 'Split the chores.');
+  });
+
+  test('routes each request to the requested mode', async () => {
+    llm.turns.push({ content: 'user reply' }, { content: 'partner reply' }, { content: 'solomon reply' });
+
+    await agent.invoke({ mode: 'user', content: 'hi' }, config());
+    assert.match(lastSystemPrompt(llm), /You are a best friend/);
+
+    // The original "WIFE" name still selects the partner mode
+    await agent.invoke({ mode: 'WIFE', content: 'hi' }, config());
+    assert.match(lastSystemPrompt(llm), /You are role-playing as the wife/);
+
+    // Solomon is the default for API usage in a new session
+    await agent.invoke({ content: 'hi' }, config({ sessionId: 'fresh' }));
+    assert.match(lastSystemPrompt(llm), /You are King Solomon/);
+  });
+
+  test('accepts the mode from config.configurable', async () => {
+    llm.turns.push({ content: 'user reply' });
+
+    await agent.invoke({ content: 'hi' }, config({ mode: 'USER' }));
+    assert.match(lastSystemPrompt(llm), /You are a best friend/);
+  });
+
+  test('rejects invalid modes instead of falling back to Solomon', async () => {
+    await assert.rejects(
+      agent.invoke({ mode: 'SPOUSE', content: 'hi' }, config()),
+      /Invalid mode: SPOUSE. Expected one of: USER, PARTNER, SOLOMON/
+    );
+    assert.equal(llm.calls.length, 0);
+  });
+
+  test('remembers the last-used mode per session in the checkpointer', async () => {
+    llm.turns.push({ content: 'one' }, { content: 'two' }, { content: 'three' });
+
+    await agent.invoke({ mode: 'USER', content: 'hi' }, config());
+    await agent.invoke({ content: 'still here' }, config());
+    assert.match(lastSystemPrompt(llm), /You are a best friend/);
+
+    // Another session on the same shared instance is unaffected
+    await agent.invoke({ content: 'hello' }, config({ sessionId: 's2' }));
+    assert.match(lastSystemPrompt(llm), /You are King Solomon/);
+
+    assert.equal(await agent.getLastMode('s1', { userId: 'alice' }), MODES.USER);
+    assert.equal(await agent.getLastMode('s2', { userId: 'alice' }), MODES.SOLOMON);
+
+    const sessionThread = await agent.checkpointer.getTuple({ configurable: { thread_id: sessionThreadId('alice', 's1'), checkpoint_ns: "" } });
+    assert.equal(sessionThread.checkpoint.channel_values.mode, MODES.USER);
+  });
+
+  test('compiles a single graph that routes to one node per mode', async () => {
+    const graph = await agent.createGraph();
+    const nodes = Object.keys(graph.getGraph().nodes);
+    assert.deepEqual(nodes.sort(), ['__end__', '__start__', 'guardrail', 'router', ...Object.values(MODES)].sort());
+  });
+
+  test('each mode only sees its own transcript on the shared session thread', async () => {
+    llm.turns.push({ content: 'on your side' }, { content: 'on her side' });
+
+    await agent.invoke({ mode: 'USER', content: 'my secret' }, config());
+    await agent.invoke({ mode: 'PARTNER', content: 'why are you upset?' }, config());
+
+    const seen = llm.calls.at(-1).map(message => message.content);
+    assert.deepEqual(seen.slice(1), ['why are you upset?']);
+  });
+
+  test('concurrent requests in different modes do not interfere', async () => {
+    llm.turns.push({ content: 'a' }, { content: 'b' });
+
+    await Promise.all([
+      agent.invoke({ mode: 'USER', content: 'first' }, config({ sessionId: 'a' })),
+      agent.invoke({ mode: 'PARTNER', content: 'second' }, config({ sessionId: 'b' }))
+    ]);
+
+    assert.equal(await agent.getLastMode('a', { userId: 'alice' }), MODES.USER);
+    assert.equal(await agent.getLastMode('b', { userId: 'alice' }), MODES.PARTNER);
+    assert.equal((await agent.getHistory('a', MODES.USER, { userId: 'alice' }))[0].content, 'first');
+    assert.equal((await agent.getHistory('b', MODES.PARTNER, { userId: 'alice' }))[0].content, 'second');
+  });
+
+  test('keeps thread ids isolated per mode and per session', async () => {
+    llm.turns.push({ content: 'one' }, { content: 'two' }, { content: 'three' }, { content: 'four' });
+
+    await agent.invoke({ mode: 'USER', content: 'user message' }, config());
+    await agent.invoke({ mode: 'SOLOMON', content: 'solomon message' }, config());
+    await agent.invoke({ mode: 'USER', content: 'second user message' }, config());
+    await agent.invoke({ mode: 'USER', content: 'other session' }, config({ sessionId: 's2' }));
+
+    const userHistory = await agent.getHistory('s1', MODES.USER, { userId: 'alice' });
+    assert.deepEqual(userHistory.map(message => message.content), ['user message', 'one', 'second user message', 'three']);
+
+    const solomonHistory = await agent.getHistory('s1', MODES.SOLOMON, { userId: 'alice' });
+    assert.deepEqual(solomonHistory.map(message => message.content), ['solomon message', 'two']);
+
+    const otherSession = await agent.getHistory('s2', MODES.USER, { userId: 'alice' });
+    assert.deepEqual(otherSession.map(message => message.content), ['other session', 'four']);
+
+    // The model only ever saw the thread it was working in
+    assert.deepEqual(llm.calls.at(-1).slice(1).map(message => message.content), ['other session']);
+  });
+
+  test('stream() yields tokens, tool events and the final message', async () => {
+    llm.turns.push(
+      { toolCalls: [{ name: 'save_user_story', args: { story: 'Late again' } }] },
+      { content: 'I hear you.' }
+    );
+
+    const events = [];
+    for await (const event of agent.stream({ mode: 'USER', content: 'Late again' }, config())) {
+      events.push(event);
+    }
+
+    assert.deepEqual(events.map(event => event.type), ['tool_start', 'tool_end', 'token', 'token', 'token', 'final']);
+    assert.equal(events.at(-1).content, 'I hear you.');
+  });
+
+  test('returns a validated structured verdict alongside the prose when asked', async () => {
+    const verdict = {
+      summary: { user: 'Feels the chores are unequal', partner: 'Cooks every night' },
+      underlyingIssues: ['Unspoken expectations'],
+      recommendations: { user: ['Take over the dishes'], partner: ['Say when you are tired'] },
+      fairness: { assessment: 'Shared', userShare: 50 },
+      followUpQuestions: ['Who did the chores growing up?']
+    };
+    llm.turns.push(
+      { toolCalls: [{ name: 'get_both_stories' }] },
+      { content: 'Split the chores.' },
+      { toolCalls: [{ name: 'solomon_verdict', args: verdict }] }
+    );
+
+    const response = await agent.invoke({ mode: 'SOLOMON', content: 'Who is right?', structuredVerdict: true }, config());
+
+    assert.equal(lastContent(response), 'Split the chores.');
+    assert.deepEqual(response.verdict, verdict);
+    assert.equal(response.verdictError, null);
+
+    // The verdict is built from the same stories and the prose judgment
+    const verdictPrompt = llm.calls.at(-1).at(-1).content;
+    assert.match(verdictPrompt, /📜 BOTH PERSPECTIVES/);
+    assert.match(verdictPrompt, /Split the chores\./);
+  });
+
+  test('keeps the prose and reports an error when the verdict structure is invalid', async () => {
+    llm.turns.push(
+      { content: 'Talk it through.' },
+      { toolCalls: [{ name: 'solomon_verdict', args: { summary: 'not an object' } }] }
+    );
+
+    const response = await agent.invoke({ mode: 'SOLOMON', content: 'Help', structuredVerdict: true }, config());
+
+    assert.equal(lastContent(response), 'Talk it through.');
+    assert.equal(response.verdict, null);
+    assert.match(response.verdictError, /^Invalid structured verdict: summary: /);
+  });
+
+  test('only asks for a verdict in Solomon mode when requested', async () => {
+    llm.turns.push({ content: 'one' }, { content: 'two' });
+
+    await agent.invoke({ mode: 'SOLOMON', content: 'hi' }, config());
+    const response = await agent.invoke({ mode: 'USER', content: 'hi', structuredVerdict: true }, config());
+
+    assert.equal(llm.calls.length, 2);
+    assert.equal(response.verdict, null);
+  });
+
+  test('Solomon records commitments and follows them up in a later session', async () => {
+    llm.turns.push(
+      { toolCalls: [{ name: 'record_commitment', args: { owner: 'user', action: 'Do the dishes' } }] },
+      { content: 'Try that this week.' }
+    );
+    await agent.invoke({ mode: 'SOLOMON', content: 'What should I do?' }, config());
+
+    const [commitment] = await agent.listCommitments('alice');
+    assert.equal(commitment.action, 'Do the dishes');
+
+    llm.turns.push(
+      { toolCalls: [{ name: 'list_commitments', args: { status: 'open' } }] },
+      { toolCalls: [{ name: 'update_commitment', args: { id: commitment.id, status: 'done', note: 'Every night' } }] },
+      { content: 'Well done.' }
+    );
+    const response = await agent.invoke({ mode: 'SOLOMON', content: 'I did it' }, config({ sessionId: 's2' }));
+
+    const listed = response.messages.find(message => message.getType() === 'tool' && message.name === 'list_commitments');
+    assert.match(listed.content, /\(open\) User: Do the dishes/);
+    assert.deepEqual(await agent.listCommitments('alice', { status: 'open' }), []);
+    assert.match(llm.calls[0][0].content, /call list_commitments/);
+  });
+
+  test('the safety guardrail overrides role-play and logs the event', async () => {
+    const response = await agent.invoke({ mode: 'PARTNER', content: 'She hit me again last night' }, config());
+
+    assert.equal(llm.calls.length, 0);
+    assert.deepEqual(response.safety.categories, ['domestic_violence']);
+    assert.match(lastContent(response), /1-800-799-7233/);
+
+    const [event] = await agent.listSafetyEvents('alice');
+    assert.deepEqual(event.categories, ['domestic_violence']);
+    assert.equal(event.mode, MODES.PARTNER);
+    assert.ok(!JSON.stringify(event).includes('hit me'));
+
+    // The partner mode never saw the disclosure; the next ordinary message goes through
+    llm.turns.push({ content: 'How are you feeling today?' });
+    const next = await agent.invoke({ mode: 'PARTNER', content: 'Can we talk about chores?' }, config());
+    assert.equal(next.safety, null);
+    assert.deepEqual(llm.calls[0].slice(1).map(message => message.content), ['Can we talk about chores?']);
+  });
+});
@@ -0,0 +1,100 @@
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { MarriageCounselorAgent } from '../src/agent.js';
+import { tagStory } from '../src/tagging.js';
+import { analyzeConflicts, formatConflictReport } from '../src/analytics.js';
+import { STORY_SIDES, saveStory, listStories } from '../src/stories.js';
+import { createCoupleProfile } from '../src/profile.js';
+import { ScriptedChatModel } from './helpers/scripted-chat-model.js';
+
+const config = { configurable: { userId: 'alice', sessionId: 's3' } };
+
+// Saves a story as if it had been told on a given day
+async function saveOn(store, date, story) {
+  return saveStory(store, { userId: 'alice', mode: 'test', ...story, createdAt: `${date}T20:00:00.000Z` });
+}
+
+describe('conflict analytics', () => {
+  let llm, agent;
+
+  beforeEach(() => {
+    llm = new ScriptedChatModel();
+    agent = new MarriageCounselorAgent({ llm, profile: { partner: { name: 'Sam' } }, persistence: { backend: 'memory' } });
+  });
+
+  test('tags topics, intensity and blame language', () => {
+    assert.deepEqual(tagStory('She never checks the budget and spent $400 on shoes'), {
+      topics: ['money'],
+      intensity: 'low',
+      blame: ['she never']
+    });
+
+    const heated = tagStory("I'm SICK of doing the dishes while you play video games! It's your fault!");
+    assert.deepEqual(heated.topics, ['chores', 'phones_and_screens']);
+    assert.equal(heated.intensity, 'high');
+    assert.deepEqual(heated.blame, ["it's your fault"]);
+
+    assert.deepEqual(tagStory('We had a nice walk'), { topics: [], intensity: 'low', blame: [] });
+  });
+
+  test('stories are tagged when saved and re-tagged when edited', async () => {
+    llm.turns.push(
+      { toolCalls: [{ name: 'save_user_story', args: { story: 'His mother criticised my cooking again' } }] },
+      { content: 'That sounds hard.' }
+    );
+    await agent.invoke({ mode: 'USER', content: 'His mum...' }, config);
+
+    const [story] = await agent.listStories('alice', STORY_SIDES.USER);
+    assert.deepEqual(story.tags.topics, ['chores', 'in_laws']);
+
+    const edited = await agent.editStory('alice', STORY_SIDES.USER, story.id, 'We argued about the credit card bill');
+    assert.deepEqual(edited.tags.topics, ['money', 'communication']);
+  });
+
+  test('reports recurring topics over time and who raises them', async () => {
+    const store = agent.store;
+    await saveOn(store, '2024-01-05', { side: STORY_SIDES.USER, content: 'You always spend money we do not have', sessionId: 's1' });
+    await saveOn(store, '2024-01-06', { side: STORY_SIDES.PARTNER, content: "I'm tired of the dishes piling up and doing all the laundry!", sessionId: 's1' });
+    await saveOn(store, '2024-02-10', { side: STORY_SIDES.USER, content: 'The credit card bill again. I am FURIOUS!', sessionId: 's2' });
+    await saveOn(store, '2024-02-11', { side: STORY_SIDES.PARTNER, content: 'I only bought groceries', sessionId: 's2', origin: 'import' });
+    // Legacy entries without tags are tagged on the fly
+    await store.put(['stories', 'alice', STORY_SIDES.USER], 'old', { content: 'Money, money, money', sessionId: 's0', createdAt: '2023-12-30T10:00:00.000Z' });
+
+    const report = await agent.getConflictAnalytics('alice');
+    assert.equal(report.stories, 5);
+    assert.equal(report.sessions, 3);
+
+    const [money, chores] = report.topics;
+    assert.deepEqual([money.topic, money.count, money.sessions, money.recurring], ['money', 4, 3, true]);
+    assert.deepEqual(money.raisedBy, { user: 3, partner: 1, simulatedPartner: 0 });
+    assert.equal(money.firstSeen, '2023-12-30T10:00:00.000Z');
+    assert.deepEqual([chores.topic, chores.sessions, chores.raisedBy], ['chores', 2, { user: 0, partner: 1, simulatedPartner: 1 }]);
+
+    assert.deepEqual(report.timeline.map(slot => [slot.period, slot.stories]), [['2023-12', 1], ['2024-01', 2], ['2024-02', 2]]);
+    assert.deepEqual(report.intensity, { low: 3, medium: 1, high: 1 });
+    assert.deepEqual(report.blame, { user: 1, partner: 0, simulatedPartner: 0 });
+
+    const weekly = analyzeConflicts(await listStories(store, 'alice').then(entries => entries.map(entry => ({ ...entry, raisedBy: 'user' }))), { period: 'week' });
+    assert.deepEqual(weekly.timeline.map(slot => slot.period), ['2023-12-25', '2024-01-01', '2024-02-05']);
+    assert.throws(() => analyzeConflicts([], { period: 'year' }), /Unknown period: year/);
+
+    const text = formatConflictReport(report, createCoupleProfile({ partner: { name: 'Sam' } }));
+    assert.match(text, /^📊 CONFLICT PATTERNS \(5 stories across 3 sessions\):/);
+    assert.match(text, /- money: 4 stories in 3 sessions, 2023-12-30 to 2024-02-11; raised by User 3, Sam 1; 1 heated/);
+    assert.match(text, /- chores: 2 stories in 2 sessions, [^;]+; raised by Sam 1, Sam \(SIMULATED\) 1/);
+    assert.match(text, /- 2024-02: 2 stories \(money 2, chores 1\)/);
+  });
+
+  test('Solomon reads the patterns through a tool', async () => {
+    await saveOn(agent.store, '2024-01-05', { side: STORY_SIDES.USER, content: 'Your parents visit every weekend', sessionId: 's1' });
+    llm.turns.push({ toolCalls: [{ name: 'get_conflict_patterns', args: { period: 'week' } }] }, { content: 'The in-laws keep coming up.' });
+
+    const response = await agent.invoke({ mode: 'SOLOMON', content: 'Do we keep fighting about the same thing?' }, config);
+
+    assert.match(llm.calls[0][0].content, /get_conflict_patterns/);
+    const report = response.messages.find(message => message.getType() === 'tool').content;
+    assert.match(report, /Only in one session: in-laws \(User 1\), time together \(User 1\)/);
+    assert.match(report, /Over time \(by week\):\n- 2024-01-01: 1 story/);
+  });
+});
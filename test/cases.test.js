@@ -0,0 +1,60 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { InMemoryStore } from "@langchain/langgraph-checkpoint";
+
+import { createCase, joinCase, getCaseForParticipant, getOtherParticipantId } from '../src/cases.js';
+import { STORY_SIDES, saveStory, collectBothStories } from '../src/stories.js';
+
+describe('shared cases', () => {
+  test('two participants can join, a third cannot', async () => {
+    const store = new InMemoryStore();
+    const { caseId } = await createCase(store, 'alice');
+
+    const record = await joinCase(store, caseId, 'bob');
+    assert.deepEqual(record.participants.map(participant => participant.userId), ['alice', 'bob']);
+    assert.equal(getOtherParticipantId(record, 'alice'), 'bob');
+
+    // Re-joining is a no-op
+    await joinCase(store, caseId, 'bob');
+    await assert.rejects(joinCase(store, caseId, 'carol'), /already has 2 participants/);
+  });
+
+  test('rejects unknown cases and non-participants', async () => {
+    const store = new InMemoryStore();
+    const { caseId } = await createCase(store, 'alice');
+
+    await assert.rejects(joinCase(store, 'missing', 'bob'), /Case not found/);
+    await assert.rejects(getCaseForParticipant(store, caseId, 'mallory'), /not a participant/);
+  });
+
+  test("Solomon sees both partners' own accounts for the case", async () => {
+    const store = new InMemoryStore();
+    const { caseId } = await createCase(store, 'alice');
+    await joinCase(store, caseId, 'bob');
+
+    await saveStory(store, { userId: 'alice', side: STORY_SIDES.USER, content: 'He is always late', caseId });
+    await saveStory(store, { userId: 'bob', side: STORY_SIDES.USER, content: 'Work keeps me late', caseId });
+    await saveStory(store, { userId: 'bob', side: STORY_SIDES.USER, content: 'Unrelated older fight' });
+    await saveStory(store, { userId: 'alice', side: STORY_SIDES.PARTNER, content: 'Role-played excuse', caseId });
+
+    const forAlice = await collectBothStories(store, 'alice', caseId);
+    assert.deepEqual(forAlice.user.map(entry => entry.content), ['He is always late']);
+    assert.deepEqual(forAlice.partner.map(entry => entry.content), ['Work keeps me late']);
+    assert.deepEqual(forAlice.simulatedPartner.map(entry => entry.content), ['Role-played excuse']);
+    assert.equal(forAlice.partnerJoined, true);
+
+    const forBob = await collectBothStories(store, 'bob', caseId);
+    assert.deepEqual(forBob.user.map(entry => entry.content), ['Work keeps me late']);
+    assert.deepEqual(forBob.partner.map(entry => entry.content), ['He is always late']);
+  });
+
+  test('without a case only the role-play stands in for the partner', async () => {
+    const store = new InMemoryStore();
+    await saveStory(store, { userId: 'alice', side: STORY_SIDES.USER, content: 'Mine' });
+    await saveStory(store, { userId: 'alice', side: STORY_SIDES.PARTNER, content: 'Simulated' });
+
+    const stories = await collectBothStories(store, 'alice');
+    assert.deepEqual(stories.partner, []);
+    assert.deepEqual(stories.simulatedPartner.map(entry => entry.content), ['Simulated']);
+  });
+});
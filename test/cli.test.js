@@ -0,0 +1,173 @@
+import { test, describe, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import inquirer from 'inquirer';
+
+import { MarriageCounselorAgent } from '../src/agent.js';
+import { CounselorCLI } from '../src/index.js';
+import { MODES } from '../src/modes.js';
+import { COMMITMENT_OWNERS, recordCommitment } from '../src/commitments.js';
+import { ScriptedChatModel } from './helpers/scripted-chat-model.js';
+
+describe('CounselorCLI', () => {
+  let llm, cli, output;
+
+  beforeEach(() => {
+    llm = new ScriptedChatModel();
+    cli = new CounselorCLI(new MarriageCounselorAgent({ llm, persistence: { backend: 'memory' } }));
+    cli.sessionId = 'cli-session';
+
+    output = [];
+    mock.method(console, 'log', (...args) => output.push(args.join(' ')));
+    mock.method(process.stdout, 'write', (text) => output.push(text));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  test('sends messages through the shared agent core in the selected mode', async () => {
+    llm.turns.push(
+      { toolCalls: [{ name: 'save_user_story', args: { story: 'Always late' } }] },
+      { content: 'That is frustrating.' }
+    );
+    mock.method(inquirer, 'prompt', async () => ({ message: 'She is always late' }));
+
+    await cli.chat();
+
+    assert.match(llm.calls[0][0].content, /You are a best friend/);
+    assert.deepEqual((await cli.agent.listStories('user_1')).map(story => story.content), ['Always late']);
+    assert.equal((await cli.agent.getHistory('cli-session', MODES.USER, { userId: 'user_1' })).at(-1).content, 'That is frustrating.');
+    assert.match(output.join(''), /That is frustrating\./);
+  });
+
+  test('asks who is speaking in a joint session, suggesting whoever\'s turn it is', async () => {
+    cli.currentMode = MODES.MEDIATOR;
+    llm.turns.push({ content: 'Thank you. Now the other side.' }, { content: 'Can you restate that?' });
+    const prompts = [];
+    const answers = [{ speaker: 'user' }, { message: 'I do all the chores' }, { speaker: 'partner' }, { message: 'I work late' }];
+    mock.method(inquirer, 'prompt', async (questions) => {
+      prompts.push(questions[0]);
+      return answers.shift();
+    });
+
+    await cli.chat();
+    await cli.chat();
+
+    assert.deepEqual(prompts.filter(question => question.name === 'speaker').map(question => question.default), ['user', 'partner']);
+    assert.deepEqual((await cli.agent.getHistory('cli-session', MODES.MEDIATOR, { userId: 'user_1' })).filter(message => message.getType() === 'human').map(message => message.name), ['user', 'partner']);
+    assert.match(output.join(''), /Can you restate that\?/);
+  });
+
+  test('prints real newlines rather than escaped ones', async () => {
+    mock.method(inquirer, 'prompt', async () => ({ selectedMode: MODES.SOLOMON }));
+
+    await cli.switchMode();
+
+    assert.equal(cli.currentMode, MODES.SOLOMON);
+    assert.ok(output.every(line => !line.includes('\\n')));
+  });
+
+  test('picks a counselling framework for King Solomon from the menu', async () => {
+    const answers = [{ selectedMode: 'framework' }, { framework: 'eft' }, { message: 'Judge us' }];
+    mock.method(inquirer, 'prompt', async () => answers.shift());
+    llm.turns.push({ content: 'You are caught in a cycle.' });
+
+    await cli.switchMode();
+    cli.currentMode = MODES.SOLOMON;
+    await cli.chat();
+
+    assert.match(output.join('\n'), /King Solomon will judge using Emotionally Focused Therapy/);
+    assert.match(llm.calls[0][0].content, /Counselling framework - Emotionally Focused Therapy/);
+    assert.equal(await cli.agent.getFramework('cli-session', { userId: 'user_1' }), 'eft');
+  });
+
+  test('shows conflict patterns from the menu', async () => {
+    llm.turns.push(
+      { toolCalls: [{ name: 'save_user_story', args: { story: 'She left the dishes again' } }] },
+      { content: 'That is annoying.' }
+    );
+    const answers = [{ message: 'The dishes' }, { selectedMode: 'analytics' }];
+    mock.method(inquirer, 'prompt', async () => answers.shift());
+
+    await cli.chat();
+    await cli.switchMode();
+
+    assert.match(output.join('\n'), /📊 CONFLICT PATTERNS \(1 story across 1 session\)[\s\S]*Only in one session: chores \(User 1\)/);
+  });
+
+  test('shows open action items from the menu', async () => {
+    await recordCommitment(cli.agent.store, { userId: 'user_1', owner: COMMITMENT_OWNERS.BOTH, action: 'Weekly check-in', sessionId: 'old' });
+    mock.method(inquirer, 'prompt', async () => ({ selectedMode: 'commitments' }));
+
+    await cli.switchMode();
+
+    assert.equal(cli.currentMode, MODES.USER);
+    assert.match(output.join('\n'), /Both: Weekly check-in/);
+  });
+
+  test('shows safety resources instead of a mode reply', async () => {
+    mock.method(inquirer, 'prompt', async () => ({ message: 'I want to kill myself' }));
+
+    await cli.chat();
+
+    assert.equal(llm.calls.length, 0);
+    assert.match(output.join('\n'), /Safety first[\s\S]*988/);
+  });
+
+  test('imports a chat log after asking which sender is the user', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'counselor-import-'));
+    const filePath = path.join(dir, 'chat.txt');
+    fs.writeFileSync(filePath, 'Jo: You were late again\nAlex: Traffic was terrible');
+    const answers = [{ selectedMode: 'import' }, { filePath }, { userName: 'Jo' }];
+    mock.method(inquirer, 'prompt', async () => answers.shift());
+
+    await cli.switchMode();
+
+    assert.deepEqual((await cli.agent.listStories('user_1')).map(story => [story.side, story.content]), [
+      ['user', 'You were late again'],
+      ['partner', 'Traffic was terrible']
+    ]);
+    assert.match(output.join('\n'), /Imported 2 messages/);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('exports the session transcript as Markdown and HTML from the menu', async () => {
+    llm.turns.push({ content: 'That is frustrating.' });
+    mock.method(inquirer, 'prompt', async () => ({ message: 'She is always late' }));
+    await cli.chat();
+
+    cli.exportDir = fs.mkdtempSync(path.join(os.tmpdir(), 'counselor-transcript-'));
+    mock.method(inquirer, 'prompt', async () => ({ selectedMode: 'transcript' }));
+    await cli.switchMode();
+
+    assert.deepEqual(fs.readdirSync(cli.exportDir).sort(), ['transcript-cli-session.html', 'transcript-cli-session.md']);
+    assert.match(fs.readFileSync(path.join(cli.exportDir, 'transcript-cli-session.md'), 'utf8'), /She is always late[\s\S]*That is frustrating\./);
+    fs.rmSync(cli.exportDir, { recursive: true, force: true });
+  });
+
+  test('exports and erases the user\'s data from the menu', async () => {
+    llm.turns.push({ toolCalls: [{ name: 'save_user_story', args: { story: 'Always late' } }] }, { content: 'Noted.' });
+    mock.method(inquirer, 'prompt', async () => ({ message: 'She is always late' }));
+    await cli.chat();
+
+    cli.exportDir = fs.mkdtempSync(path.join(os.tmpdir(), 'counselor-export-'));
+    mock.method(inquirer, 'prompt', async () => ({ selectedMode: 'export' }));
+    await cli.switchMode();
+
+    const [fileName] = fs.readdirSync(cli.exportDir);
+    const exported = JSON.parse(fs.readFileSync(path.join(cli.exportDir, fileName), 'utf8'));
+    assert.deepEqual(exported.stories.map(story => story.content), ['Always late']);
+    fs.rmSync(cli.exportDir, { recursive: true, force: true });
+
+    const answers = [{ selectedMode: 'erase' }, { confirmed: true }];
+    mock.method(inquirer, 'prompt', async () => answers.shift());
+    await cli.switchMode();
+
+    assert.deepEqual(await cli.agent.listStories('user_1'), []);
+    assert.notEqual(cli.sessionId, 'cli-session');
+    assert.equal(cli.currentMode, MODES.USER);
+  });
+});
@@ -0,0 +1,123 @@
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Readable } from 'stream';
+
+import { MarriageCounselorAgent } from '../src/agent.js';
+import { runCommand, parseCommand, EXIT_CODES } from '../src/commands.js';
+import { MODES } from '../src/modes.js';
+import { STORY_SIDES, STORY_ORIGINS, saveStory } from '../src/stories.js';
+import { ScriptedChatModel } from './helpers/scripted-chat-model.js';
+
+function captureStream() {
+  const chunks = [];
+  return { write: text => chunks.push(text), get text() { return chunks.join(''); } };
+}
+
+describe('CLI subcommands', () => {
+  let llm, agent, stdout, stderr;
+
+  const run = (argv, stdin = Object.assign(Readable.from([]), { isTTY: true })) =>
+    runCommand(argv, { createAgent: () => agent, stdin, stdout, stderr });
+
+  beforeEach(() => {
+    llm = new ScriptedChatModel();
+    agent = new MarriageCounselorAgent({ llm, persistence: { backend: 'memory' } });
+    stdout = captureStream();
+    stderr = captureStream();
+  });
+
+  test('say sends one message in the given mode and prints the reply', async () => {
+    llm.turns.push({ content: 'That sounds lonely.' });
+
+    const code = await run(['say', '--mode', 'user', '--user', 'alice', '--session', 's1', 'She', 'works', 'late']);
+
+    assert.equal(code, EXIT_CODES.OK);
+    assert.equal(stdout.text, 'That sounds lonely.\n');
+    assert.equal(stderr.text, '');
+    assert.equal(llm.calls[0].at(-1).content, 'She works late');
+    assert.equal(await agent.getLastMode('s1', { userId: 'alice' }), MODES.USER);
+  });
+
+  test('say reads the message from stdin and prints JSON', async () => {
+    llm.turns.push({ content: 'Go on.' });
+
+    const code = await run(['say', '--json', '--user', 'alice', '--session', 's1', '--mode', 'MEDIATOR', '--speaker', 'partner'], Readable.from(['I feel unheard\n']));
+
+    assert.equal(code, EXIT_CODES.OK);
+    assert.deepEqual(JSON.parse(stdout.text), {
+      sessionId: 's1',
+      mode: MODES.MEDIATOR,
+      message: { role: 'ai', content: 'Go on.' },
+      nextSpeaker: 'user'
+    });
+    assert.equal(llm.calls[0].at(-1).content, 'Wife: I feel unheard');
+  });
+
+  test('lists sessions and shows stories, as text or JSON', async () => {
+    llm.turns.push({ content: 'Noted.' });
+    await run(['say', '--mode', 'solomon', '--user', 'alice', '--session', 's1', 'Hello']);
+    await saveStory(agent.store, { userId: 'alice', side: STORY_SIDES.USER, content: 'Dishes pile up', sessionId: 's1', mode: 'test', createdAt: '2024-03-01T20:00:00.000Z' });
+    await saveStory(agent.store, { userId: 'alice', side: STORY_SIDES.PARTNER, content: 'I work late', sessionId: 's2', origin: STORY_ORIGINS.IMPORT, mode: 'test', createdAt: '2024-03-02T20:00:00.000Z' });
+    stdout = captureStream();
+
+    assert.equal(await run(['sessions', 'list', '--user', 'alice']), EXIT_CODES.OK);
+    const [sessionId, createdAt, lastActiveAt, mode] = stdout.text.trim().split("\t");
+    assert.deepEqual([sessionId, mode], ['s1', MODES.SOLOMON]);
+    assert.ok(createdAt <= lastActiveAt);
+
+    stdout = captureStream();
+    await run(['stories', 'show', '--user', 'alice']);
+    assert.equal(stdout.text, '[2024-03-01] You: Dishes pile up\n[2024-03-02] Wife (chat log): I work late\n');
+
+    stdout = captureStream();
+    await run(['stories', 'show', '--user', 'alice', '--session', 's2', '--json']);
+    assert.deepEqual(JSON.parse(stdout.text).map(story => [story.side, story.content]), [['partner', 'I work late']]);
+
+    stdout = captureStream();
+    await run(['stories', 'show', '--user', 'alice', '--side', 'user', '--json']);
+    assert.deepEqual(JSON.parse(stdout.text).map(story => story.content), ['Dishes pile up']);
+  });
+
+  test('exits with 2 on invalid usage, without building the agent', async () => {
+    agent = null;
+    const usage = [
+      [['frobnicate'], /Unknown command: frobnicate/],
+      [['sessions'], /Unknown command: sessions/],
+      [['say', '--colour'], /Unknown option '--colour'/],
+      [['stories', 'show', '--mode', 'user'], /stories show does not take --mode/],
+      [['sessions', 'list', 'extra'], /Unexpected argument for sessions list: extra/]
+    ];
+
+    for (const [argv, message] of usage) {
+      stderr = captureStream();
+      assert.equal(await run(argv), EXIT_CODES.USAGE, argv.join(' '));
+      assert.match(stderr.text, message);
+      assert.match(stderr.text, /Run "node src\/index.js help" for usage/);
+    }
+
+    assert.equal(await run(['help']), EXIT_CODES.OK);
+    assert.match(stdout.text, /^Usage:/);
+    assert.equal(parseCommand([]), null);
+  });
+
+  test('checks the message and option values before calling the model', async () => {
+    assert.equal(await run(['say', '--session', 's1']), EXIT_CODES.USAGE);
+    assert.match(stderr.text, /No message given/);
+    assert.equal(await run(['say', '-'], Readable.from(['  \n'])), EXIT_CODES.USAGE);
+    assert.match(stderr.text, /The message is empty/);
+    assert.equal(await run(['say', '--mode', 'judge', 'hi']), EXIT_CODES.USAGE);
+    assert.match(stderr.text, /Unknown mode: judge/);
+    assert.equal(await run(['say', '--framework', 'freud', 'hi']), EXIT_CODES.USAGE);
+    assert.match(stderr.text, /Unknown framework: freud. Expected one of: none, gottman, nvc, eft/);
+    assert.equal(await run(['stories', 'show', '--side', 'both']), EXIT_CODES.USAGE);
+    assert.match(stderr.text, /Unknown side: both. Expected one of: user, partner/);
+    assert.equal(llm.calls.length, 0);
+  });
+
+  test('exits with 1 when the command fails', async () => {
+    // No scripted turns, so the model errors
+    assert.equal(await run(['say', '--session', 's1', 'hi']), EXIT_CODES.FAILURE);
+    assert.match(stderr.text, /❌ .*ran out of turns/);
+    assert.equal(stdout.text, '');
+  });
+});
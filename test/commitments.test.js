@@ -0,0 +1,40 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { InMemoryStore } from "@langchain/langgraph-checkpoint";
+
+import { COMMITMENT_OWNERS, COMMITMENT_STATUSES, recordCommitment, updateCommitment, listCommitments, formatCommitments } from '../src/commitments.js';
+import { createCoupleProfile } from '../src/profile.js';
+
+describe('commitments', () => {
+  test('records, updates and filters commitments per user', async () => {
+    const store = new InMemoryStore();
+    const dishes = await recordCommitment(store, { userId: 'user_1', owner: COMMITMENT_OWNERS.USER, action: 'Do the dishes', sessionId: 's1' });
+    await recordCommitment(store, { userId: 'user_1', owner: COMMITMENT_OWNERS.BOTH, action: 'Weekly check-in', sessionId: 's1' });
+    await recordCommitment(store, { userId: 'user_10', owner: COMMITMENT_OWNERS.USER, action: 'Someone else', sessionId: 's9' });
+
+    const updated = await updateCommitment(store, 'user_1', dishes.id, { status: COMMITMENT_STATUSES.DONE, note: 'Every night this week', sessionId: 's2' });
+    assert.equal(updated.status, COMMITMENT_STATUSES.DONE);
+    assert.deepEqual(updated.progress.map(entry => entry.note), ['Every night this week']);
+
+    const open = await listCommitments(store, 'user_1', { status: COMMITMENT_STATUSES.OPEN });
+    assert.deepEqual(open.map(commitment => commitment.action), ['Weekly check-in']);
+    assert.equal((await listCommitments(store, 'user_1')).length, 2);
+  });
+
+  test('rejects unknown commitments and statuses', async () => {
+    const store = new InMemoryStore();
+    const { id } = await recordCommitment(store, { userId: 'alice', owner: COMMITMENT_OWNERS.USER, action: 'Listen first' });
+
+    await assert.rejects(updateCommitment(store, 'alice', 'missing', { note: 'x' }), /No commitment found/);
+    await assert.rejects(updateCommitment(store, 'alice', id, { status: 'forgotten' }), /Unknown commitment status: forgotten/);
+  });
+
+  test('formats owners with the couple profile', async () => {
+    const store = new InMemoryStore();
+    await recordCommitment(store, { userId: 'alice', owner: COMMITMENT_OWNERS.PARTNER, action: 'Plan date night' });
+
+    const text = formatCommitments(await listCommitments(store, 'alice'), createCoupleProfile({ partner: { name: 'Sam' } }));
+    assert.match(text, /\(open\) Sam: Plan date night/);
+    assert.equal(formatCommitments([], createCoupleProfile()), 'No commitments recorded yet');
+  });
+});
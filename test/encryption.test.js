@@ -0,0 +1,121 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import { MarriageCounselorAgent } from '../src/agent.js';
+import { Encryptor, EncryptedStore, EncryptedCheckpointSaver } from '../src/encryption.js';
+import { createPersistence, FileCheckpointSaver } from '../src/persistence.js';
+import { STORY_SIDES, saveStory, listStories } from '../src/stories.js';
+import { sessionThreadId } from '../src/state.js';
+import { createSession, recordSessionActivity, deleteSession, listSessionUsers } from '../src/sessions.js';
+import { ScriptedChatModel } from './helpers/scripted-chat-model.js';
+
+describe('encryption at rest', () => {
+  let dataDir;
+  const persistence = (encryptionSecret = 'correct horse battery staple') => ({ backend: 'file', dataDir, encryptionSecret });
+  const readDataFiles = () => fs.readdirSync(dataDir).map(file => fs.readFileSync(path.join(dataDir, file), 'utf8')).join('\n');
+  // Checkpoints are stored as base64 bytes, which hide plaintext from a plain search too
+  const decodeBytes = (key, value) => (value && typeof value.__bytes === 'string' ? JSON.parse(Buffer.from(value.__bytes, 'base64').toString('utf8'), decodeBytes) : value);
+  // Loading folds the change log into checkpoints.json, so the file then holds everything
+  const readCheckpoints = () => {
+    new FileCheckpointSaver(path.join(dataDir, 'checkpoints.json'));
+    return JSON.parse(fs.readFileSync(path.join(dataDir, 'checkpoints.json'), 'utf8'), decodeBytes);
+  };
+
+  beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'counselor-encrypted-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test('wraps both backends when a secret is configured', () => {
+    const { checkpointer, store } = createPersistence(persistence());
+    assert.ok(checkpointer instanceof EncryptedCheckpointSaver);
+    assert.ok(store instanceof EncryptedStore);
+  });
+
+  test('stories are unreadable on disk and decrypted transparently', async () => {
+    const { store, close } = createPersistence(persistence());
+    await saveStory(store, { userId: 'alice', side: STORY_SIDES.USER, content: 'He read my diary', sessionId: 's1' });
+
+    assert.ok(!readDataFiles().includes('He read my diary'));
+    close();
+
+    const reopened = createPersistence(persistence()).store;
+    assert.deepEqual((await listStories(reopened, 'alice')).map(story => story.content), ['He read my diary']);
+  });
+
+  test('refuses to read data with the wrong secret', async () => {
+    const { store, close } = createPersistence(persistence());
+    const story = await saveStory(store, { userId: 'alice', side: STORY_SIDES.USER, content: 'Private' });
+    close();
+
+    const wrong = createPersistence(persistence('guess')).store;
+    await assert.rejects(wrong.get(["stories", 'alice', STORY_SIDES.USER], story.id), /Cannot decrypt stored data/);
+    await assert.rejects(listStories(wrong, 'alice'), /Cannot decrypt stored data/);
+  });
+
+  test('finds who used a session id although session records are sealed', async () => {
+    const { store } = createPersistence(persistence());
+    const { sessionId } = await createSession(store, 'alice');
+    await recordSessionActivity(store, 'bob', sessionId);
+
+    assert.deepEqual((await listSessionUsers(store, sessionId)).sort(), ['alice', 'bob']);
+    assert.deepEqual(await listSessionUsers(store, 'unused'), []);
+
+    await deleteSession(store, 'bob', sessionId);
+    assert.deepEqual(await listSessionUsers(store, sessionId), ['alice']);
+  });
+
+  test('conversation checkpoints are encrypted and survive a restart', async () => {
+    const llm = new ScriptedChatModel([{ content: 'That sounds painful.' }]);
+    const first = new MarriageCounselorAgent({ llm, persistence: persistence() });
+    await first.invoke({ mode: 'USER', content: 'She threw my ring away' }, { configurable: { userId: 'alice', sessionId: 's1' } });
+
+    const stored = readCheckpoints().storage[sessionThreadId('alice', 's1')][''];
+    const checkpoints = Object.values(stored).map(([checkpoint]) => checkpoint);
+    assert.ok(checkpoints.length);
+    assert.ok(checkpoints.every(checkpoint => checkpoint.channel_values.__encrypted));
+    assert.ok(!JSON.stringify(stored).includes('She threw my ring away'));
+    assert.ok(!JSON.stringify(stored).includes('That sounds painful.'));
+    assert.ok(!JSON.stringify(readCheckpoints().writes).includes('She threw my ring away'));
+
+    // Sealed with alice's own key, the same one her stories use
+    const latest = checkpoints.at(-1).channel_values;
+    const encryptor = new Encryptor('correct horse battery staple');
+    assert.match(encryptor.openBytes('user:alice', latest).toString('utf8'), /That sounds painful\./);
+    assert.throws(() => encryptor.openBytes('user:bob', latest), /Cannot decrypt stored data/);
+
+    first.close();
+    const second = new MarriageCounselorAgent({ llm, persistence: persistence() });
+    const history = await second.getHistory('s1', 'USER', { userId: 'alice' });
+    assert.deepEqual(history.map(message => message.content), ['She threw my ring away', 'That sounds painful.']);
+
+    second.close();
+
+    const wrong = new MarriageCounselorAgent({ llm, persistence: persistence('guess') });
+    await assert.rejects(wrong.getHistory('s1', 'USER', { userId: 'alice' }), /Cannot decrypt stored data/);
+  });
+
+  test('decoded checkpoints show the plaintext when encryption is off', async () => {
+    const llm = new ScriptedChatModel([{ content: 'That sounds painful.' }]);
+    const agent = new MarriageCounselorAgent({ llm, persistence: { backend: 'file', dataDir } });
+    await agent.invoke({ mode: 'USER', content: 'She threw my ring away' }, { configurable: { userId: 'alice', sessionId: 's1' } });
+
+    assert.ok(!readDataFiles().includes('She threw my ring away'));
+    assert.ok(JSON.stringify(readCheckpoints()).includes('She threw my ring away'));
+  });
+
+  test('derives a separate key per user and still reads older plaintext', () => {
+    const encryptor = new Encryptor('secret');
+    const sealed = encryptor.seal('user:alice', { content: 'hi' });
+
+    assert.deepEqual(encryptor.open('user:alice', sealed), { content: 'hi' });
+    assert.throws(() => encryptor.open('user:bob', sealed), /Cannot decrypt stored data/);
+    assert.deepEqual(encryptor.open('user:alice', { content: 'written before encryption' }), { content: 'written before encryption' });
+  });
+});
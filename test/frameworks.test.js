@@ -0,0 +1,133 @@
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { z } from "zod";
+import { tool } from "@langchain/core/tools";
+
+import { MarriageCounselorAgent } from '../src/agent.js';
+import { registerFramework, resolveFramework, listFrameworks, loadFrameworkModules } from '../src/frameworks/index.js';
+import { detectHorsemen } from '../src/frameworks/gottman.js';
+import { mapNeeds } from '../src/frameworks/nonviolent-communication.js';
+import { mapCycle } from '../src/frameworks/emotionally-focused.js';
+import { STORY_SIDES, saveStory } from '../src/stories.js';
+import { ScriptedChatModel } from './helpers/scripted-chat-model.js';
+
+const config = { configurable: { userId: 'alice', sessionId: 's1' } };
+
+const statements = [
+  { speaker: 'user', simulated: false, content: 'You never help with the kids. I feel ignored. I keep asking you to talk.' },
+  { speaker: 'partner', simulated: true, content: "It's not my fault I work late. When she starts, I shut down and walk away." }
+];
+
+describe('counselling frameworks', () => {
+  let llm, agent;
+
+  beforeEach(async () => {
+    llm = new ScriptedChatModel();
+    agent = new MarriageCounselorAgent({ llm, profile: { partner: { name: 'Sam' } }, persistence: { backend: 'memory' } });
+    await saveStory(agent.store, { userId: 'alice', side: STORY_SIDES.USER, content: statements[0].content, sessionId: 'old' });
+    await saveStory(agent.store, { userId: 'alice', side: STORY_SIDES.PARTNER, content: statements[1].content, sessionId: 'old' });
+  });
+
+  test('built-in analyses find horsemen, needs and the pursue-withdraw cycle', () => {
+    assert.deepEqual(detectHorsemen(statements).map(match => [match.category, match.speaker]), [
+      ['criticism', 'user'],
+      ['defensiveness', 'partner'],
+      ['stonewalling', 'partner']
+    ]);
+
+    const needs = mapNeeds(statements);
+    assert.deepEqual(needs.map(match => match.category), ['judgment', 'interpretation']);
+    assert.equal(needs[1].need, 'attention, to be heard');
+
+    const cycle = mapCycle(statements);
+    assert.equal(cycle.pursuer, 'user');
+    assert.equal(cycle.withdrawer, 'partner');
+
+    assert.deepEqual(listFrameworks().map(framework => framework.id).slice(0, 3), ['gottman', 'nvc', 'eft']);
+  });
+
+  test('a framework adds its prompt section, tool and verdict fields, and sticks to the session', async () => {
+    const verdict = {
+      summary: { user: 'Wants help', partner: 'Works late' },
+      underlyingIssues: ['Pursue-withdraw'],
+      recommendations: { user: ['Soft start-up'], partner: ['Take a break, then return'] },
+      fairness: { assessment: 'Shared', userShare: 50 },
+      followUpQuestions: [],
+      gottman: {
+        fourHorsemen: [{ horseman: 'stonewalling', who: 'partner', example: 'I shut down' }],
+        antidotes: ['Self-soothing']
+      }
+    };
+    llm.turns.push(
+      { toolCalls: [{ name: 'detect_four_horsemen' }] },
+      { content: 'Criticism meets stonewalling.' },
+      { toolCalls: [{ name: 'solomon_verdict', args: verdict }] }
+    );
+
+    const response = await agent.invoke({ mode: 'SOLOMON', content: 'Judge us', framework: 'gottman', structuredVerdict: true }, config);
+
+    const prompt = llm.calls[0][0].content;
+    assert.match(prompt, /Counselling framework - Gottman Method: .*detect_four_horsemen/);
+    const analysis = response.messages.find(message => message.getType() === 'tool').content;
+    assert.match(analysis, /CRITICISM \(antidote: Gentle start-up[^\n]*\n {2}- User: "You never help with the kids\."/);
+    assert.match(analysis, /STONEWALLING[\s\S]*Sam \(SIMULATED\): "When she starts, I shut down and walk away\."/);
+    assert.deepEqual(response.verdict, verdict);
+    assert.match(llm.calls.at(-1)[0].content, /Fill in "gottman" with the judgment's Gottman Method analysis/);
+    assert.equal(await agent.getFramework('s1', { userId: 'alice' }), 'gottman');
+
+    // The next request keeps the framework; "none" goes back to plain Solomon
+    llm.turns.push({ content: 'Still Gottman.' }, { content: 'Plain again.' });
+    await agent.invoke({ mode: 'SOLOMON', content: 'And now?' }, config);
+    assert.match(llm.calls.at(-1)[0].content, /Gottman Method/);
+    await agent.invoke({ mode: 'SOLOMON', content: 'Plainly', framework: 'none' }, config);
+    assert.doesNotMatch(llm.calls.at(-1)[0].content, /Counselling framework/);
+
+    await assert.rejects(agent.invoke({ mode: 'SOLOMON', content: 'Hi', framework: 'freud' }, config), /Unknown framework: freud\. Expected one of: none, gottman, nvc, eft/);
+  });
+
+  test('custom frameworks register without touching the agent', async () => {
+    registerFramework({
+      id: 'love_languages',
+      name: 'Five Love Languages',
+      prompt: partner => `Work out how the user and ${partner.theLabel} each like to receive love.`,
+      createTools: ({ loadStatements }) => [tool(
+        async (input, config) => `${(await loadStatements(config)).length} statements`,
+        { name: 'count_statements', description: 'Count the saved statements', schema: z.object({}) }
+      )],
+      verdictFields: { languages: z.object({ user: z.string(), partner: z.string() }) }
+    });
+    assert.throws(() => registerFramework({ id: 'love_languages', name: 'Again', prompt: () => '' }), /Framework already registered: love_languages/);
+    assert.throws(() => registerFramework({ id: 'Bad Id', name: 'x', prompt: () => '' }), /Invalid framework id: Bad Id/);
+    assert.throws(() => registerFramework({ id: 'no_prompt', name: 'x' }), /needs a name and a prompt function/);
+
+    llm.turns.push({ toolCalls: [{ name: 'count_statements' }] }, { content: 'Acts of service.' });
+    const response = await agent.invoke({ mode: 'SOLOMON', content: 'Judge us', framework: 'love_languages' }, config);
+
+    assert.match(llm.calls[0][0].content, /Five Love Languages: Work out how the user and Sam each like/);
+    assert.equal(response.messages.find(message => message.getType() === 'tool').content, '2 statements');
+    assert.deepEqual((await agent.getFrameworks()).at(-1), { id: 'love_languages', name: 'Five Love Languages', description: '' });
+  });
+
+  test('loads framework modules listed in FRAMEWORK_MODULES', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'frameworks-'));
+    const file = path.join(dir, 'imago.js');
+    fs.writeFileSync(file, "export default { id: 'imago', name: 'Imago Dialogue', prompt: () => 'Mirror, validate, empathise.' };\n");
+
+    const [loaded] = await loadFrameworkModules(file);
+    assert.equal(loaded.id, 'imago');
+    // Loading the same module again is a no-op
+    assert.deepEqual(await loadFrameworkModules(file), []);
+    assert.equal(resolveFramework('imago').name, 'Imago Dialogue');
+
+    const custom = new MarriageCounselorAgent({ llm, framework: 'imago', frameworkModules: file, persistence: { backend: 'memory' } });
+    llm.turns.push({ content: 'Mirror what you heard.' });
+    await custom.invoke({ mode: 'SOLOMON', content: 'Help' }, config);
+    assert.match(llm.calls.at(-1)[0].content, /Imago Dialogue: Mirror, validate, empathise\./);
+
+    await assert.rejects(new MarriageCounselorAgent({ llm, framework: 'missing', persistence: { backend: 'memory' } }).initialize(), /Unknown framework: missing/);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+});
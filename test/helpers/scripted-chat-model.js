@@ -0,0 +1,74 @@
+import { BaseChatModel } from "@langchain/core/language_models/chat_models";
+import { AIMessage, AIMessageChunk } from "@langchain/core/messages";
+import { ChatGenerationChunk } from "@langchain/core/outputs";
+
+// Deterministic stand-in for a real chat model. Each call consumes the next
+// scripted turn: { content } for a reply, { toolCalls: [{ name, args }] } to call tools.
+// Streaming splits the content into word chunks so token events can be asserted.
+export class ScriptedChatModel extends BaseChatModel {
+  constructor(turns = []) {
+    super({});
+    this.turns = [...turns];
+    this.calls = [];
+  }
+
+  _llmType() {
+    return 'scripted';
+  }
+
+  // Tools are chosen by the script, so binding is a no-op
+  bindTools() {
+    return this;
+  }
+
+  nextTurn(messages) {
+    this.calls.push(messages);
+    const turn = this.turns.shift();
+    if (!turn) {
+      throw new Error(`ScriptedChatModel ran out of turns after ${this.calls.length - 1} calls`);
+    }
+    return turn;
+  }
+
+  toolCalls(turn) {
+    return (turn.toolCalls || []).map((toolCall, index) => ({
+      id: `call_${this.calls.length}_${index}`,
+      name: toolCall.name,
+      args: toolCall.args || {},
+      type: 'tool_call'
+    }));
+  }
+
+  async _generate(messages) {
+    const turn = this.nextTurn(messages);
+    const message = new AIMessage({ content: turn.content || '', tool_calls: this.toolCalls(turn) });
+    return { generations: [{ message, text: message.content }] };
+  }
+
+  async *_streamResponseChunks(messages, options, runManager) {
+    const turn = this.nextTurn(messages);
+
+    for (const word of (turn.content || '').split(/(?<= )/).filter(Boolean)) {
+      const chunk = new ChatGenerationChunk({ text: word, message: new AIMessageChunk({ content: word }) });
+      yield chunk;
+      await runManager?.handleLLMNewToken(word, undefined, undefined, undefined, undefined, { chunk });
+    }
+
+    const toolCalls = this.toolCalls(turn);
+    if (toolCalls.length) {
+      yield new ChatGenerationChunk({
+        text: '',
+        message: new AIMessageChunk({
+          content: '',
+          tool_call_chunks: toolCalls.map((toolCall, index) => ({
+            id: toolCall.id,
+            name: toolCall.name,
+            args: JSON.stringify(toolCall.args),
+            index,
+            type: 'tool_call_chunk'
+          }))
+        })
+      });
+    }
+  }
+}
@@ -0,0 +1,93 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { InMemoryStore } from "@langchain/langgraph-checkpoint";
+
+import { MarriageCounselorAgent } from '../src/agent.js';
+import { IMPORT_FORMATS, ImportError, detectFormat, parseChatLog, attributeSenders, importChatLog } from '../src/import.js';
+import { STORY_SIDES, listStories } from '../src/stories.js';
+import { ScriptedChatModel } from './helpers/scripted-chat-model.js';
+
+const WHATSAPP_LOG = `[12/03/2024, 21:14:05] Alice: You said you'd be home by 7
+[12/03/2024, 21:14:40] Alice: Dinner is cold
+[12/03/2024, 21:20:11] Sam: Work ran late, I texted you
+and I called twice
+12/03/2024, 21:25 - Alice: One text at 6:55 doesn't count`;
+
+describe('chat log import', () => {
+  test('parses plain text, WhatsApp, JSON and CSV logs', () => {
+    assert.deepEqual(parseChatLog(WHATSAPP_LOG, IMPORT_FORMATS.TEXT), [
+      { sender: 'Alice', text: "You said you'd be home by 7", sentAt: '12/03/2024, 21:14:05' },
+      { sender: 'Alice', text: 'Dinner is cold', sentAt: '12/03/2024, 21:14:40' },
+      { sender: 'Sam', text: 'Work ran late, I texted you\nand I called twice', sentAt: '12/03/2024, 21:20:11' },
+      { sender: 'Alice', text: "One text at 6:55 doesn't count", sentAt: '12/03/2024, 21:25' }
+    ]);
+
+    const json = JSON.stringify({ messages: [{ from: 'Sam', text: 'Sorry', timestamp: '2024-03-12T21:30:00Z' }, { from: 'Alice', text: '' }] });
+    assert.deepEqual(parseChatLog(json, IMPORT_FORMATS.JSON), [{ sender: 'Sam', text: 'Sorry', sentAt: '2024-03-12T21:30:00Z' }]);
+    for (const item of [null, 'Sam: hi', ['Sam', 'hi']]) {
+      assert.throws(() => parseChatLog(JSON.stringify([{ from: 'Sam', text: 'Sorry' }, item]), IMPORT_FORMATS.JSON), error => (
+        error instanceof ImportError && /message at index 1 is not an object/.test(error.message)
+      ));
+    }
+
+    const csv = 'Date,Sender,Message\n2024-03-12,Alice,"Fine, whatever"\n2024-03-12,Sam,"She said ""fine""\nagain"\n';
+    assert.deepEqual(parseChatLog(csv, IMPORT_FORMATS.CSV), [
+      { sender: 'Alice', text: 'Fine, whatever', sentAt: '2024-03-12' },
+      { sender: 'Sam', text: 'She said "fine"\nagain', sentAt: '2024-03-12' }
+    ]);
+
+    assert.equal(detectFormat(WHATSAPP_LOG), IMPORT_FORMATS.TEXT);
+    assert.equal(detectFormat(json), IMPORT_FORMATS.JSON);
+    assert.equal(detectFormat(csv), IMPORT_FORMATS.CSV);
+    assert.equal(detectFormat('Sam: hi', 'chat.csv'), IMPORT_FORMATS.CSV);
+    assert.throws(() => parseChatLog('x', 'xml'), /Unknown chat log format: xml/);
+  });
+
+  test('attributes senders from one known name, or asks for both', () => {
+    const messages = parseChatLog(WHATSAPP_LOG, IMPORT_FORMATS.TEXT);
+    assert.deepEqual(attributeSenders(messages, { userName: 'alice' }), { user: 'Alice', partner: 'Sam', ignored: [] });
+    assert.deepEqual(attributeSenders(messages, { partnerName: 'Sam' }), { user: 'Alice', partner: 'Sam', ignored: [] });
+    assert.throws(() => attributeSenders(messages), /Senders found: Alice, Sam\. Pass userName and partnerName/);
+
+    const group = [...messages, { sender: 'Mum', text: 'Stop it you two' }];
+    assert.throws(() => attributeSenders(group, { userName: 'Alice' }), /Senders found: Alice, Sam, Mum/);
+    assert.deepEqual(attributeSenders(group, { userName: 'Alice', partnerName: 'Sam' }).ignored, ['Mum']);
+  });
+
+  test('saves runs of messages as story entries on each side, in order', async () => {
+    const store = new InMemoryStore();
+    const result = await importChatLog(store, { userId: 'alice', content: WHATSAPP_LOG, userName: 'Alice', sessionId: 's1' });
+
+    assert.equal(result.format, IMPORT_FORMATS.TEXT);
+    assert.deepEqual(result.saved, { user: 2, partner: 1 });
+
+    const entries = await listStories(store, 'alice');
+    assert.deepEqual(entries.map(entry => [entry.side, entry.content]), [
+      [STORY_SIDES.USER, "You said you'd be home by 7\nDinner is cold"],
+      [STORY_SIDES.PARTNER, 'Work ran late, I texted you\nand I called twice'],
+      [STORY_SIDES.USER, "One text at 6:55 doesn't count"]
+    ]);
+    assert.ok(entries.every(entry => entry.origin === 'import' && entry.importId === result.importId && entry.sessionId === 's1'));
+    assert.equal(entries[0].sentAt, '12/03/2024, 21:14:05');
+
+    await assert.rejects(importChatLog(store, { userId: 'alice', content: '  ' }), /The chat log is empty/);
+    await assert.rejects(importChatLog(store, { userId: 'alice', content: 'no names here' }), /No messages found/);
+  });
+
+  test('Solomon sees imported partner messages as their own words', async () => {
+    const llm = new ScriptedChatModel([
+      { toolCalls: [{ name: 'get_both_stories' }] },
+      { content: 'Call when you are late.' }
+    ]);
+    const agent = new MarriageCounselorAgent({ llm, profile: { user: { name: 'Alice' }, partner: { name: 'Sam' } }, persistence: { backend: 'memory' } });
+
+    // The profile's names attribute the senders
+    await agent.importChatLog('alice', WHATSAPP_LOG);
+    const response = await agent.invoke({ mode: 'SOLOMON', content: 'Who is right?' }, { configurable: { userId: 'alice', sessionId: 's1' } });
+
+    const stories = response.messages.findLast(message => message.getType() === 'tool').content;
+    assert.match(stories, /\[12\/03\/2024, 21:14:05\] \(chat log\) You said you'd be home by 7/);
+    assert.match(stories, /Sam's Own Words \(from chat logs and joint sessions\):\*\*\n1\. \[12\/03\/2024, 21:20:11\] \(chat log\) Work ran late/);
+    assert.doesNotMatch(stories, /SIMULATED/);
+  });
+});
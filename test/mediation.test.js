@@ -0,0 +1,141 @@
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { AIMessage, HumanMessage } from "@langchain/core/messages";
+
+import { MarriageCounselorAgent } from '../src/agent.js';
+import { MODES } from '../src/modes.js';
+import { SPEAKERS, nextSpeaker, labelSpeakers, resolveSpeaker } from '../src/mediation.js';
+import { STORY_SIDES } from '../src/stories.js';
+import { createCoupleProfile } from '../src/profile.js';
+import { ScriptedChatModel } from './helpers/scripted-chat-model.js';
+
+const config = (overrides = {}) => ({
+  configurable: { userId: 'alice', sessionId: 's1', ...overrides }
+});
+
+describe('mediated joint sessions', () => {
+  let llm, agent;
+
+  beforeEach(() => {
+    llm = new ScriptedChatModel();
+    agent = new MarriageCounselorAgent({ llm, profile: { user: { name: 'Alice' }, partner: { name: 'Sam' } }, persistence: { backend: 'memory' } });
+  });
+
+  test('turns alternate and messages are labelled with their speaker', () => {
+    const profile = createCoupleProfile({ user: { name: 'Alice' }, partner: { name: 'Sam' } });
+    const messages = [new HumanMessage({ content: 'You never listen', name: SPEAKERS.USER }), new AIMessage('Sam, can you restate that?')];
+
+    assert.equal(nextSpeaker([]), SPEAKERS.USER);
+    assert.equal(nextSpeaker(messages), SPEAKERS.PARTNER);
+    assert.equal(labelSpeakers(messages, profile)[0].content, 'Alice: You never listen');
+    assert.equal(resolveSpeaker('Partner'), SPEAKERS.PARTNER);
+    assert.throws(() => resolveSpeaker('mum'), /Invalid speaker: mum/);
+  });
+
+  test('the mediator sees who is speaking and saves each side\'s points', async () => {
+    llm.turns.push(
+      { toolCalls: [{ name: 'save_point', args: { speaker: 'user', point: 'I feel ignored at dinner' } }] },
+      { content: 'Sam, what did you hear Alice say?' },
+      { toolCalls: [{ name: 'save_point', args: { speaker: 'partner', point: 'I am exhausted after work' } }] },
+      { content: 'Alice, your turn: restate what Sam said.' }
+    );
+
+    await agent.invoke({ mode: 'MEDIATOR', content: 'I feel ignored at dinner' }, config());
+    assert.equal(await agent.getNextSpeaker('s1', { userId: 'alice' }), SPEAKERS.PARTNER);
+
+    const response = await agent.invoke({ mode: 'MEDIATOR', content: 'You feel ignored. I am just exhausted' }, config());
+    assert.equal(response.messages.at(-1).content, 'Alice, your turn: restate what Sam said.');
+    assert.equal(await agent.getNextSpeaker('s1', { userId: 'alice' }), SPEAKERS.USER);
+
+    const prompt = llm.calls.at(-1);
+    assert.match(prompt[0].content, /couples mediator[\s\S]*restate/);
+    assert.match(prompt[0].content, /Sam just spoke; next turn: Alice\./);
+    assert.deepEqual(prompt.filter(message => message.getType?.() === 'human').map(message => message.content), [
+      'Alice: I feel ignored at dinner',
+      'Sam: You feel ignored. I am just exhausted'
+    ]);
+
+    const stored = await agent.listStories('alice');
+    assert.deepEqual(stored.map(entry => [entry.side, entry.content, entry.origin, entry.mode]), [
+      [STORY_SIDES.USER, 'I feel ignored at dinner', 'mediation', MODES.MEDIATOR],
+      [STORY_SIDES.PARTNER, 'I am exhausted after work', 'mediation', MODES.MEDIATOR]
+    ]);
+
+    // Stored turns keep the speaker without the label
+    const history = await agent.getHistory('s1', 'MEDIATOR', { userId: 'alice' });
+    assert.deepEqual(history.filter(message => message.getType() === 'human').map(message => [message.name, message.content]), [
+      ['user', 'I feel ignored at dinner'],
+      ['partner', 'You feel ignored. I am just exhausted']
+    ]);
+
+    const transcript = await agent.exportTranscript('s1', { userId: 'alice' });
+    assert.match(transcript, /### 🤝 Joint Session[\s\S]*\*\*Alice\*\*[\s\S]*\*\*Mediator\*\*[\s\S]*\*\*Sam \(joint session\)\*\* \([^)]*\):\n\nYou feel ignored/);
+    // Sam typed their own words, so nothing here was role-played
+    assert.doesNotMatch(transcript, /role-play/);
+  });
+
+  test('an explicit speaker overrides the alternation and Solomon sees joint-session points as own words', async () => {
+    llm.turns.push(
+      { toolCalls: [{ name: 'save_point', args: { speaker: 'partner', point: 'Dinner at 8 is too late for me' } }] },
+      { content: 'Thank you, Sam.' },
+      { toolCalls: [{ name: 'get_both_stories' }] },
+      { content: 'Eat at 7.' }
+    );
+
+    await agent.invoke({ mode: 'MEDIATOR', content: 'Dinner at 8 is too late', speaker: 'partner' }, config());
+    assert.equal(await agent.getNextSpeaker('s1', { userId: 'alice' }), SPEAKERS.USER);
+    await assert.rejects(agent.invoke({ mode: 'MEDIATOR', content: 'Hi', speaker: 'mum' }, config()), /Invalid speaker: mum/);
+
+    const response = await agent.invoke({ mode: 'SOLOMON', content: 'Judge us' }, config());
+    const stories = response.messages.findLast(message => message.getType() === 'tool').content;
+    assert.match(stories, /Sam's Own Words[\s\S]*\(joint session\) Dinner at 8 is too late for me/);
+    assert.doesNotMatch(stories, /SIMULATED/);
+  });
+
+  test('the compiled graph names the input from the speaker in state, as LangGraph Platform sends it', async () => {
+    await agent.initialize();
+    llm.turns.push({ content: 'Alice, what did you hear?' }, { content: 'Sam, your turn.' });
+    const graphConfig = { configurable: { thread_id: 'platform-thread', userId: 'alice', sessionId: 's1' } };
+
+    await agent.graph.invoke({ mode: 'MEDIATOR', speaker: 'partner', messages: [{ role: 'user', content: 'I work late' }] }, graphConfig);
+    assert.match(llm.calls[0][0].content, /Sam just spoke; next turn: Alice\./);
+
+    // Without a speaker the turn passes to the other side
+    const state = await agent.graph.invoke({ messages: [{ role: 'user', content: 'I miss you at dinner' }] }, graphConfig);
+    assert.match(llm.calls[1][0].content, /Alice just spoke; next turn: Sam\./);
+    assert.deepEqual(state.messages.filter(message => message.getType() === 'human').map(message => message.name), ['partner', 'user']);
+    assert.equal(state.speaker, null);
+  });
+
+  test('a message the guardrail intercepts does not leave its speaker behind', async () => {
+    await agent.initialize();
+    llm.turns.push({ content: 'Alice, go ahead.' });
+    const graphConfig = { configurable: { thread_id: 'platform-thread', userId: 'alice', sessionId: 's1' } };
+
+    const flagged = await agent.graph.invoke({ mode: 'MEDIATOR', speaker: 'partner', messages: [{ role: 'user', content: 'He hit me last night' }] }, graphConfig);
+    assert.equal(flagged.safety.flagged, true);
+    assert.equal(flagged.speaker, null);
+    assert.equal(llm.calls.length, 0);
+
+    // Nobody has spoken in the joint session yet, so the next message is the user's
+    const state = await agent.graph.invoke({ messages: [{ role: 'user', content: 'Can we talk about dinner?' }] }, graphConfig);
+    assert.match(llm.calls[0][0].content, /Alice just spoke; next turn: Sam\./);
+    assert.equal(state.messages.filter(message => message.getType() === 'human').at(-1).name, 'user');
+  });
+
+  test('in a shared case the partner\'s points go to their own account', async () => {
+    const { caseId } = await agent.createCase('alice');
+    await agent.joinCase(caseId, 'sam');
+    llm.turns.push(
+      { toolCalls: [{ name: 'save_point', args: { speaker: 'partner', point: 'I want one night a week to myself' } }] },
+      { content: 'Noted.' }
+    );
+
+    await agent.invoke({ mode: 'MEDIATOR', content: 'I need time alone', speaker: 'partner' }, config({ caseId }));
+
+    const [point] = await agent.listStories('sam', STORY_SIDES.USER);
+    assert.equal(point.content, 'I want one night a week to myself');
+    assert.equal(point.caseId, caseId);
+    assert.deepEqual(await agent.listStories('alice', STORY_SIDES.PARTNER), []);
+  });
+});
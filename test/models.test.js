@@ -0,0 +1,151 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { z } from "zod";
+
+import { MarriageCounselorAgent } from '../src/agent.js';
+import { MODES } from '../src/modes.js';
+import { loadModelConfig, resolveModelSettings, resolveFallbackSettings, missingModelCredentials, createChatModel, createModelForMode, FallbackChatModel } from '../src/models.js';
+import { ScriptedChatModel } from './helpers/scripted-chat-model.js';
+
+const settings = (env, mode) => {
+  const { provider, model, temperature, baseURL } = resolveModelSettings(loadModelConfig(env), mode);
+  return { provider, model, temperature, ...(baseURL && { baseURL }) };
+};
+
+describe('model configuration', () => {
+  test('keeps the previous defaults when nothing is configured', () => {
+    assert.deepEqual(settings({ OPENAI_API_KEY: 'sk' }, MODES.USER), { provider: 'openai', model: 'gpt-4o', temperature: 0 });
+    assert.deepEqual(settings({ ANTHROPIC_API_KEY: 'sk' }, MODES.SOLOMON), { provider: 'anthropic', model: 'claude-3-5-sonnet-20241022', temperature: 0 });
+    assert.equal(loadModelConfig({ OPENAI_API_KEY: 'sk' }).fallback, null);
+  });
+
+  test('configures provider, model and temperature per mode from the environment', () => {
+    const env = {
+      OPENAI_API_KEY: 'sk',
+      ANTHROPIC_API_KEY: 'sk',
+      MODEL: 'openai:gpt-4o-mini',
+      MODEL_TEMPERATURE_USER: '0.7',
+      MODEL_SOLOMON: 'anthropic',
+      MODEL_TEMPERATURE: '0.2'
+    };
+
+    assert.deepEqual(settings(env, MODES.USER), { provider: 'openai', model: 'gpt-4o-mini', temperature: 0.7 });
+    assert.deepEqual(settings(env, MODES.PARTNER), { provider: 'openai', model: 'gpt-4o-mini', temperature: 0.2 });
+    // Switching provider doesn't inherit the other provider's model name
+    assert.deepEqual(settings(env, MODES.SOLOMON), { provider: 'anthropic', model: 'claude-3-5-sonnet-20241022', temperature: 0.2 });
+    // With both keys the other hosted provider is the automatic fallback
+    assert.deepEqual(loadModelConfig(env).fallback, { provider: 'anthropic' });
+  });
+
+  test('reads a config file, with the environment taking precedence', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'counselor-models-'));
+    const file = path.join(dir, 'models.json');
+    fs.writeFileSync(file, JSON.stringify({
+      default: { provider: 'anthropic', temperature: 0.3 },
+      modes: { WIFE: { provider: 'openai', model: 'gpt-4o-mini', temperature: 0.9 }, SOLOMON: 'openai:o1' },
+      fallback: 'ollama:llama3.1'
+    }));
+
+    try {
+      const env = { MODEL_CONFIG: file, ANTHROPIC_API_KEY: 'sk', MODEL_TEMPERATURE_SOLOMON: '1' };
+      assert.deepEqual(settings(env, MODES.USER), { provider: 'anthropic', model: 'claude-3-5-sonnet-20241022', temperature: 0.3 });
+      assert.deepEqual(settings(env, MODES.PARTNER), { provider: 'openai', model: 'gpt-4o-mini', temperature: 0.9 });
+      assert.deepEqual(settings(env, MODES.SOLOMON), { provider: 'openai', model: 'o1', temperature: 1 });
+      assert.equal(loadModelConfig(env).fallback.provider, 'local');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('supports local OpenAI-compatible servers without API keys', async () => {
+    const env = { MODEL: 'llamacpp:qwen2.5', MODEL_USER: 'ollama:llama3.1' };
+    const config = loadModelConfig(env);
+
+    assert.deepEqual(settings(env), { provider: 'local', model: 'qwen2.5', temperature: 0, baseURL: 'http://localhost:8080/v1' });
+    assert.deepEqual(settings(env, MODES.USER), { provider: 'local', model: 'llama3.1', temperature: 0, baseURL: 'http://localhost:11434/v1' });
+    assert.deepEqual(missingModelCredentials(config, env), []);
+    assert.deepEqual(missingModelCredentials(loadModelConfig({ MODEL: 'openai' }), {}), ['openai']);
+
+    const model = await (await createChatModel(resolveModelSettings(config, MODES.USER), config))._model();
+    assert.equal(model.clientConfig.baseURL, 'http://localhost:11434/v1');
+    assert.equal(model.model, 'llama3.1');
+  });
+
+  test('falls back to another model of the same provider and needs the fallback\'s credentials', async () => {
+    const env = { OPENAI_API_KEY: 'sk', MODEL: 'openai:gpt-4o', MODEL_FALLBACK: 'openai:gpt-4o-mini', MODEL_SOLOMON: 'openai:gpt-4o-mini' };
+    const config = loadModelConfig(env);
+
+    assert.equal(resolveFallbackSettings(config, MODES.USER).model, 'gpt-4o-mini');
+    assert.ok(await createModelForMode(config, MODES.USER) instanceof FallbackChatModel);
+    // Falling back to the model already in use is no fallback
+    assert.equal(resolveFallbackSettings(config, MODES.SOLOMON), null);
+    assert.ok(!(await createModelForMode(config, MODES.SOLOMON) instanceof FallbackChatModel));
+
+    const toAnthropic = { OPENAI_API_KEY: 'sk', MODEL_FALLBACK: 'anthropic' };
+    assert.deepEqual(missingModelCredentials(loadModelConfig(toAnthropic), toAnthropic), ['anthropic']);
+    assert.deepEqual(missingModelCredentials(loadModelConfig(toAnthropic), { ...toAnthropic, ANTHROPIC_API_KEY: 'sk' }), []);
+  });
+
+  test('names the providers whose API key is missing', async () => {
+    const saved = process.env.ANTHROPIC_API_KEY;
+    delete process.env.ANTHROPIC_API_KEY;
+    try {
+      const agent = new MarriageCounselorAgent({ models: loadModelConfig({ MODEL: 'local:llama3.1', MODEL_SOLOMON: 'anthropic' }), persistence: { backend: 'memory' } });
+      await assert.rejects(agent.initialize(), /Please set ANTHROPIC_API_KEY in your environment for the configured anthropic models/);
+    } finally {
+      if (saved !== undefined) {
+        process.env.ANTHROPIC_API_KEY = saved;
+      }
+    }
+  });
+
+  test('rejects unknown providers and bad temperatures', () => {
+    assert.throws(() => loadModelConfig({ MODEL: 'palm:bison' }), /Unknown model provider: palm/);
+    assert.throws(() => loadModelConfig({ MODEL_TEMPERATURE: 'warm' }), /MODEL_TEMPERATURE must be a number/);
+  });
+});
+
+describe('FallbackChatModel', () => {
+  test('answers with the fallback when the primary fails, tools and structured output included', async () => {
+    const failing = new ScriptedChatModel();
+    const backup = new ScriptedChatModel([
+      { content: 'from the fallback' },
+      { toolCalls: [{ name: 'extract', args: { answer: 'yes' } }] }
+    ]);
+    const model = new FallbackChatModel([failing, backup]);
+
+    const reply = await model.bindTools([]).invoke([{ role: 'user', content: 'hi' }]);
+    assert.equal(reply.content, 'from the fallback');
+
+    const structured = await model.withStructuredOutput(z.object({ answer: z.string() })).invoke('hi');
+    assert.deepEqual(structured, { answer: 'yes' });
+    assert.equal(failing.calls.length, 2);
+  });
+
+  test('passes call options on to the model that answers', async () => {
+    const backup = new ScriptedChatModel([{ content: 'ok' }]);
+    const seen = [];
+    const generate = backup._generate.bind(backup);
+    backup._generate = (messages, options, runManager) => {
+      seen.push(options);
+      return generate(messages, options, runManager);
+    };
+
+    await new FallbackChatModel([new ScriptedChatModel(), backup]).invoke('hi', { stop: ['\n\n'] });
+    assert.deepEqual(seen[0].stop, ['\n\n']);
+  });
+
+  test('keeps the agent answering when its primary model is down', async () => {
+    const backup = new ScriptedChatModel([{ content: 'Still here for you.' }]);
+    const agent = new MarriageCounselorAgent({
+      llm: new FallbackChatModel([new ScriptedChatModel(), backup]),
+      persistence: { backend: 'memory' }
+    });
+
+    const response = await agent.invoke({ mode: 'USER', content: 'hi' }, { configurable: { userId: 'alice', sessionId: 's1' } });
+    assert.equal(response.messages.at(-1).content, 'Still here for you.');
+  });
+});
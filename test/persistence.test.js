@@ -0,0 +1,187 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import { StateGraph, MessagesAnnotation, START, END } from "@langchain/langgraph";
+import { MemorySaver, InMemoryStore } from "@langchain/langgraph-checkpoint";
+
+import { MarriageCounselorAgent } from '../src/agent.js';
+import { createPersistence, FileCheckpointSaver, FileStore } from '../src/persistence.js';
+import { STORY_SIDES, saveStory, listStories } from '../src/stories.js';
+import { sessionThreadId } from '../src/state.js';
+import { ScriptedChatModel } from './helpers/scripted-chat-model.js';
+
+// Minimal graph that echoes the last message, so threads can be checkpointed without a model
+function createEchoGraph(checkpointer) {
+  return new StateGraph(MessagesAnnotation)
+    .addNode("echo", (state) => ({
+      messages: [{ role: "assistant", content: `echo: ${state.messages.at(-1).content}` }]
+    }))
+    .addEdge(START, "echo")
+    .addEdge("echo", END)
+    .compile({ checkpointer });
+}
+
+describe('createPersistence', () => {
+  test('defaults to in-memory backends', () => {
+    const { checkpointer, store } = createPersistence({ backend: 'memory' });
+    assert.ok(checkpointer instanceof MemorySaver);
+    assert.ok(store instanceof InMemoryStore);
+    assert.ok(!(checkpointer instanceof FileCheckpointSaver));
+  });
+
+  test('rejects unknown backends', () => {
+    assert.throws(() => createPersistence({ backend: 'carrier_pigeon' }), /Unknown persistence backend/);
+  });
+});
+
+describe('file persistence across agent restarts', () => {
+  let dataDir;
+  const persistence = () => ({ backend: 'file', dataDir });
+
+  beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'counselor-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test('uses file backends when configured', () => {
+    const agent = new MarriageCounselorAgent({ persistence: persistence() });
+    assert.ok(agent.checkpointer instanceof FileCheckpointSaver);
+    assert.ok(agent.store instanceof FileStore);
+  });
+
+  test('stories saved before a restart are read back afterwards', async () => {
+    const first = new MarriageCounselorAgent({ persistence: persistence() });
+    await saveStory(first.store, { userId: 'alice', side: STORY_SIDES.USER, content: 'He never does the dishes', sessionId: 's1' });
+    await saveStory(first.store, { userId: 'alice', side: STORY_SIDES.PARTNER, content: 'I work late on weekdays', sessionId: 's1' });
+
+    first.close();
+    const second = new MarriageCounselorAgent({ persistence: persistence() });
+    const stories = await second.listStories('alice');
+
+    assert.deepEqual(stories.map(story => [story.side, story.content]), [
+      [STORY_SIDES.USER, 'He never does the dishes'],
+      [STORY_SIDES.PARTNER, 'I work late on weekdays']
+    ]);
+  });
+
+  test('deleted stories stay deleted after a restart', async () => {
+    const first = new MarriageCounselorAgent({ persistence: persistence() });
+    const story = await saveStory(first.store, { userId: 'alice', side: STORY_SIDES.USER, content: 'Forgot our anniversary' });
+    await first.deleteStory('alice', STORY_SIDES.USER, story.id);
+
+    first.close();
+    const second = new MarriageCounselorAgent({ persistence: persistence() });
+    assert.deepEqual(await listStories(second.store, 'alice'), []);
+  });
+
+  test('conversation threads continue after a restart', async () => {
+    const config = { configurable: { thread_id: 'my_point_of_view_s1' } };
+
+    const first = new MarriageCounselorAgent({ persistence: persistence() });
+    await createEchoGraph(first.checkpointer).invoke({ messages: [{ role: "user", content: "hello" }] }, config);
+
+    first.close();
+    const second = new MarriageCounselorAgent({ persistence: persistence() });
+    const graph = createEchoGraph(second.checkpointer);
+    const restored = await graph.getState(config);
+    assert.deepEqual(restored.values.messages.map(message => message.content), ['hello', 'echo: hello']);
+
+    const continued = await graph.invoke({ messages: [{ role: "user", content: "again" }] }, config);
+    assert.deepEqual(continued.messages.map(message => message.content), ['hello', 'echo: hello', 'again', 'echo: again']);
+  });
+
+  test('keeps only the checkpoints that later requests and transcripts need', async () => {
+    const llm = new ScriptedChatModel();
+    const agent = new MarriageCounselorAgent({ llm, persistence: persistence() });
+    const config = { configurable: { userId: 'alice', sessionId: 's1' } };
+    for (const content of ['one', 'two', 'three']) {
+      llm.turns.push({ toolCalls: [{ name: 'save_user_story', args: { story: content } }] }, { content: `reply ${content}` });
+      await agent.invoke({ mode: 'USER', content }, config);
+    }
+
+    // Each earlier request keeps its first and final step; only the latest keeps every step and its subgraph's
+    const thread = agent.checkpointer.storage[sessionThreadId('alice', 's1')];
+    const namespaces = Object.keys(thread);
+    assert.equal(namespaces.length, 2);
+    assert.equal(Object.keys(thread['']).length, 2 * 2 + 5);
+
+    agent.close();
+    const restarted = new MarriageCounselorAgent({ llm, persistence: persistence() });
+    const transcript = await restarted.exportTranscript('s1', { userId: 'alice' });
+    const order = ['one', 'reply one', 'two', 'reply two', 'three', 'reply three'].map(text => transcript.indexOf(`\n${text}\n`));
+    assert.ok(order.every((index, i) => index > (order[i - 1] ?? 0)), transcript);
+  });
+
+  test('logs changes and folds them into the snapshot on load, and right away on delete', async () => {
+    const first = new MarriageCounselorAgent({ persistence: persistence() });
+    const story = await saveStory(first.store, { userId: 'alice', side: STORY_SIDES.USER, content: 'Forgot our anniversary' });
+    assert.deepEqual(fs.readdirSync(dataDir).sort(), ['.lock', 'store.json.log']);
+
+    first.close();
+    const second = new MarriageCounselorAgent({ persistence: persistence() });
+    assert.deepEqual(fs.readdirSync(dataDir).sort(), ['.lock', 'store.json']);
+
+    // Erased data leaves the disk without waiting for the next compaction
+    await second.deleteStory('alice', STORY_SIDES.USER, story.id);
+    assert.deepEqual(fs.readdirSync(dataDir).sort(), ['.lock', 'store.json']);
+    assert.doesNotMatch(fs.readFileSync(path.join(dataDir, 'store.json'), 'utf8'), /anniversary/);
+  });
+
+  test('erases a user with one snapshot rewrite per file', async () => {
+    const llm = new ScriptedChatModel([{ content: 'Noted.' }, { content: 'Noted again.' }]);
+    const agent = new MarriageCounselorAgent({ llm, persistence: persistence() });
+    for (const sessionId of ['s1', 's2']) {
+      await agent.invoke({ mode: 'USER', content: `Talking in ${sessionId}` }, { configurable: { userId: 'alice', sessionId } });
+    }
+    for (let i = 0; i < 5; i++) {
+      await saveStory(agent.store, { userId: 'alice', side: STORY_SIDES.USER, content: `Grievance ${i}` });
+    }
+
+    const compactions = { store: 0, checkpointer: 0 };
+    for (const name of Object.keys(compactions)) {
+      const compact = agent[name].compact.bind(agent[name]);
+      agent[name].compact = () => {
+        compactions[name]++;
+        compact();
+      };
+    }
+    const erased = await agent.eraseUserData('alice');
+    assert.deepEqual([erased.sessions, erased.threads, erased.stories], [2, 2, 5]);
+    assert.deepEqual(compactions, { store: 1, checkpointer: 1 });
+    assert.deepEqual(fs.readdirSync(dataDir).sort(), ['.lock', 'checkpoints.json', 'store.json']);
+    assert.doesNotMatch(fs.readFileSync(path.join(dataDir, 'store.json'), 'utf8'), /Grievance/);
+    assert.doesNotMatch(fs.readFileSync(path.join(dataDir, 'checkpoints.json'), 'utf8'), /Talking/);
+  });
+
+  test('refuses to open a data directory twice in one process until it is closed', () => {
+    const first = createPersistence(persistence());
+    assert.throws(() => createPersistence(persistence()), /already open in this process/);
+
+    first.close();
+    assert.equal(fs.existsSync(path.join(dataDir, '.lock')), false);
+    createPersistence(persistence()).close();
+  });
+
+  test('refuses a data directory another process is using', () => {
+    const lock = path.join(dataDir, '.lock');
+    fs.writeFileSync(lock, String(process.ppid));
+    assert.throws(() => createPersistence(persistence()), new RegExp(`in use by another process \\(pid ${process.ppid}\\)`));
+
+    // A lock left by a process that is gone is taken over
+    const { pid } = spawnSync(process.execPath, ['-e', '']);
+    fs.writeFileSync(lock, String(pid));
+    const { close } = createPersistence(persistence());
+    assert.equal(fs.readFileSync(lock, 'utf8'), String(process.pid));
+    close();
+
+    // So is one with this process's pid that this process doesn't hold (a restarted container)
+    fs.writeFileSync(lock, String(process.pid));
+    createPersistence(persistence()).close();
+  });
+});
@@ -0,0 +1,100 @@
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { MarriageCounselorAgent } from '../src/agent.js';
+import { COMMITMENT_OWNERS, recordCommitment } from '../src/commitments.js';
+import { recordSafetyEvent } from '../src/safety.js';
+import { sessionThreadId } from '../src/state.js';
+import { MODES } from '../src/modes.js';
+import { ScriptedChatModel } from './helpers/scripted-chat-model.js';
+
+const config = (userId, sessionId) => ({ configurable: { userId, sessionId } });
+
+describe('privacy export and erase', () => {
+  let llm, agent;
+
+  beforeEach(async () => {
+    llm = new ScriptedChatModel();
+    agent = new MarriageCounselorAgent({ llm, persistence: { backend: 'memory' } });
+
+    llm.turns.push(
+      { toolCalls: [{ name: 'save_user_story', args: { story: 'Dishes pile up' } }] },
+      { content: 'That is frustrating.' },
+      { content: 'Talk to her.' },
+      { content: 'Bob reply' }
+    );
+    await agent.invoke({ mode: 'USER', content: 'The dishes' }, config('alice', 'a1'));
+    await agent.invoke({ mode: 'SOLOMON', content: 'Advice?' }, config('alice', 'a2'));
+    await agent.invoke({ mode: 'USER', content: 'Hello' }, config('bob', 'b1'));
+    await agent.invoke({ mode: 'USER', content: 'I want to end my life' }, config('alice', 'a2'));
+
+    await recordCommitment(agent.store, { userId: 'alice', owner: COMMITMENT_OWNERS.USER, action: 'Do the dishes', sessionId: 'a2' });
+    // A story saved by the very first version under the flat legacy key
+    await agent.store.put(["stories"], 'alice_wife', { content: 'Old role-play' });
+
+    const { caseId } = await agent.createCase('alice');
+    await agent.joinCase(caseId, 'bob');
+  });
+
+  test('exports stories, threads, commitments and cases for one user', async () => {
+    const data = await agent.exportUserData('alice');
+
+    assert.deepEqual(data.sessions.map(session => session.sessionId).sort(), ['a1', 'a2']);
+    assert.deepEqual(data.stories.map(story => story.content).sort(), ['Dishes pile up', 'Old role-play']);
+    assert.deepEqual(data.commitments.map(commitment => commitment.action), ['Do the dishes']);
+    assert.equal(data.safetyEvents.length, 1);
+    assert.equal(data.cases.length, 1);
+
+    const thread = data.threads.find(entry => entry.threadId === sessionThreadId('alice', 'a1'));
+    assert.deepEqual(thread.modeMessages.my_point_of_view.map(message => message.role), ['human', 'ai', 'tool', 'ai']);
+    assert.equal(thread.messages.at(-1).content, 'That is frustrating.');
+
+    // Nothing of Bob's leaks into Alice's export
+    assert.ok(!JSON.stringify(data).includes('Bob reply'));
+  });
+
+  test('erases the user from the store and the checkpointer, leaving others alone', async () => {
+    const erased = await agent.eraseUserData('alice');
+    assert.deepEqual(erased, { sessions: 2, threads: 2, stories: 2, commitments: 1, safetyEvents: 1, cases: 1 });
+
+    const data = await agent.exportUserData('alice');
+    assert.deepEqual(
+      [data.sessions, data.threads, data.stories, data.commitments, data.safetyEvents, data.cases].map(list => list.length),
+      [0, 0, 0, 0, 0, 0]
+    );
+    assert.equal(await agent.checkpointer.getTuple({ configurable: { thread_id: sessionThreadId('alice', 'a1'), checkpoint_ns: "" } }), undefined);
+
+    const bob = await agent.exportUserData('bob');
+    assert.equal(bob.threads.length, 1);
+    assert.deepEqual(bob.cases[0].participants.map(participant => participant.userId), ['bob']);
+  });
+
+  test('two users on the same session id never see or erase each other\'s conversation', async () => {
+    llm.turns.push({ content: 'Alice reply' }, { content: 'Bob reply' });
+    // Neither passes a sessionId, so both land on the default session
+    await agent.invoke({ mode: 'USER', content: 'Alice secret' }, { configurable: { userId: 'alice' } });
+    await agent.invoke({ mode: 'USER', content: 'Bob secret' }, { configurable: { userId: 'bob' } });
+
+    const bobHistory = await agent.getHistory('default_session', MODES.USER, { userId: 'bob' });
+    assert.deepEqual(bobHistory.map(message => message.content), ['Bob secret', 'Bob reply']);
+    assert.ok(!JSON.stringify(await agent.exportUserData('bob')).includes('Alice secret'));
+
+    await agent.eraseUserData('bob');
+    const alice = await agent.exportUserData('alice');
+    const thread = alice.threads.find(entry => entry.sessionId === 'default_session');
+    assert.deepEqual(thread.messages.map(message => message.content), ['Alice secret', 'Alice reply']);
+  });
+
+  test('erases every record, not just the first page of each list', async () => {
+    for (let i = 0; i < 1010; i++) {
+      await recordCommitment(agent.store, { userId: 'alice', owner: COMMITMENT_OWNERS.BOTH, action: `Step ${i}`, sessionId: 'a2' });
+      await recordSafetyEvent(agent.store, { userId: 'alice', sessionId: 'a2', mode: 'USER', categories: ['self_harm'], source: 'rules' });
+    }
+
+    const erased = await agent.eraseUserData('alice');
+    assert.deepEqual([erased.commitments, erased.safetyEvents], [1011, 1011]);
+
+    const data = await agent.exportUserData('alice');
+    assert.deepEqual([data.commitments.length, data.safetyEvents.length], [0, 0]);
+  });
+});
@@ -0,0 +1,81 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { SAFETY_CATEGORIES, classifyMessage, createSafetyClassifier, buildSafetyResponse } from '../src/safety.js';
+import { ScriptedChatModel } from './helpers/scripted-chat-model.js';
+
+describe('safety guardrail', () => {
+  test('flags disclosures of self-harm, violence and coercive control', () => {
+    assert.deepEqual(classifyMessage("Sometimes I think they'd be better off without me").categories, [SAFETY_CATEGORIES.SELF_HARM]);
+    assert.deepEqual(classifyMessage('He hit me last night when I asked about money').categories, [SAFETY_CATEGORIES.VIOLENCE]);
+    assert.deepEqual(classifyMessage("She won't let me see my friends and checks my phone").categories, [SAFETY_CATEGORIES.COERCIVE_CONTROL]);
+    assert.deepEqual(classifyMessage('He shoved me into the wall').categories, [SAFETY_CATEGORIES.VIOLENCE]);
+    assert.deepEqual(classifyMessage('She beat me and kicked me out of the house').categories, [SAFETY_CATEGORIES.VIOLENCE]);
+    for (const text of ["He never lets me have my own money", "I'm not allowed to talk to my sister", "She won't let me leave the house"]) {
+      assert.deepEqual(classifyMessage(text).categories, [SAFETY_CATEGORIES.COERCIVE_CONTROL], text);
+    }
+    for (const text of [
+      'He beat me up again',
+      'He hit me over the head with a bottle',
+      'she pushed me over',
+      'he slapped me around',
+      'he kicked me out of the house in the middle of the night',
+      'He hurt me last night',
+      'She raped me',
+      'he forced me to have sex',
+      'she threw a plate at me',
+      "He said he'd kill me",
+      'he threatened me with a knife',
+      'he grabbed me by the throat'
+    ]) {
+      assert.deepEqual(classifyMessage(text).categories, [SAFETY_CATEGORIES.VIOLENCE], text);
+    }
+    for (const text of ['I want to die', 'ending my life']) {
+      assert.deepEqual(classifyMessage(text).categories, [SAFETY_CATEGORIES.SELF_HARM], text);
+    }
+    assert.deepEqual(
+      classifyMessage('He threatened to kill me and I am thinking about suicide').categories.sort(),
+      [SAFETY_CATEGORIES.SELF_HARM, SAFETY_CATEGORIES.VIOLENCE].sort()
+    );
+  });
+
+  test('does not flag ordinary arguments or figures of speech', () => {
+    for (const text of [
+      'She never does the dishes',
+      'I could kill him for forgetting our anniversary',
+      'He hit the nail on the head about my mother',
+      'We argue about money every week',
+      'He said he would hit me up after work',
+      'My husband never lets me have the last word',
+      'he never lets me talk when we argue',
+      "She won't let me see the bill before she pays it"
+    ]) {
+      assert.equal(classifyMessage(text).flagged, false, text);
+    }
+  });
+
+  test('responds with resources for each category', () => {
+    const response = buildSafetyResponse([SAFETY_CATEGORIES.SELF_HARM, SAFETY_CATEGORIES.VIOLENCE]);
+    assert.match(response, /988/);
+    assert.match(response, /1-800-799-7233/);
+    assert.match(response, /911/);
+  });
+
+  test('the optional model check catches what the rules miss and falls back on failure', async () => {
+    const llm = new ScriptedChatModel([
+      { toolCalls: [{ name: 'safety_check', args: { flagged: true, categories: ['domestic_violence'] } }] },
+      { content: 'not a tool call' }
+    ]);
+    const classify = createSafetyClassifier({ llm, modelCheck: true });
+
+    assert.deepEqual(await classify('I hide in the bathroom when he drinks'), {
+      flagged: true,
+      categories: [SAFETY_CATEGORIES.VIOLENCE],
+      source: 'model'
+    });
+    assert.equal((await classify('We disagree about holidays')).flagged, false);
+
+    // Rule hits never need the model
+    assert.equal((await classify('I want to end my life')).source, 'rules');
+  });
+});
@@ -0,0 +1,133 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { InMemoryStore } from "@langchain/langgraph-checkpoint";
+
+import { MarriageCounselorAgent } from '../src/agent.js';
+import { HistoryIndex, TfidfEmbedder, searchStories, tokenize } from '../src/search.js';
+import { STORY_SIDES, saveStory, deleteStory } from '../src/stories.js';
+import { createCase, joinCase } from '../src/cases.js';
+import { ScriptedChatModel } from './helpers/scripted-chat-model.js';
+
+const config = (overrides = {}) => ({
+  configurable: { userId: 'alice', sessionId: 's1', ...overrides }
+});
+
+// Records which documents get embedded; the vectors only mark whether money is mentioned
+class CountingEmbedder {
+  constructor() {
+    this.embedded = [];
+  }
+
+  async embedDocuments(texts) {
+    this.embedded.push(...texts);
+    return texts.map(text => [text.includes('money') ? 1 : 0, 1]);
+  }
+
+  async embedQuery(text) {
+    return [text.includes('money') ? 1 : 0, 0.1];
+  }
+}
+
+describe('history search', () => {
+  test('TF-IDF ranks the story about the topic first', async () => {
+    const store = new InMemoryStore();
+    await saveStory(store, { userId: 'alice', side: STORY_SIDES.USER, content: 'He never does the dishes after dinner', sessionId: 's1' });
+    await saveStory(store, { userId: 'alice', side: STORY_SIDES.USER, content: 'We argued about money again - he spent our savings on a car', sessionId: 's2' });
+    await saveStory(store, { userId: 'alice', side: STORY_SIDES.PARTNER, content: 'The car was a bargain and we needed it', sessionId: 's3' });
+    await saveStory(store, { userId: 'alice_2', side: STORY_SIDES.USER, content: 'Money is tight', sessionId: 's9' });
+
+    const index = new HistoryIndex(new TfidfEmbedder());
+    const results = await searchStories(store, index, { userId: 'alice', query: 'arguing about money' });
+    assert.equal(results[0].content, 'We argued about money again - he spent our savings on a car');
+    assert.equal(results.length, 1);
+
+    const car = await searchStories(store, index, { userId: 'alice', query: 'the car' });
+    assert.deepEqual(car.map(entry => entry.source), ['simulatedPartner', 'user']);
+
+    const ownOnly = await searchStories(store, index, { userId: 'alice', query: 'the car', includePartner: false });
+    assert.deepEqual(ownOnly.map(entry => entry.source), ['user']);
+
+    assert.deepEqual(tokenize("We're arguing about the kids' schedules"), ["we're", 'argu', 'kid', 'schedul']);
+  });
+
+  test('pluggable embedders are only asked to embed new or changed stories', async () => {
+    const store = new InMemoryStore();
+    await saveStory(store, { userId: 'alice', side: STORY_SIDES.USER, content: 'Arguing about money', sessionId: 's1' });
+    await saveStory(store, { userId: 'alice', side: STORY_SIDES.USER, content: 'Chores', sessionId: 's1' });
+
+    const embedder = new CountingEmbedder();
+    const index = new HistoryIndex(embedder);
+    await searchStories(store, index, { userId: 'alice', query: 'money' });
+    await saveStory(store, { userId: 'alice', side: STORY_SIDES.USER, content: 'Holidays', sessionId: 's2' });
+    const results = await searchStories(store, index, { userId: 'alice', query: 'money', limit: 1 });
+
+    assert.deepEqual(embedder.embedded, ['Arguing about money', 'Chores', 'Holidays']);
+    assert.deepEqual(results.map(entry => entry.content), ['Arguing about money']);
+  });
+
+  test('drops cached vectors of stories that are gone', async () => {
+    const store = new InMemoryStore();
+    const kept = await saveStory(store, { userId: 'alice', side: STORY_SIDES.USER, content: 'Arguing about money' });
+    const removed = await saveStory(store, { userId: 'alice', side: STORY_SIDES.USER, content: 'Chores' });
+
+    const index = new HistoryIndex(new CountingEmbedder());
+    await searchStories(store, index, { userId: 'alice', query: 'money' });
+    await deleteStory(store, 'alice', STORY_SIDES.USER, removed.id);
+    await searchStories(store, index, { userId: 'alice', query: 'money' });
+
+    assert.deepEqual([...index.vectors.get('alice').keys()], [kept.id]);
+  });
+
+  test('deleting or erasing clears the stories from a case partner\'s cache too', async () => {
+    const agent = new MarriageCounselorAgent({ embeddings: new CountingEmbedder(), persistence: { backend: 'memory' } });
+    const { caseId } = await createCase(agent.store, 'alice');
+    await joinCase(agent.store, caseId, 'bob');
+    const alices = await saveStory(agent.store, { userId: 'alice', side: STORY_SIDES.USER, content: 'He spends money without asking', caseId });
+    const bobs = await saveStory(agent.store, { userId: 'bob', side: STORY_SIDES.USER, content: 'She hides her money', caseId });
+    await searchStories(agent.store, agent.historyIndex, { userId: 'bob', caseId, query: 'money' });
+    const cached = () => [...agent.historyIndex.vectors.get('bob').keys()].sort();
+    assert.deepEqual(cached(), [alices.id, bobs.id].sort());
+
+    await agent.deleteStory('bob', STORY_SIDES.USER, bobs.id);
+    assert.deepEqual(cached(), [alices.id]);
+
+    await agent.eraseUserData('alice');
+    assert.deepEqual(cached(), []);
+  });
+
+  test('Solomon finds what both partners said in a shared case, with dates', async () => {
+    const llm = new ScriptedChatModel([
+      { toolCalls: [{ name: 'search_history', args: { query: 'money' } }] },
+      { content: 'You both worry about money.' }
+    ]);
+    const agent = new MarriageCounselorAgent({ llm, profile: { partner: { name: 'Bob' } }, persistence: { backend: 'memory' } });
+    const { caseId } = await createCase(agent.store, 'alice');
+    await joinCase(agent.store, caseId, 'bob');
+    await saveStory(agent.store, { userId: 'alice', side: STORY_SIDES.USER, content: 'Bob spends money without asking', caseId });
+    await saveStory(agent.store, { userId: 'bob', side: STORY_SIDES.USER, content: 'Alice hides how much money she earns', caseId });
+    await saveStory(agent.store, { userId: 'bob', side: STORY_SIDES.USER, content: 'Money is private to me', sessionId: 'private' });
+
+    const response = await agent.invoke({ mode: 'SOLOMON', content: 'Remember the money fight?' }, config({ caseId }));
+
+    const found = response.messages.findLast(message => message.getType() === 'tool' && message.name === 'search_history');
+    const today = new Date().toISOString().slice(0, 10);
+    assert.match(found.content, new RegExp(`\\[${today}\\] User: Bob spends money without asking`));
+    assert.match(found.content, /Bob \(own words\): Alice hides how much money she earns/);
+    assert.doesNotMatch(found.content, /private to me/);
+    assert.match(llm.calls[0][0].content, /call search_history/);
+  });
+
+  test('the user mode only searches the user\'s own stories', async () => {
+    const llm = new ScriptedChatModel([
+      { toolCalls: [{ name: 'search_history', args: { query: 'holidays' } }] },
+      { content: 'I remember.' }
+    ]);
+    const agent = new MarriageCounselorAgent({ llm, persistence: { backend: 'memory' } });
+    await saveStory(agent.store, { userId: 'alice', side: STORY_SIDES.PARTNER, content: 'The holidays at my mother\'s are tradition' });
+
+    const response = await agent.invoke({ mode: 'USER', content: 'Like the holidays last year' }, config());
+
+    const found = response.messages.findLast(message => message.getType() === 'tool' && message.name === 'search_history');
+    assert.equal(found.content, 'Nothing in the saved history matches "holidays"');
+  });
+});
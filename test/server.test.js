@@ -0,0 +1,275 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { MarriageCounselorAgent } from '../src/agent.js';
+import { createServer } from '../src/server.js';
+import { STORY_SIDES, saveStory } from '../src/stories.js';
+import { ScriptedChatModel } from './helpers/scripted-chat-model.js';
+
+// Parses a Server-Sent Events body into [{ event, data }]
+function parseEvents(text) {
+  return text.trim().split('\n\n').map(block => {
+    const [eventLine, dataLine] = block.split('\n');
+    return { event: eventLine.slice('event: '.length), data: JSON.parse(dataLine.slice('data: '.length)) };
+  });
+}
+
+describe('HTTP API', () => {
+  let llm, agent, server, baseUrl;
+
+  const request = (path, options = {}) => fetch(`${baseUrl}${path}`, {
+    ...options,
+    headers: { 'Content-Type': 'application/json', ...options.headers },
+    body: options.body && JSON.stringify(options.body)
+  });
+
+  beforeEach(async () => {
+    llm = new ScriptedChatModel();
+    agent = new MarriageCounselorAgent({ llm, persistence: { backend: 'memory' } });
+    server = createServer(agent);
+    await new Promise(resolve => server.listen(0, resolve));
+    baseUrl = `http://localhost:${server.address().port}`;
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test('lists modes from getModes()', async () => {
+    const res = await request('/modes');
+    assert.equal(res.status, 200);
+    assert.deepEqual((await res.json()).modes, agent.getModes());
+  });
+
+  test('creates and lists sessions per user', async () => {
+    const created = await (await request('/sessions', { method: 'POST', body: { userId: 'alice' } })).json();
+    assert.equal(created.userId, 'alice');
+
+    const { sessions } = await (await request('/sessions?userId=alice')).json();
+    assert.deepEqual(sessions.map(session => session.sessionId), [created.sessionId]);
+  });
+
+  test('posts a message, saves the story and returns thread history', async () => {
+    llm.turns.push(
+      { toolCalls: [{ name: 'save_user_story', args: { story: 'She forgot my birthday' } }] },
+      { content: 'That sounds really hurtful.' }
+    );
+
+    const res = await request('/sessions/s1/messages', {
+      method: 'POST',
+      body: { userId: 'alice', mode: 'USER', content: 'She forgot my birthday again' }
+    });
+    const body = await res.json();
+    assert.equal(res.status, 200);
+    assert.equal(body.mode, 'my_point_of_view');
+    assert.deepEqual(body.message, { role: 'ai', content: 'That sounds really hurtful.' });
+
+    const history = await (await request('/sessions/s1/history?mode=USER&userId=alice')).json();
+    assert.deepEqual(history.messages.map(message => message.role), ['human', 'ai', 'tool', 'ai']);
+    assert.equal(history.messages[0].content, 'She forgot my birthday again');
+
+    // Other modes keep their own threads
+    const solomonHistory = await (await request('/sessions/s1/history?mode=SOLOMON&userId=alice')).json();
+    assert.deepEqual(solomonHistory.messages, []);
+
+    const { stories } = await (await request('/stories?userId=alice')).json();
+    assert.deepEqual(stories.map(story => [story.side, story.content]), [[STORY_SIDES.USER, 'She forgot my birthday']]);
+  });
+
+  test('streams replies as Server-Sent Events', async () => {
+    llm.turns.push(
+      { toolCalls: [{ name: 'get_both_stories' }] },
+      { content: 'You both need rest.' }
+    );
+
+    const res = await request('/sessions/s1/messages', {
+      method: 'POST',
+      headers: { Accept: 'text/event-stream' },
+      body: { userId: 'alice', mode: 'SOLOMON', content: 'Judge us' }
+    });
+    assert.equal(res.headers.get('content-type'), 'text/event-stream');
+
+    const events = parseEvents(await res.text());
+    assert.deepEqual(events.map(event => event.event), ['tool_start', 'tool_end', 'token', 'token', 'token', 'token', 'final']);
+    assert.equal(events.filter(event => event.event === 'token').map(event => event.data.content).join(''), 'You both need rest.');
+    assert.match(events[1].data.output, /BOTH PERSPECTIVES/);
+    assert.deepEqual(events.at(-1).data.message, { role: 'ai', content: 'You both need rest.' });
+  });
+
+  test('sends the structured verdict with the final event', async () => {
+    const verdict = {
+      summary: { user: 'Tired', partner: 'Tired too' },
+      underlyingIssues: ['Exhaustion'],
+      recommendations: { user: ['Sleep'], partner: ['Sleep'] },
+      fairness: { assessment: 'Even', userShare: 50 },
+      followUpQuestions: []
+    };
+    llm.turns.push({ content: 'Rest.' }, { toolCalls: [{ name: 'solomon_verdict', args: verdict }] });
+
+    const res = await request('/sessions/s1/messages', {
+      method: 'POST',
+      body: { userId: 'alice', mode: 'SOLOMON', content: 'Judge us', stream: true, structuredVerdict: true }
+    });
+
+    const final = parseEvents(await res.text()).at(-1);
+    assert.equal(final.event, 'final');
+    assert.equal(final.data.content, 'Rest.');
+    assert.deepEqual(final.data.verdict, verdict);
+  });
+
+  test('alternates speakers in a joint session and reports the next one', async () => {
+    llm.turns.push({ content: 'Sam, what did you hear?' });
+    const res = await request('/sessions/s1/messages', { method: 'POST', body: { userId: 'alice', mode: 'MEDIATOR', content: 'I feel unheard' } });
+    assert.equal((await res.json()).nextSpeaker, 'partner');
+
+    const invalid = await request('/sessions/s1/messages', { method: 'POST', body: { userId: 'alice', mode: 'MEDIATOR', content: 'Hi', speaker: 'mum' } });
+    assert.equal(invalid.status, 400);
+  });
+
+  test('serves session transcripts as Markdown or HTML', async () => {
+    llm.turns.push({ content: 'I hear you.' });
+    await request('/sessions/s1/messages', { method: 'POST', body: { userId: 'alice', mode: 'USER', content: 'Late again' } });
+
+    const markdown = await request('/sessions/s1/transcript?userId=alice');
+    assert.match(markdown.headers.get('content-type'), /^text\/markdown/);
+    assert.match(await markdown.text(), /Late again[\s\S]*I hear you\./);
+
+    const html = await request('/sessions/s1/transcript?format=html&userId=alice');
+    assert.match(html.headers.get('content-type'), /^text\/html/);
+    assert.match(await html.text(), /<p class="text">I hear you\.<\/p>/);
+
+    assert.equal((await request('/sessions/s1/transcript?format=pdf&userId=alice')).status, 400);
+  });
+
+  test('keeps one user out of another user\'s session', async () => {
+    llm.turns.push({ content: 'I hear you.' }, { content: 'Hello Bob.' });
+    await request('/sessions/s1/messages', { method: 'POST', body: { userId: 'alice', mode: 'USER', content: 'Late again' } });
+
+    for (const path of ['/sessions/s1/history?userId=bob&mode=USER', '/sessions/s1/transcript?userId=bob', '/sessions/s1/history?mode=USER']) {
+      const res = await request(path);
+      assert.equal(res.status, 404, path);
+      assert.deepEqual(await res.json(), { error: 'Session not found: s1' });
+    }
+    const post = await request('/sessions/s1/messages', { method: 'POST', body: { userId: 'bob', mode: 'USER', content: 'Let me in' } });
+    assert.equal(post.status, 404);
+
+    // Bob can start a session of his own, which Alice can't read either
+    assert.equal((await request('/sessions/b1/messages', { method: 'POST', body: { userId: 'bob', mode: 'USER', content: 'Hi' } })).status, 200);
+    assert.equal((await request('/sessions/b1/history?userId=alice')).status, 404);
+    assert.equal(llm.calls.length, 2);
+  });
+
+  test('exports and erases a user', async () => {
+    await saveStory(agent.store, { userId: 'alice', side: STORY_SIDES.USER, content: 'Late again' });
+
+    const exported = await (await request('/users/alice/export')).json();
+    assert.deepEqual(exported.stories.map(story => story.content), ['Late again']);
+
+    const res = await request('/users/alice', { method: 'DELETE' });
+    assert.equal((await res.json()).erased.stories, 1);
+    assert.deepEqual(await agent.listStories('alice'), []);
+  });
+
+  test('imports a chat log into both sides\' stories', async () => {
+    const res = await request('/stories/import', {
+      method: 'POST',
+      body: { userId: 'alice', content: 'Alice: You forgot again\nSam: I was at work', userName: 'Alice' }
+    });
+    assert.equal(res.status, 201);
+    assert.deepEqual((await res.json()).saved, { user: 1, partner: 1 });
+    assert.deepEqual((await agent.listStories('alice', STORY_SIDES.PARTNER)).map(story => story.content), ['I was at work']);
+
+    const unattributed = await request('/stories/import', { method: 'POST', body: { userId: 'alice', content: 'Alice: Hi\nSam: Hey' } });
+    assert.equal(unattributed.status, 400);
+    assert.match((await unattributed.json()).error, /Senders found: Alice, Sam/);
+
+    // A failure while saving is ours, not a problem with the log
+    agent.store.put = async () => { throw new Error('disk full'); };
+    const failed = await request('/stories/import', { method: 'POST', body: { userId: 'alice', content: 'Alice: Hi\nSam: Hey', userName: 'Alice' } });
+    assert.equal(failed.status, 500);
+    assert.deepEqual(await failed.json(), { error: 'disk full' });
+  });
+
+  test('reports conflict patterns', async () => {
+    await saveStory(agent.store, { userId: 'alice', side: STORY_SIDES.USER, content: 'We fight about money', sessionId: 's1' });
+    await saveStory(agent.store, { userId: 'alice', side: STORY_SIDES.USER, content: 'Money again', sessionId: 's2' });
+
+    const report = await (await request('/analytics?userId=alice&period=week')).json();
+    assert.equal(report.period, 'week');
+    assert.deepEqual(report.topics.map(topic => [topic.topic, topic.recurring]), [['money', true]]);
+
+    const invalid = await request('/analytics?userId=alice&period=decade');
+    assert.equal(invalid.status, 400);
+  });
+
+  test('deletes stored stories', async () => {
+    const story = await saveStory(agent.store, { userId: 'alice', side: STORY_SIDES.USER, content: 'Regret this' });
+
+    const res = await request(`/stories/user/${story.id}?userId=alice`, { method: 'DELETE' });
+    assert.equal(res.status, 200);
+
+    const missing = await request(`/stories/user/${story.id}?userId=alice`, { method: 'DELETE' });
+    assert.equal(missing.status, 404);
+
+    // Nor can another user reach the original flat `${userId}_${side}` key
+    await agent.store.put(["stories"], 'alice_user', { content: 'The original story' });
+    const foreign = await request('/stories/user/alice_user?userId=bob', { method: 'DELETE' });
+    assert.equal(foreign.status, 404);
+    assert.deepEqual((await agent.listStories('alice')).map(entry => entry.content), ['The original story']);
+  });
+
+  test('lists counselling frameworks and applies the chosen one', async () => {
+    const { frameworks } = await (await request('/frameworks')).json();
+    assert.deepEqual(frameworks.map(framework => framework.id), ['gottman', 'nvc', 'eft']);
+
+    llm.turns.push({ content: 'What do you each need?' });
+    const res = await request('/sessions/s1/messages', { method: 'POST', body: { userId: 'alice', mode: 'SOLOMON', content: 'Judge us', framework: 'nvc' } });
+    assert.equal(res.status, 200);
+    assert.match(llm.calls[0][0].content, /Nonviolent Communication/);
+
+    const invalid = await request('/sessions/s1/messages', { method: 'POST', body: { userId: 'alice', mode: 'SOLOMON', content: 'Hi', framework: 'freud' } });
+    assert.equal(invalid.status, 400);
+    assert.match((await invalid.json()).error, /Unknown framework: freud/);
+  });
+
+  test('creates and joins shared cases', async () => {
+    const created = await request('/cases', { method: 'POST', body: { userId: 'alice' } });
+    assert.equal(created.status, 201);
+    const { caseId } = await created.json();
+
+    const joined = await request(`/cases/${caseId}/join`, { method: 'POST', body: { userId: 'bob' } });
+    assert.equal(joined.status, 200);
+    assert.deepEqual((await joined.json()).participants.map(participant => participant.userId), ['alice', 'bob']);
+
+    const full = await request(`/cases/${caseId}/join`, { method: 'POST', body: { userId: 'carol' } });
+    assert.equal(full.status, 409);
+    assert.equal((await request('/cases/nope/join', { method: 'POST', body: { userId: 'bob' } })).status, 404);
+  });
+
+  test('reports unknown cases as 404 and outsiders as 403', async () => {
+    const { caseId } = await agent.createCase('alice');
+
+    const unknown = await request('/analytics?userId=alice&caseId=nope');
+    assert.equal(unknown.status, 404);
+    assert.match((await unknown.json()).error, /Case not found: nope/);
+
+    const outsider = await request(`/analytics?userId=mallory&caseId=${caseId}`);
+    assert.equal(outsider.status, 403);
+    assert.match((await outsider.json()).error, /not a participant/);
+
+    const imported = await request('/stories/import', { method: 'POST', body: { userId: 'mallory', content: 'Alice: Hi\nSam: Hey', userName: 'Alice', caseId } });
+    assert.equal(imported.status, 403);
+  });
+
+  test('rejects bad input with JSON errors', async () => {
+    const badMode = await request('/sessions/s1/messages', { method: 'POST', body: { mode: 'SPOUSE', content: 'hi' } });
+    assert.equal(badMode.status, 400);
+    assert.match((await badMode.json()).error, /Unknown mode: SPOUSE/);
+
+    const noContent = await request('/sessions/s1/messages', { method: 'POST', body: { mode: 'USER' } });
+    assert.equal(noContent.status, 400);
+
+    const unknown = await request('/nowhere');
+    assert.equal(unknown.status, 404);
+  });
+});
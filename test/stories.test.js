@@ -0,0 +1,113 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { InMemoryStore } from "@langchain/langgraph-checkpoint";
+
+import { createCoupleProfile } from '../src/profile.js';
+import { STORY_SIDES, saveStory, listStories, updateStory, deleteStory, formatBothStories } from '../src/stories.js';
+
+describe('story history', () => {
+  test('keeps every save as a separate entry', async () => {
+    const store = new InMemoryStore();
+    await saveStory(store, { userId: 'alice', side: STORY_SIDES.USER, content: 'first', sessionId: 's1', mode: 'my_point_of_view' });
+    await saveStory(store, { userId: 'alice', side: STORY_SIDES.USER, content: 'second', sessionId: 's2', mode: 'my_point_of_view' });
+
+    const stories = await listStories(store, 'alice', STORY_SIDES.USER);
+    assert.deepEqual(stories.map(story => [story.content, story.sessionId]), [['first', 's1'], ['second', 's2']]);
+  });
+
+  test('does not leak stories between users with similar ids', async () => {
+    const store = new InMemoryStore();
+    await saveStory(store, { userId: 'user_1', side: STORY_SIDES.USER, content: 'mine' });
+    await saveStory(store, { userId: 'user_10', side: STORY_SIDES.USER, content: 'not mine' });
+
+    const stories = await listStories(store, 'user_1');
+    assert.deepEqual(stories.map(story => story.content), ['mine']);
+  });
+
+  test('lists the whole history, however long', async () => {
+    const store = new InMemoryStore();
+    for (let i = 0; i < 1050; i++) {
+      await store.put(["stories", 'alice', STORY_SIDES.USER], `story_${i}`, { content: `story ${i}`, createdAt: new Date(i).toISOString() });
+    }
+
+    const stories = await listStories(store, 'alice');
+    assert.equal(stories.length, 1050);
+    assert.equal(stories.at(-1).content, 'story 1049');
+  });
+
+  test('edits and deletes individual entries', async () => {
+    const store = new InMemoryStore();
+    const kept = await saveStory(store, { userId: 'alice', side: STORY_SIDES.PARTNER, content: 'draft' });
+    const removed = await saveStory(store, { userId: 'alice', side: STORY_SIDES.PARTNER, content: 'mistake' });
+
+    await updateStory(store, 'alice', STORY_SIDES.PARTNER, kept.id, 'final');
+    assert.equal(await deleteStory(store, 'alice', STORY_SIDES.PARTNER, removed.id), true);
+    assert.equal(await deleteStory(store, 'alice', STORY_SIDES.PARTNER, removed.id), false);
+
+    const stories = await listStories(store, 'alice', STORY_SIDES.PARTNER);
+    assert.deepEqual(stories.map(story => story.content), ['final']);
+  });
+});
+
+describe('legacy wife data', () => {
+  test('reads stories saved under the old "wife" side as partner stories', async () => {
+    const store = new InMemoryStore();
+    await store.put(["stories", "alice", "wife"], 'old', { content: 'I said it first', createdAt: '2025-01-01T00:00:00.000Z' });
+    await saveStory(store, { userId: 'alice', side: STORY_SIDES.PARTNER, content: 'And again' });
+
+    const stories = await listStories(store, 'alice', STORY_SIDES.PARTNER);
+    assert.deepEqual(stories.map(story => [story.side, story.content]), [
+      [STORY_SIDES.PARTNER, 'I said it first'],
+      [STORY_SIDES.PARTNER, 'And again']
+    ]);
+  });
+
+  test('reads and deletes the original single-story `${userId}_wife` key', async () => {
+    const store = new InMemoryStore();
+    await store.put(["stories"], 'alice_wife', { content: 'The original story' });
+
+    const [story] = await listStories(store, 'alice', STORY_SIDES.PARTNER);
+    assert.equal(story.content, 'The original story');
+
+    assert.equal(await deleteStory(store, 'alice', STORY_SIDES.PARTNER, story.id), true);
+    assert.deepEqual(await listStories(store, 'alice'), []);
+  });
+
+  test('never lets one user edit or delete another user\'s legacy story', async () => {
+    const store = new InMemoryStore();
+    await store.put(["stories"], 'alice_user', { content: "Alice's original story" });
+    const current = await saveStory(store, { userId: 'alice', side: STORY_SIDES.USER, content: 'Alice today' });
+
+    for (const id of ['alice_user', current.id]) {
+      await assert.rejects(updateStory(store, 'bob', STORY_SIDES.USER, id, 'Overwritten'), /No user story found/);
+      assert.equal(await deleteStory(store, 'bob', STORY_SIDES.USER, id), false);
+    }
+    assert.deepEqual((await listStories(store, 'alice')).map(story => story.content).sort(), ['Alice today', "Alice's original story"]);
+  });
+});
+
+describe('formatBothStories', () => {
+  test('labels the partner from the couple profile', () => {
+    const profile = createCoupleProfile({ partner: { name: 'Sam', role: 'husband', pronouns: 'he/him' } });
+    const result = formatBothStories({ simulatedPartner: [{ createdAt: '2025-01-01T00:00:00.000Z', content: 'I was tired' }] }, profile);
+
+    assert.match(result, /👨 \*\*Sam's Perspective \(SIMULATED by role-play, not their own words\):\*\*\n1\. \[2025-01-01T00:00:00.000Z\] I was tired/);
+    assert.match(result, /User's Grievances:\*\*\nNo story shared yet/);
+  });
+
+  test('labels a real account separately from the role-play', () => {
+    const result = formatBothStories({
+      partner: [{ createdAt: '2025-01-02T00:00:00.000Z', content: 'In my own words' }],
+      simulatedPartner: [{ createdAt: '2025-01-01T00:00:00.000Z', content: 'Guessed' }],
+      partnerJoined: true
+    }, createCoupleProfile());
+
+    assert.match(result, /Wife's Account \(in their own words\):\*\*\n1\. \[2025-01-02T00:00:00.000Z\] In my own words/);
+    assert.match(result, /Wife's Perspective \(SIMULATED by role-play, not their own words\):\*\*\n1\. \[2025-01-01T00:00:00.000Z\] Guessed/);
+  });
+
+  test('defaults to the wife role', () => {
+    const result = formatBothStories({}, createCoupleProfile());
+    assert.match(result, /👩 \*\*Wife's Perspective \(SIMULATED/);
+  });
+});
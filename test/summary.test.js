@@ -0,0 +1,74 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { AIMessage, HumanMessage, ToolMessage } from "@langchain/core/messages";
+
+import { MarriageCounselorAgent } from '../src/agent.js';
+import { splitForSummary, summaryOptionsFromEnv } from '../src/summary.js';
+import { ScriptedChatModel } from './helpers/scripted-chat-model.js';
+
+const config = { configurable: { userId: 'alice', sessionId: 's1' } };
+
+describe('rolling summarisation', () => {
+  test('keeps recent messages verbatim and never splits a tool call from its result', () => {
+    const messages = [
+      new HumanMessage('one'),
+      new AIMessage('reply one'),
+      new HumanMessage('two'),
+      new AIMessage({ content: '', tool_calls: [{ id: 'c1', name: 'save_user_story', args: { story: 'two' } }] }),
+      new ToolMessage({ content: 'saved', tool_call_id: 'c1', name: 'save_user_story' }),
+      new AIMessage('reply two')
+    ];
+
+    assert.equal(splitForSummary(messages, { maxMessages: 6, keepMessages: 2 }), null);
+    assert.equal(splitForSummary(messages, { maxMessages: 0, keepMessages: 2 }), null);
+
+    const { older, recent } = splitForSummary(messages, { maxMessages: 5, keepMessages: 2 });
+    assert.deepEqual(older.map(message => message.content), ['one', 'reply one']);
+    assert.equal(recent[0].content, 'two');
+    assert.equal(recent.length, 4);
+  });
+
+  test('keeps at least the latest message and rejects options that would never summarise', () => {
+    const messages = [new HumanMessage('one'), new AIMessage('reply one'), new HumanMessage('two')];
+    assert.deepEqual(splitForSummary(messages, { maxMessages: 2, keepMessages: 0 }).recent.map(message => message.content), ['two']);
+
+    const create = summary => new MarriageCounselorAgent({ llm: new ScriptedChatModel(), persistence: { backend: 'memory' }, summary });
+    assert.throws(() => create({ keepMessages: 0 }), /Invalid summary keepMessages: 0. Expected a positive whole number/);
+    assert.throws(() => create({ maxMessages: 10, keepMessages: 10 }), /keepMessages \(10\) must be less than maxMessages \(10\)/);
+    assert.throws(() => create({ maxMessages: NaN }), /Invalid summary maxMessages: NaN/);
+    assert.throws(() => create({ maxMessages: 2.5 }), /Invalid summary maxMessages: 2.5/);
+    // Off means off, whatever keepMessages says
+    assert.equal(create({ maxMessages: 0, keepMessages: 10 }).summaryOptions.maxMessages, 0);
+
+    assert.deepEqual(summaryOptionsFromEnv({ SUMMARY_MAX_MESSAGES: '20', SUMMARY_KEEP_MESSAGES: '5' }), { maxMessages: 20, keepMessages: 5 });
+    assert.throws(() => summaryOptionsFromEnv({ SUMMARY_MAX_MESSAGES: 'forty' }), /Invalid SUMMARY_MAX_MESSAGES: forty. Expected a whole number/);
+    assert.throws(() => summaryOptionsFromEnv({ SUMMARY_KEEP_MESSAGES: '-1' }), /Invalid SUMMARY_KEEP_MESSAGES: -1/);
+  });
+
+  test('folds older messages into a summary that is surfaced in the prompt', async () => {
+    const llm = new ScriptedChatModel([{ content: 'a' }, { content: 'b' }, { content: 'c' }]);
+    const agent = new MarriageCounselorAgent({ llm, persistence: { backend: 'memory' }, summary: { maxMessages: 4, keepMessages: 2 } });
+
+    await agent.invoke({ mode: 'USER', content: 'first' }, config);
+    await agent.invoke({ mode: 'USER', content: 'second' }, config);
+    await agent.invoke({ mode: 'USER', content: 'third' }, config);
+    assert.equal(await agent.getSummary('s1', 'USER', { userId: 'alice' }), null);
+
+    llm.turns.push({ content: 'The user complained about chores.' }, { content: 'd' });
+    const events = [];
+    for await (const event of agent.stream({ mode: 'USER', content: 'fourth' }, config)) {
+      events.push(event);
+    }
+
+    // The summariser saw the older messages; its tokens were not streamed as part of the reply
+    assert.match(llm.calls.at(-2).at(-1).content, /User: first\nAssistant: a/);
+    assert.deepEqual(events.filter(event => event.type === 'token').map(event => event.content), ['d']);
+
+    const prompt = llm.calls.at(-1);
+    assert.match(prompt[0].content, /Summary of the earlier conversation in this mode[^\n]*\nThe user complained about chores\./);
+    assert.deepEqual(prompt.slice(1).map(message => message.content), ['third', 'c', 'fourth']);
+
+    assert.equal(await agent.getSummary('s1', 'USER', { userId: 'alice' }), 'The user complained about chores.');
+    assert.deepEqual((await agent.getHistory('s1', 'USER', { userId: 'alice' })).map(message => message.content), ['third', 'c', 'fourth', 'd']);
+  });
+});
@@ -0,0 +1,90 @@
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { MarriageCounselorAgent } from '../src/agent.js';
+import { TRANSCRIPT_FORMATS, TOOL_CALL_DISPLAY } from '../src/transcript.js';
+import { ScriptedChatModel } from './helpers/scripted-chat-model.js';
+
+const config = { configurable: { userId: 'alice', sessionId: 's1' } };
+
+const verdict = {
+  summary: { user: 'Feels the chores are unequal', partner: 'Cooks every night' },
+  underlyingIssues: ['Unspoken expectations'],
+  recommendations: { user: ['Take over the dishes'], partner: ['Say when you are tired'] },
+  fairness: { assessment: 'Shared', userShare: 50 },
+  followUpQuestions: ['Who did the chores growing up?']
+};
+
+// Position of each text in the output, so the order can be asserted
+const positions = (text, parts) => parts.map(part => {
+  const index = text.indexOf(part);
+  assert.notEqual(index, -1, `missing: ${part}`);
+  return index;
+});
+
+describe('session transcripts', () => {
+  let llm, agent;
+
+  beforeEach(async () => {
+    llm = new ScriptedChatModel([
+      { toolCalls: [{ name: 'save_user_story', args: { story: 'Dishes pile up' } }] },
+      { content: 'That sounds exhausting.' },
+      { toolCalls: [{ name: 'save_partner_story', args: { story: 'I cook every night' } }] },
+      { content: 'I cook <every> night!' },
+      { toolCalls: [{ name: 'get_both_stories' }] },
+      { content: 'Split the chores.' },
+      { toolCalls: [{ name: 'solomon_verdict', args: verdict }] }
+    ]);
+    agent = new MarriageCounselorAgent({ llm, profile: { user: { name: 'Alice' }, partner: { name: 'Sam' } }, persistence: { backend: 'memory' } });
+
+    await agent.invoke({ mode: 'USER', content: 'The dishes again' }, config);
+    await agent.invoke({ mode: 'PARTNER', content: 'Why no dishes?' }, config);
+    await agent.invoke({ mode: 'SOLOMON', content: 'Who is right?', structuredVerdict: true }, config);
+  });
+
+  test('merges every mode chronologically with verdicts and stories as Markdown', async () => {
+    const markdown = await agent.exportTranscript('s1', { userId: 'alice' });
+
+    const order = positions(markdown, [
+      "> Sam's role-play perspective in this transcript was written by the assistant",
+      '### 👤 Your Perspective',
+      '**Alice**',
+      'The dishes again',
+      `_🔧 Saved the user's story: "Dishes pile up"_`,
+      '**Friend**',
+      'That sounds exhausting.',
+      "Sam's Perspective (role-play) ·",
+      '**Sam (role-play)**',
+      '### ⚖️ King Solomon',
+      '_🔧 Reviewed both perspectives_',
+      'Split the chores.',
+      "## King Solomon's Verdicts",
+      '- Unspoken expectations',
+      "- Shared (user's share: 50%)",
+      '## Stories Saved in This Session',
+      '**User:** Dishes pile up',
+      '**Sam (role-play):** I cook every night'
+    ]);
+    assert.deepEqual(order, [...order].sort((a, b) => a - b));
+
+    // Tool results never appear
+    assert.doesNotMatch(markdown, /I understand your perspective|BOTH PERSPECTIVES/);
+  });
+
+  test('renders standalone HTML and can hide tool calls', async () => {
+    const html = await agent.exportTranscript('s1', { userId: 'alice', format: TRANSCRIPT_FORMATS.HTML, toolCalls: TOOL_CALL_DISPLAY.HIDDEN });
+
+    assert.match(html, /^<!DOCTYPE html>/);
+    assert.match(html, /<style>/);
+    assert.doesNotMatch(html, /<link|<script/);
+    assert.match(html, /I cook &lt;every&gt; night!/);
+    assert.doesNotMatch(html, /Saved the user&#39;s story|🔧/);
+    assert.match(html, /<li>Take over the dishes<\/li>/);
+    assert.match(html, /<p class="note">Sam&#39;s role-play perspective/);
+  });
+
+  test('rejects unknown formats and handles empty sessions', async () => {
+    await assert.rejects(agent.exportTranscript('s1', { format: 'pdf' }), /Unknown transcript format: pdf/);
+    assert.match(await agent.exportTranscript('empty'), /_No messages in this session yet\._/);
+  });
+});